@@ -0,0 +1,43 @@
+// 需要在 service worker 启动时同步注册监听，否则由 alarm 唤醒 service worker 时，事件可能丢失
+chrome.alarms.onAlarm.addListener(onAlarm)
+
+/**
+ * alarm 名称前缀 -> 回调
+ */
+const _alarmCallbacks = new Map()
+
+/**
+ * 回调注册之前就已经触发的 alarm（service worker 被 alarm 唤醒时，初始化还没有完成）
+ */
+const _pendingAlarms = []
+
+function onAlarm(alarm) {
+  const callback = findCallback(alarm.name)
+  if (callback) {
+    callback(alarm)
+  } else {
+    _pendingAlarms.push(alarm)
+  }
+}
+
+function findCallback(alarmName) {
+  for (const [prefix, callback] of _alarmCallbacks) {
+    if (alarmName.startsWith(prefix)) {
+      return callback
+    }
+  }
+  return undefined
+}
+
+/**
+ * 注册 alarm 回调，名称以 prefix 开头的 alarm 触发时调用 callback
+ */
+export function onAlarmFired(prefix, callback) {
+  _alarmCallbacks.set(prefix, callback)
+
+  const matched = _pendingAlarms.filter((alarm) => alarm.name.startsWith(prefix))
+  for (const alarm of matched) {
+    _pendingAlarms.splice(_pendingAlarms.indexOf(alarm), 1)
+    callback(alarm)
+  }
+}
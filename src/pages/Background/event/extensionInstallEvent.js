@@ -0,0 +1,13 @@
+chrome.management.onInstalled.addListener(onExtensionInstalledOrRemoved)
+chrome.management.onUninstalled.addListener(onExtensionInstalledOrRemoved)
+
+let _extensionInstalledCallback
+
+function onExtensionInstalledOrRemoved() {
+  // 扩展的安装、更新、卸载
+  _extensionInstalledCallback?.()
+}
+
+export function onExtensionInstalled(callback) {
+  _extensionInstalledCallback = callback
+}
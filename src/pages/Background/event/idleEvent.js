@@ -0,0 +1,12 @@
+// 需要在 service worker 启动时同步注册监听
+chrome.idle.onStateChanged.addListener(onStateChanged)
+
+let _idleStateChangedCallback
+
+function onStateChanged(newState) {
+  _idleStateChangedCallback?.(newState)
+}
+
+export function onIdleStateChanged(callback) {
+  _idleStateChangedCallback = callback
+}
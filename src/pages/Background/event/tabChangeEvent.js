@@ -19,9 +19,8 @@ function onTabUpdated(tabId, changeInfo, tab) {
 }
 
 function onTabRemoved(tabId, removeInfo) {
-  if (_lastTabInfo?.id !== tabId) {
-    _tabClosedCallback?.(tabId, removeInfo)
-  }
+  // 当前标签页被关闭时，也需要通知，规则需要知道是哪个标签页（窗口）被关闭了
+  _tabClosedCallback?.(tabId, removeInfo)
 }
 
 async function onTabCreated(tab) {
@@ -54,7 +53,8 @@ async function onTabCreated(tab) {
     url: tab.url,
     title: tab.title,
     windowId: tab.windowId,
-    id: tab.id
+    id: tab.id,
+    groupId: tab.groupId
   }
   _lastTabInfo = tabInfo
   _currentTabUpdatedCallback?.(tabInfo)
@@ -74,7 +74,8 @@ function checkCurrentTab() {
       url: tab.url,
       title: tab.title,
       windowId: tab.windowId,
-      id: tab.id
+      id: tab.id,
+      groupId: tab.groupId
     }
 
     if (_lastTabInfo && isSameTabInfo(_lastTabInfo, tabInfo)) {
@@ -87,7 +88,12 @@ function checkCurrentTab() {
 }
 
 function isSameTabInfo(one, other) {
-  return one.windowId === other.windowId && one.id === other.id && one.url === other.url
+  return (
+    one.windowId === other.windowId &&
+    one.id === other.id &&
+    one.url === other.url &&
+    one.groupId === other.groupId
+  )
 }
 
 export function onTabUrlChange(callback) {
@@ -0,0 +1,22 @@
+chrome.tabGroups.onCreated.addListener(onGroupChanged)
+chrome.tabGroups.onUpdated.addListener(onGroupChanged)
+chrome.tabGroups.onRemoved.addListener(onGroupChanged)
+chrome.tabs.onUpdated.addListener(onTabUpdated)
+
+let _tabGroupChangedCallback
+
+function onGroupChanged(group) {
+  // 标签组的创建、重命名、修改颜色、移除
+  _tabGroupChangedCallback?.()
+}
+
+function onTabUpdated(tabId, changeInfo, tab) {
+  // 任一标签页被移入或者移出标签组（不只是当前标签页）
+  if (changeInfo.groupId !== undefined) {
+    _tabGroupChangedCallback?.()
+  }
+}
+
+export function onTabGroupChanged(callback) {
+  _tabGroupChangedCallback = callback
+}
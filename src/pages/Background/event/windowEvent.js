@@ -0,0 +1,14 @@
+chrome.windows.onCreated.addListener(onWindowContextChanged)
+chrome.windows.onFocusChanged.addListener(onWindowContextChanged)
+chrome.windows.onBoundsChanged.addListener(onWindowContextChanged)
+
+let _windowChangedCallback
+
+function onWindowContextChanged() {
+  // 窗口的创建、焦点切换、大小和状态（全屏、最大化等）变化
+  _windowChangedCallback?.()
+}
+
+export function onWindowChanged(callback) {
+  _windowChangedCallback = callback
+}
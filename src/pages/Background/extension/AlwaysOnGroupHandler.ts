@@ -3,6 +3,8 @@ import chromeP from "webext-polyfill-kinda"
 import type { IExtensionManager } from ".../types/global"
 import { GroupOptions } from ".../storage/sync/GroupOptions"
 import { ExecuteTaskHandler, ExecuteTaskPriority } from "../rule/ExecuteTaskHandler"
+import { isAutomationPaused } from "../rule/automationPause"
+import { getGroupMembers } from "../rule/handlers/targetHandler"
 import logger from ".../utils/logger"
 
 /**
@@ -18,6 +20,11 @@ export class AlwaysOnGroupHandler {
    */
   async enableAlwaysOnExtensions() {
     try {
+      // Stand down while automation is paused; resuming calls this again
+      if (await isAutomationPaused(this.EM)) {
+        return
+      }
+
       const groups = await GroupOptions.getGroups()
       const alwaysOnGroups = groups.filter((g) => g.alwaysOn === true)
 
@@ -26,11 +33,11 @@ export class AlwaysOnGroupHandler {
       }
 
       // Collect all extension IDs from always-on groups
+      // Extensions excluded from the group by rule targets are not forced on
+      const rules = this.EM.Rule?.handler?.rules
       const extensionIds = new Set<string>()
       for (const group of alwaysOnGroups) {
-        if (group.extensions && group.extensions.length > 0) {
-          group.extensions.forEach((extId) => extensionIds.add(extId))
-        }
+        getGroupMembers(group, groups, rules).forEach((extId) => extensionIds.add(extId))
       }
 
       if (extensionIds.size === 0) {
@@ -3,6 +3,8 @@ import chromeP from "webext-polyfill-kinda"
 import type { IExtensionManager } from ".../types/global"
 import logger from ".../utils/logger"
 import { GroupOptions } from ".../storage/sync/GroupOptions"
+import { isAutomationPaused } from "../rule/automationPause"
+import { getGroupMembers } from "../rule/handlers/targetHandler"
 
 /**
  * Handler for mutual exclusion groups
@@ -36,6 +38,11 @@ export class MutexGroupHandler {
         return // Don't process self
       }
 
+      // Don't enforce mutual exclusion while automation is paused
+      if (await isAutomationPaused(this.EM)) {
+        return
+      }
+
       // Get all groups
       const groups = await GroupOptions.getGroups()
       const mutexGroups = groups.filter((g) => g.isMutex === true)
@@ -45,15 +52,20 @@ export class MutexGroupHandler {
       }
 
       // Find which mutex group(s) contain this extension
+      // Extensions excluded from the group by rule targets take no part in mutual exclusion
+      const rules = this.EM.Rule?.handler?.rules
       for (const group of mutexGroups) {
-        if (!group.extensions || group.extensions.length === 0) {
+        const members = getGroupMembers(group, groups, rules)
+        if (members.length === 0) {
           continue
         }
 
-        if (group.extensions.includes(enabledExtensionId)) {
+        if (members.includes(enabledExtensionId)) {
           // This extension belongs to a mutex group
           // Disable all other extensions in this group
-          const otherExtensions = group.extensions.filter((id) => id !== enabledExtensionId && id !== self.id)
+          const otherExtensions = members.filter(
+            (id) => id !== enabledExtensionId && id !== self.id
+          )
 
           for (const extId of otherExtensions) {
             try {
@@ -0,0 +1,134 @@
+import chromeP from "webext-polyfill-kinda"
+
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+import { addTimerOverride, releaseTimerOverride } from "../rule/manualOverride"
+
+/**
+ * 限时启用到期的 alarm 名称
+ */
+export const TIMED_ENABLE_ALARM = "extension-timed-enable"
+
+/**
+ * 等待中的限时启用，保存在 LocalOptions 中的 key；service worker 重启之后仍然有效
+ */
+const TIMED_ENABLE_STORAGE_KEY = "timedEnables"
+
+export type TimedEnableItem = {
+  extId: string
+  name: string
+  /**
+   * 在 Popup 中选择的启用时长（分钟），到期禁用时记录到历史记录
+   */
+  minutes: number
+  /**
+   * 禁用的时间（毫秒时间戳）
+   */
+  disableAt: number
+}
+
+/**
+ * 在 Popup 中限时启用扩展，到期之后自动禁用
+ */
+export class TimedEnableHandler {
+  /**
+   * 串行执行等待列表的读写
+   */
+  private queue: Promise<unknown> = Promise.resolve()
+
+  constructor(private EM: IExtensionManager) {}
+
+  async getAll(): Promise<TimedEnableItem[]> {
+    return (await this.EM.LocalOptions.getValue<TimedEnableItem[]>(TIMED_ENABLE_STORAGE_KEY)) ?? []
+  }
+
+  /**
+   * 立即启用扩展，指定分钟之后禁用；已经存在的计时重新开始
+   */
+  async enableFor(extId: string, minutes: number): Promise<TimedEnableItem> {
+    const info = await chromeP.management.get(extId)
+    if (!info.enabled) {
+      await chromeP.management.setEnabled(extId, true)
+    }
+
+    const item: TimedEnableItem = {
+      extId,
+      name: info.name,
+      minutes,
+      disableAt: Date.now() + minutes * 60 * 1000
+    }
+    // 计时期间规则不修改该扩展，与手动覆盖方式的设置无关
+    await addTimerOverride(extId, item.disableAt)
+    await this.update((list) => [...list.filter((i) => i.extId !== extId), item])
+    logger().debug(
+      `[TimedEnable] 限时启用 ${info.name} 到 ${new Date(item.disableAt).toLocaleString()}`
+    )
+    return item
+  }
+
+  /**
+   * 取消计时，扩展保持启用
+   */
+  async cancel(extId: string): Promise<void> {
+    await this.update((list) => list.filter((i) => i.extId !== extId))
+    await releaseTimerOverride(extId)
+  }
+
+  /**
+   * 禁用计时到期的扩展
+   */
+  onAlarm(): void {
+    let due: TimedEnableItem[] = []
+    this.update((list) => {
+      // alarm 可能稍微提前触发
+      const now = Date.now() + 1000
+      due = list.filter((i) => i.disableAt <= now)
+      return list.filter((i) => i.disableAt > now)
+    })
+      .then(async () => {
+        for (const item of due) {
+          await this.disable(item)
+        }
+      })
+      .catch((error) => {
+        logger().warn("[TimedEnable] 禁用扩展失败", error)
+      })
+  }
+
+  private async disable(item: TimedEnableItem): Promise<void> {
+    try {
+      // 计时结束，规则重新接管该扩展
+      await releaseTimerOverride(item.extId)
+      const info = await chromeP.management.get(item.extId)
+      if (!info?.enabled) {
+        return
+      }
+      await chromeP.management.setEnabled(item.extId, false)
+      this.EM.History?.EventHandler.onTimerDisabled(info, item.minutes)
+      logger().debug(`[TimedEnable] ${item.minutes} 分钟到期，禁用 ${info.name}`)
+    } catch (error) {
+      logger().warn(`[TimedEnable] 禁用 ${item.extId} 失败`, error)
+    }
+  }
+
+  /**
+   * 更新等待列表，并把 alarm 设置为最早的禁用时间
+   */
+  private update(change: (list: TimedEnableItem[]) => TimedEnableItem[]): Promise<void> {
+    const task = this.queue.then(async () => {
+      const next = change(await this.getAll())
+      await this.EM.LocalOptions.setValue(TIMED_ENABLE_STORAGE_KEY, next)
+
+      await chrome.alarms.clear(TIMED_ENABLE_ALARM)
+      if (next.length > 0) {
+        const when = Math.min(...next.map((i) => i.disableAt))
+        await chrome.alarms.create(TIMED_ENABLE_ALARM, { when })
+      }
+    })
+    // 一次更新失败不影响之后的更新
+    this.queue = task.catch((error) => {
+      logger().warn("[TimedEnable] 更新限时启用失败", error)
+    })
+    return task
+  }
+}
@@ -1,15 +1,21 @@
 import chromeP from "webext-polyfill-kinda"
 
+import { onAlarmFired } from "../event/alarmEvent"
 import { ExtensionRepo } from "./ExtensionRepo"
 import { ExtensionService } from "./ExtensionService"
 import { AlwaysOnGroupHandler } from "./AlwaysOnGroupHandler"
 import { MutexGroupHandler } from "./MutexGroupHandler"
+import { TIMED_ENABLE_ALARM, TimedEnableHandler } from "./TimedEnableHandler"
 
 const createExtension = async (EM) => {
   const repo = new ExtensionRepo()
   const service = new ExtensionService(EM, repo)
   const alwaysOnHandler = new AlwaysOnGroupHandler(EM)
   const mutexGroupHandler = new MutexGroupHandler(EM)
+  const timedEnableHandler = new TimedEnableHandler(EM)
+
+  // 限时启用到期，禁用扩展
+  onAlarmFired(TIMED_ENABLE_ALARM, timedEnableHandler.onAlarm.bind(timedEnableHandler))
 
   // Use cached method for initial load
   const exts = await service.getAllExtensions()
@@ -29,6 +35,7 @@ const createExtension = async (EM) => {
     repo: repo,
     alwaysOnHandler: alwaysOnHandler,
     mutexGroupHandler: mutexGroupHandler,
+    timedEnableHandler: timedEnableHandler,
     getAllExtensions: () => service.getAllExtensions()
   }
 }
@@ -68,8 +68,9 @@ export class HistoryEventHandler {
   public onAutoEnabled(
     info: chrome.management.ExtensionInfo,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
+    this.EM.Rule?.stats?.onToggled(rule?.id)
     this._enabledEventFilter.onAutoRuleEvent(info, rule, matchResult)
   }
 
@@ -79,8 +80,9 @@ export class HistoryEventHandler {
   public onAutoDisabled(
     info: chrome.management.ExtensionInfo,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
+    this.EM.Rule?.stats?.onToggled(rule?.id)
     this._disabledEventFilter.onAutoRuleEvent(info, rule, matchResult)
   }
 
@@ -97,6 +99,20 @@ export class HistoryEventHandler {
   public onManualDisabled(infos: chrome.management.ExtensionInfo[], group: config.IGroup) {
     this._disabledEventFilter.onManualEvent(infos, group)
   }
+
+  /**
+   * 限时启用到期，自动禁用了扩展
+   */
+  public onTimerDisabled(info: chrome.management.ExtensionInfo, minutes: number) {
+    this._disabledEventFilter.onTimerEvent(info, minutes)
+  }
+
+  /**
+   * 按情景模式的自动激活条件，自动切换了情景模式
+   */
+  public onSceneAutoSwitched(from: config.IScene | undefined, to: config.IScene) {
+    this.service.add(HistoryRecord.buildWithScene(to, from))
+  }
 }
 
 /**
@@ -206,7 +222,7 @@ export class HistoryEventRaiser {
   public onAutoEnabled(
     info: chrome.management.ExtensionInfo,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
     // console.log("onAutoEnabled", info, rule)
     this.service.add(HistoryRecord.buildWithRule(info, "enabled", rule, matchResult))
@@ -218,7 +234,7 @@ export class HistoryEventRaiser {
   public onAutoDisabled(
     info: chrome.management.ExtensionInfo,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
     // console.log("onAutoDisabled", info, rule)
     this.service.add(HistoryRecord.buildWithRule(info, "disabled", rule, matchResult))
@@ -245,6 +261,13 @@ export class HistoryEventRaiser {
       this.service.add(record)
     }
   }
+
+  /**
+   * 限时启用到期，自动禁用了扩展
+   */
+  public onTimerDisabled(info: chrome.management.ExtensionInfo, minutes: number) {
+    this.service.add(HistoryRecord.buildWithTimer(info, "disabled", minutes))
+  }
 }
 
 /**
@@ -280,7 +303,7 @@ class ReduplicativeEventFilter {
   public onAutoRuleEvent(
     info: chrome.management.ExtensionInfo,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
     this._autoEventRecord.set(info.id, Date.now())
 
@@ -304,6 +327,17 @@ class ReduplicativeEventFilter {
     }
   }
 
+  /**
+   * 限时启用到期的禁用，和规则自动禁用一样过滤掉浏览器的默认事件
+   */
+  public onTimerEvent(info: chrome.management.ExtensionInfo, minutes: number) {
+    this._autoEventRecord.set(info.id, Date.now())
+
+    if (this.eventType === "disabled") {
+      this.output.onTimerDisabled(info, minutes)
+    }
+  }
+
   private isAutoRuleEventHappen(id: string) {
     const autoEventTime = this._autoEventRecord.get(id)
     if (!autoEventTime) {
@@ -1,3 +1,4 @@
+import { getLang } from ".../utils/utils"
 import { IMatchResult } from "../rule/handlers/matchHandler"
 
 export type RecordEvent =
@@ -7,6 +8,7 @@ export type RecordEvent =
   | "enabled"
   | "disabled"
   | "browser_updated"
+  | "scene_switched"
 
 export class HistoryRecord {
   constructor(
@@ -30,12 +32,19 @@ export class HistoryRecord {
     info: chrome.management.ExtensionInfo,
     event: RecordEvent,
     rule: ruleV2.IRuleConfig,
-    matchResult: IMatchResult
+    matchResult: IMatchResult | null
   ) {
     let remark = ""
     if (matchResult?.matchTab) {
       remark = matchResult.matchTab.url ?? ""
     }
+    if (event === "disabled" && matchResult?.closedWindowId !== undefined) {
+      // 因为窗口关闭而禁用，记录关闭的窗口
+      const windowTip = getLang("history_remark_window_closed", String(matchResult.closedWindowId))
+      remark = `${windowTip} ${matchResult.closedTab?.url ?? ""}`.trim()
+    } else if (event === "disabled" && matchResult?.closedTab) {
+      remark = matchResult.closedTab.url ?? ""
+    }
 
     return new HistoryRecord(
       0,
@@ -69,6 +78,48 @@ export class HistoryRecord {
       group.id
     )
   }
+
+  /**
+   * 限时启用到期，由计时禁用扩展；remark 记录启用的时长，区别于手动和规则禁用
+   */
+  static buildWithTimer(
+    info: chrome.management.ExtensionInfo,
+    event: RecordEvent,
+    minutes: number
+  ) {
+    return new HistoryRecord(
+      0,
+      Date.now(),
+      event,
+      info.id,
+      "",
+      info.name,
+      info.version,
+      getLang("history_remark_timer", String(minutes)),
+      "",
+      ""
+    )
+  }
+
+  /**
+   * 自动切换情景模式，name 是切换到的情景模式，remark 是切换之前的情景模式
+   */
+  static buildWithScene(to: config.IScene, from: config.IScene | undefined) {
+    const noScene = getLang("history_scene_none")
+    const remark = getLang("history_remark_scene_auto", from?.name || noScene)
+    return new HistoryRecord(
+      0,
+      Date.now(),
+      "scene_switched",
+      "",
+      "",
+      to.name || noScene,
+      "",
+      remark,
+      "",
+      ""
+    )
+  }
 }
 
 export class ImageRecord {
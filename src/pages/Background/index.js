@@ -51,12 +51,12 @@ chrome.runtime.onInstalled.addListener((info) => {
 
   createMessageHandler(EM)
 
-  // Set up keyboard shortcuts for scene switching
+  // Set up keyboard shortcuts for scene switching and pausing automation
   setupKeyboardShortcuts(EM)
 })()
 
 /**
- * Set up keyboard shortcuts for scene switching
+ * Set up keyboard shortcuts for scene switching and pausing automation
  */
 async function setupKeyboardShortcuts(EM) {
   chrome.commands.onCommand.addListener(async (command) => {
@@ -90,7 +90,7 @@ async function setupKeyboardShortcuts(EM) {
           
           // Trigger scene change handler
           if (EM?.Rule?.handler) {
-            EM.Rule.handler.onCurrentSceneChanged(nextScene)
+            EM.Rule.handler.onSceneManuallySwitched(nextScene)
           }
           
           // Enable always-on extensions
@@ -105,6 +105,13 @@ async function setupKeyboardShortcuts(EM) {
       } catch (error) {
         logger().error("[Keyboard] Error switching scene", error)
       }
+    } else if (command === "toggle-automation-pause") {
+      try {
+        const state = await EM.Rule?.pause?.toggle()
+        logger().debug(`[Keyboard] Automation ${state?.paused ? "paused" : "resumed"}`)
+      } catch (error) {
+        logger().error("[Keyboard] Error toggling automation pause", error)
+      }
     }
   })
 }
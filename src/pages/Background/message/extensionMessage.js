@@ -0,0 +1,45 @@
+import logger from ".../utils/logger"
+
+export const createTimedEnableHandler = (EM) => {
+  // 在 Popup 中限时启用扩展，到期之后自动禁用
+  return async (ctx) => {
+    try {
+      const { extId, minutes } = ctx.params || {}
+      if (!extId || !(minutes > 0)) {
+        ctx.sendResponse({ state: "error", error: "invalid timed enable params" })
+        return
+      }
+      const item = await EM.Extension.timedEnableHandler.enableFor(extId, minutes)
+      ctx.sendResponse({ state: "success", item })
+    } catch (error) {
+      logger().error("[Extension] Error enabling extension for a limited time", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createTimedEnableListHandler = (EM) => {
+  // 等待中的限时启用，用于在 Popup 中显示倒计时
+  return async (ctx) => {
+    try {
+      const items = await EM.Extension.timedEnableHandler.getAll()
+      ctx.sendResponse({ state: "success", items })
+    } catch (error) {
+      logger().error("[Extension] Error getting timed enables", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createTimedEnableCancelHandler = (EM) => {
+  // 取消限时启用，扩展保持启用
+  return async (ctx) => {
+    try {
+      await EM.Extension.timedEnableHandler.cancel(ctx.params?.extId)
+      ctx.sendResponse({ state: "success" })
+    } catch (error) {
+      logger().error("[Extension] Error cancelling timed enable", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
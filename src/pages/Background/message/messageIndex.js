@@ -1,7 +1,25 @@
 import { listen } from ".../utils/messageHelper"
 import logger from ".../utils/logger"
+import {
+  createTimedEnableCancelHandler,
+  createTimedEnableHandler,
+  createTimedEnableListHandler
+} from "./extensionMessage"
 import { createManualChangeGroupHandler } from "./historyMessage"
-import { createCurrentSceneChangedHandler, createRuleConfigChangedHandler } from "./ruleMessage"
+import {
+  createAutomationPauseHandler,
+  createAutomationPauseStateHandler,
+  createAutomationResumeHandler,
+  createCurrentSceneChangedHandler,
+  createManualOverrideHandler,
+  createManualOverrideReleaseHandler,
+  createRuleConfigChangedHandler,
+  createRuleLingeringHandler,
+  createRuleSimulateHandler,
+  createRuleStatsHandler,
+  createRuleStatsResetHandler,
+  createSceneConfigChangedHandler
+} from "./ruleMessage"
 import {
   createAIIntentHandler,
   createAIExecuteHandler,
@@ -55,12 +73,18 @@ const createMessageHandler = (EM) => {
         })
       })
       return true // Keep port open for async response
-    } else if (msgId === "current-scene-changed" || msgId === "rule-config-changed") {
+    } else if (msgId === "current-scene-changed" || msgId?.startsWith("rule-")) {
       // Rule messages
       createRuleMessage(EM.Rule.handler, ctx, EM).catch((error) => {
         logger().error("[Message] Error in rule message handler", error)
       })
       return true // Keep port open for async response
+    } else if (msgId?.startsWith("extension-")) {
+      // Extension messages
+      createExtensionMessage(EM, ctx).catch((error) => {
+        logger().error("[Message] Error in extension message handler", error)
+      })
+      return true // Keep port open for async response
     } else if (msgId === "manual-change-group") {
       // History messages
       createHistoryMessage(EM, ctx).catch((error) => {
@@ -75,6 +99,9 @@ const createMessageHandler = (EM) => {
       createHistoryMessage(EM, ctx).catch((error) => {
         logger().error("[Message] Error in history message handler", error)
       })
+      createExtensionMessage(EM, ctx).catch((error) => {
+        logger().error("[Message] Error in extension message handler", error)
+      })
       createAIMessage(EM, ctx).catch((error) => {
         logger().error("[Message] Error in AI message handler", error)
       })
@@ -93,6 +120,30 @@ const createRuleMessage = async (handler, ctx, EM) => {
   // 规则配置发生变更
   if (await listen("rule-config-changed", ctx, createRuleConfigChangedHandler(handler))) return
 
+  // 情景模式配置发生变更
+  if (await listen("rule-scene-config-changed", ctx, createSceneConfigChangedHandler(handler)))
+    return
+
+  // 模拟执行规则
+  if (await listen("rule-simulate", ctx, createRuleSimulateHandler(handler))) return
+
+  // 等待中的延迟禁用
+  if (await listen("rule-lingering", ctx, createRuleLingeringHandler(handler))) return
+
+  // 规则统计
+  if (await listen("rule-stats", ctx, createRuleStatsHandler(EM))) return
+  if (await listen("rule-stats-reset", ctx, createRuleStatsResetHandler(EM))) return
+
+  // 暂停与恢复自动化
+  if (await listen("rule-pause", ctx, createAutomationPauseHandler(EM))) return
+  if (await listen("rule-resume", ctx, createAutomationResumeHandler(EM))) return
+  if (await listen("rule-pause-state", ctx, createAutomationPauseStateHandler(EM))) return
+
+  // 手动启用或禁用扩展的覆盖
+  if (await listen("rule-manual-override", ctx, createManualOverrideHandler())) return
+  if (await listen("rule-override-release", ctx, createManualOverrideReleaseHandler(handler)))
+    return
+
   // If no handler matched, don't send a response (rule messages may not need responses)
   // Note: Handlers above send their own responses via ctx.sendResponse()
 }
@@ -107,6 +158,16 @@ const createHistoryMessage = async (EM, ctx) => {
   // Note: Handler above sends its own response via ctx.sendResponse()
 }
 
+/**
+ * 处理扩展相关的 message
+ */
+const createExtensionMessage = async (EM, ctx) => {
+  // 限时启用扩展
+  if (await listen("extension-timed-enable", ctx, createTimedEnableHandler(EM))) return
+  if (await listen("extension-timed-enable-list", ctx, createTimedEnableListHandler(EM))) return
+  if (await listen("extension-timed-enable-cancel", ctx, createTimedEnableCancelHandler(EM))) return
+}
+
 /**
  * 处理 AI 相关的 message
  */
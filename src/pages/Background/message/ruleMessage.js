@@ -1,5 +1,8 @@
+import chromeP from "webext-polyfill-kinda"
+
 import storage from ".../storage/sync"
 import logger from ".../utils/logger"
+import { addManualOverride, releaseManualOverride } from "../rule/manualOverride"
 
 export const createCurrentSceneChangedHandler = (handler, EM) => {
   // 当前情景模式变化时触发
@@ -22,8 +25,8 @@ export const createCurrentSceneChangedHandler = (handler, EM) => {
       })
     }
 
-    // 3. run rules for current scene
-    handler.onCurrentSceneChanged(params)
+    // 3. run rules for current scene（手动切换，暂停自动切换情景模式）
+    handler.onSceneManuallySwitched(params)
 
     ctx.sendResponse()
   }
@@ -39,3 +42,184 @@ export const createRuleConfigChangedHandler = (handler) => {
     ctx.sendResponse()
   }
 }
+
+export const createSceneConfigChangedHandler = (handler) => {
+  // 情景模式配置（自动激活条件）发生变化时触发
+  return (ctx) => {
+    logger().debug("[情景模式配置发生变更，重新触发规则执行]", ctx)
+    storage.scene.getAll().then((scenes) => {
+      handler.setScenes(scenes)
+    })
+    ctx.sendResponse()
+  }
+}
+
+export const createAutomationPauseHandler = (EM) => {
+  // 暂停自动化，params.duration：15m、1h、tomorrow、indefinite
+  return async (ctx) => {
+    try {
+      const pauseState = await EM.Rule.pause.pause(ctx.params?.duration ?? "indefinite")
+      ctx.sendResponse({ state: "success", pause: pauseState })
+    } catch (error) {
+      logger().error("[Rule] Error pausing automation", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createAutomationResumeHandler = (EM) => {
+  // 恢复自动化
+  return async (ctx) => {
+    try {
+      const pauseState = await EM.Rule.pause.resume()
+      ctx.sendResponse({ state: "success", pause: pauseState })
+    } catch (error) {
+      logger().error("[Rule] Error resuming automation", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createAutomationPauseStateHandler = (EM) => {
+  // 当前的暂停状态，用于在 Popup 中显示
+  return async (ctx) => {
+    try {
+      const pauseState = await EM.Rule.pause.getState()
+      ctx.sendResponse({ state: "success", pause: pauseState })
+    } catch (error) {
+      logger().error("[Rule] Error getting automation pause state", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createManualOverrideHandler = () => {
+  // 在 Popup 中手动启用或禁用了扩展，覆盖期间规则不再修改该扩展
+  return async (ctx) => {
+    try {
+      const { extId, enabled } = ctx.params || {}
+      const options = await storage.options.getAll()
+      const [tab] = await chromeP.tabs.query({ active: true, lastFocusedWindow: true })
+      const override = await addManualOverride(extId, enabled, options.setting, tab ?? null)
+      ctx.sendResponse({ state: "success", override })
+    } catch (error) {
+      logger().error("[Rule] Error adding manual override", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createManualOverrideReleaseHandler = (handler) => {
+  // 解除手动覆盖，重新执行规则
+  return async (ctx) => {
+    try {
+      if (await releaseManualOverride(ctx.params?.extId)) {
+        handler.onManualOverrideReleased()
+      }
+      ctx.sendResponse({ state: "success" })
+    } catch (error) {
+      logger().error("[Rule] Error releasing manual override", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createRuleLingeringHandler = (handler) => {
+  // 等待中的延迟禁用，用于在规则列表中显示倒计时
+  return async (ctx) => {
+    try {
+      const items = await handler.getLingering()
+      const lingering = items.map((i) => ({
+        extId: i.extId,
+        closeAt: i.closeAt,
+        ruleId: i.rule?.id
+      }))
+      ctx.sendResponse({ state: "success", lingering })
+    } catch (error) {
+      logger().error("[Rule] Error getting lingering extensions", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createRuleStatsHandler = (EM) => {
+  // 规则统计，用于在规则列表中显示生效次数和长时间没有生效的规则
+  return async (ctx) => {
+    try {
+      const stats = (await EM.Rule.stats?.getAll()) ?? {}
+      ctx.sendResponse({ state: "success", stats })
+    } catch (error) {
+      logger().error("[Rule] Error getting rule stats", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+export const createRuleStatsResetHandler = (EM) => {
+  // 重新开始统计，ruleIds 为空时重置全部规则
+  return async (ctx) => {
+    try {
+      await EM.Rule.stats?.reset(ctx.params?.ruleIds)
+      ctx.sendResponse({ state: "success" })
+    } catch (error) {
+      logger().error("[Rule] Error resetting rule stats", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
+
+/**
+ * 构造模拟执行时使用的标签页
+ */
+const buildSimulateTab = (url, index, active) => {
+  return {
+    id: -(index + 1),
+    index,
+    windowId: -1,
+    url,
+    active,
+    pinned: false,
+    highlighted: active,
+    incognito: false,
+    selected: active,
+    discarded: false,
+    autoDiscardable: true,
+    groupId: -1
+  }
+}
+
+export const createRuleSimulateHandler = (handler) => {
+  // 使用用户指定的上下文模拟执行规则，不修改扩展状态
+  return async (ctx) => {
+    try {
+      const { url, tabUrls, sceneId, os, time, idleState } = ctx.params || {}
+      const options = await storage.options.getAll()
+
+      const tab = url ? buildSimulateTab(url, 0, true) : null
+      const others = (tabUrls || [])
+        .filter((u) => u && u !== url)
+        .map((u, index) => buildSimulateTab(u, index + 1, false))
+      const tabs = tab ? [tab, ...others] : others
+
+      const scene = sceneId ? options.scenes?.find((s) => s.id === sceneId) : undefined
+
+      // time 是完整的时间戳（毫秒），包含日期，可以模拟星期和日期范围
+      const now = time ? new Date(time) : undefined
+
+      const report = await handler.simulate({
+        scene: scene ?? (sceneId ? { id: sceneId } : undefined),
+        tab,
+        tabs,
+        os: os || undefined,
+        now,
+        idleState: idleState || undefined,
+        groups: options.groups
+      })
+
+      ctx.sendResponse({ state: "success", report })
+    } catch (error) {
+      logger().error("[Rule] Error simulating rules", error)
+      ctx.sendResponse({ state: "error", error: error.message })
+    }
+  }
+}
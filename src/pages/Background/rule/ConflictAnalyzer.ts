@@ -0,0 +1,296 @@
+import {
+  getConditionTriggers,
+  getMatchCondition,
+  isConjunctiveCondition
+} from "./handlers/conditionHandler"
+import { getIdleThreshold } from "./handlers/match/idleMatchHandler"
+import getTarget, { TargetEnv } from "./handlers/targetHandler"
+import { getRulePriority } from "./rulePriority"
+
+/**
+ * 规则匹配时产生的执行任务
+ */
+type MatchEffect = {
+  executeType: "enable" | "disable"
+  /**
+   * 任务的优先级，与 processor 中创建任务时的优先级一致
+   */
+  priority: number
+}
+
+/**
+ * 两条规则之间的冲突：可能同时匹配，目标扩展有重叠，但是执行相反的动作
+ */
+export type RuleConflict = {
+  ruleA: ruleV2.IRuleConfig
+  ruleB: ruleV2.IRuleConfig
+  /**
+   * 规则在列表中的位置
+   */
+  indexA: number
+  indexB: number
+  executeTypeA: "enable" | "disable"
+  executeTypeB: "enable" | "disable"
+  priorityA: number
+  priorityB: number
+  /**
+   * 重叠的目标扩展
+   */
+  extensions: string[]
+  /**
+   * 按当前的优先级规则，胜出的一方
+   */
+  winner: "a" | "b"
+  /**
+   * 胜出的原因：优先级更高，或者优先级相同时先执行
+   */
+  reason: "priority" | "order"
+}
+
+const MINUTES_OF_DAY = 24 * 60
+const MINUTES_OF_WEEK = 7 * MINUTES_OF_DAY
+
+/**
+ * 静态分析规则之间的冲突，与 ExecuteTaskHandler 中处理冲突的方式保持一致：
+ * 优先级高的任务胜出，优先级相同时，先执行（规则列表中靠前）的任务胜出
+ * @param rules 全部规则
+ * @param groups 分组，用于展开规则目标中的分组
+ * @param selfId 自身扩展的 ID，规则不会作用于自身
+ * @param targetEnv 解析目标选择器需要的扩展信息，为空时忽略选择器
+ */
+export function analyzeConflicts(
+  rules: ruleV2.IRuleConfig[],
+  groups: config.IGroup[] | undefined,
+  selfId?: string,
+  targetEnv?: TargetEnv
+): RuleConflict[] {
+  // 与 processor 中的执行顺序相同：按规则优先级从小到大，优先级相同时保持列表顺序
+  const order = rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => getRulePriority(a.rule) - getRulePriority(b.rule) || a.index - b.index)
+    .map((item) => item.rule)
+
+  const items = rules
+    .map((rule, index) => ({
+      rule,
+      index,
+      effects: getMatchEffects(rule),
+      targets: getTarget(groups, rule, targetEnv).filter((id) => id !== selfId)
+    }))
+    .filter((item) => item.rule.enable && item.effects.length > 0 && item.targets.length > 0)
+
+  const conflicts: RuleConflict[] = []
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i]
+      const b = items[j]
+
+      const extensions = a.targets.filter((id) => b.targets.includes(id))
+      if (extensions.length === 0) {
+        continue
+      }
+      if (!canMatchTogether(a.rule, b.rule)) {
+        continue
+      }
+
+      for (const effectA of a.effects) {
+        for (const effectB of b.effects) {
+          if (effectA.executeType === effectB.executeType) {
+            continue
+          }
+
+          let winner: "a" | "b"
+          let reason: "priority" | "order"
+          if (effectA.priority !== effectB.priority) {
+            winner = effectA.priority > effectB.priority ? "a" : "b"
+            reason = "priority"
+          } else {
+            winner = order.indexOf(a.rule) < order.indexOf(b.rule) ? "a" : "b"
+            reason = "order"
+          }
+
+          conflicts.push({
+            ruleA: a.rule,
+            ruleB: b.rule,
+            indexA: a.index,
+            indexB: b.index,
+            executeTypeA: effectA.executeType,
+            executeTypeB: effectB.executeType,
+            priorityA: effectA.priority,
+            priorityB: effectB.priority,
+            extensions,
+            winner,
+            reason
+          })
+        }
+      }
+    }
+  }
+
+  return conflicts
+}
+
+/**
+ * 规则在当前标签页匹配时，产生的执行任务
+ */
+export function getMatchEffects(rule: ruleV2.IRuleConfig): MatchEffect[] {
+  const action = rule.action
+  if (!action) {
+    return []
+  }
+
+  const rulePriority = getRulePriority(rule)
+
+  switch (action.actionType) {
+    case "closeWhenMatched":
+    case "closeOnlyWhenMatched":
+      return [{ executeType: "disable", priority: rulePriority }]
+    case "openWhenMatched":
+    case "openOnlyWhenMatched":
+      return [{ executeType: "enable", priority: rulePriority }]
+    case "custom": {
+      const effects: MatchEffect[] = []
+      if (action.custom?.timeWhenEnable === "match") {
+        effects.push({ executeType: "enable", priority: rulePriority })
+      }
+      if (action.custom?.timeWhenDisable === "match") {
+        effects.push({ executeType: "disable", priority: rulePriority })
+      }
+      return effects
+    }
+    default:
+      return []
+  }
+}
+
+/**
+ * 两条规则是否可能同时匹配
+ * 只有两条规则的条件树都只由 and 组成时，才比较各个触发条件是否互斥；其它情况保守地认为可能同时匹配
+ */
+export function canMatchTogether(a: ruleV2.IRuleConfig, b: ruleV2.IRuleConfig): boolean {
+  const conditionA = getMatchCondition(a.match)
+  const conditionB = getMatchCondition(b.match)
+  if (!isConjunctiveCondition(conditionA) || !isConjunctiveCondition(conditionB)) {
+    return true
+  }
+
+  const triggersA = getConditionTriggers(conditionA)
+  const triggersB = getConditionTriggers(conditionB)
+  for (const triggerA of triggersA) {
+    for (const triggerB of triggersB) {
+      if (triggerA.trigger === triggerB.trigger && isExclusive(triggerA, triggerB)) {
+        return false
+      }
+    }
+  }
+  return true
+}
+
+/**
+ * 两个同类型的触发条件，是否不可能同时满足
+ */
+function isExclusive(a: ruleV2.ITrigger, b: ruleV2.ITrigger): boolean {
+  switch (a.trigger) {
+    case "sceneTrigger":
+      return isDisjoint(getSceneIds(a.config), getSceneIds(b.config))
+    case "osTrigger":
+      return isDisjoint(
+        (a.config as ruleV2.IOsTriggerConfig).os ?? [],
+        (b.config as ruleV2.IOsTriggerConfig).os ?? []
+      )
+    case "periodTrigger":
+      return !isPeriodOverlap(
+        a.config as ruleV2.IPeriodTriggerConfig,
+        b.config as ruleV2.IPeriodTriggerConfig
+      )
+    case "idleTrigger": {
+      const configA = a.config as ruleV2.IIdleTriggerConfig
+      const configB = b.config as ruleV2.IIdleTriggerConfig
+      // 空闲时间不同时，同一时刻查询到的状态可能不同
+      if (getIdleThreshold(configA) !== getIdleThreshold(configB)) {
+        return false
+      }
+      return isDisjoint(configA.states ?? [], configB.states ?? [])
+    }
+    case "windowTrigger": {
+      const incognitoA = (a.config as ruleV2.IWindowTriggerConfig).incognito
+      const incognitoB = (b.config as ruleV2.IWindowTriggerConfig).incognito
+      return incognitoA !== undefined && incognitoB !== undefined && incognitoA !== incognitoB
+    }
+    default:
+      // URL、标签组等条件，无法静态判断是否互斥
+      return false
+  }
+}
+
+function getSceneIds(config: ruleV2.ITrigger["config"]): string[] {
+  const sceneConfig = config as ruleV2.ISceneTriggerConfig
+  const ids = [...(sceneConfig.sceneIds ?? [])]
+  if (sceneConfig.sceneId) {
+    ids.push(sceneConfig.sceneId)
+  }
+  return ids
+}
+
+function isDisjoint<T>(a: T[], b: T[]): boolean {
+  if (a.length === 0 || b.length === 0) {
+    return false
+  }
+  return !a.some((item) => b.includes(item))
+}
+
+/**
+ * 两个时间区间条件是否可能同时满足
+ */
+function isPeriodOverlap(a: ruleV2.IPeriodTriggerConfig, b: ruleV2.IPeriodTriggerConfig): boolean {
+  // 时区不同时，不做比较
+  if ((a.timeZone ?? "") !== (b.timeZone ?? "")) {
+    return true
+  }
+
+  // 生效的日期范围没有交集（YYYY-MM-DD 可以直接按字符串比较）
+  const start = [a.startDate, b.startDate].filter(Boolean).sort().pop()
+  const end = [a.endDate, b.endDate].filter(Boolean).sort().shift()
+  if (start && end && start > end) {
+    return false
+  }
+
+  const rangesA = getWeekRanges(a)
+  const rangesB = getWeekRanges(b)
+  return rangesA.some(([startA, endA]) =>
+    rangesB.some(([startB, endB]) => startA < endB && startB < endA)
+  )
+}
+
+/**
+ * 时间区间条件在一周之内覆盖的分钟范围 [start, end)，跨越周末的区间拆分成两段
+ */
+function getWeekRanges(config: ruleV2.IPeriodTriggerConfig): [number, number][] {
+  const days = config.days && config.days.length > 0 ? config.days : [0, 1, 2, 3, 4, 5, 6]
+  const ranges: [number, number][] = []
+  for (const day of days) {
+    for (const period of config.periods ?? []) {
+      const start = toMinutes(period.start)
+      // 与匹配时相同，区间包含结束的那一分钟
+      let end = toMinutes(period.end) + 1
+      if (end <= start) {
+        // 跨越午夜的区间（结束时间早于开始时间），以区间开始的那一天为准
+        end += MINUTES_OF_DAY
+      }
+      const weekStart = day * MINUTES_OF_DAY + start
+      const weekEnd = day * MINUTES_OF_DAY + end
+      if (weekEnd > MINUTES_OF_WEEK) {
+        ranges.push([weekStart, MINUTES_OF_WEEK])
+        ranges.push([0, weekEnd - MINUTES_OF_WEEK])
+      } else {
+        ranges.push([weekStart, weekEnd])
+      }
+    }
+  }
+  return ranges
+}
+
+function toMinutes(time: string): number {
+  const [hour, minute] = time.split(":").map((v) => Number(v))
+  return hour * 60 + minute
+}
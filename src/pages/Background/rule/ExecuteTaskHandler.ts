@@ -2,7 +2,9 @@ import chromeP from "webext-polyfill-kinda"
 
 import { DelayCloseToken, getDelayCloser } from "./delayCloser"
 import { IMatchResult } from "./handlers/matchHandler"
+import { getOverriddenExtensionIds } from "./manualOverride"
 import type { ProcessContext, RunningProcessContext } from "./processor"
+import { getReloadTabs, reloadTabs } from "./tabReloader"
 
 /**
  * 启用或禁用扩展的任务描述
@@ -19,7 +21,7 @@ export type ExecuteTask = {
   targetExtensions: string[]
 
   /**
-   * 执行之后是否重新加载当前页面
+   * 执行之后是否重新加载页面，重新加载的范围由规则的 reloadScope 决定
    */
   reload: boolean | undefined
 
@@ -39,30 +41,156 @@ export type ExecuteTask = {
   priority: ExecuteTaskPriority
 }
 
+/**
+ * 因为优先级冲突，在某个扩展上被移除的执行任务
+ */
+export type DroppedTask = {
+  /**
+   * 被移除任务的目标扩展
+   */
+  extensionId: string
+
+  /**
+   * 被移除任务的执行类型
+   */
+  executeType?: "enable" | "disable"
+
+  /**
+   * 被移除任务所属的规则
+   */
+  ruleId?: string
+
+  /**
+   * 被移除任务的优先级
+   */
+  priority: number
+
+  /**
+   * 被移除任务是否是规则不匹配时产生的
+   */
+  notMatch: boolean
+
+  /**
+   * 胜出任务所属的规则
+   */
+  winnerRuleId?: string
+
+  /**
+   * 胜出任务的执行类型
+   */
+  winnerExecuteType?: "enable" | "disable"
+}
+
+/**
+ * 执行任务时，对单个扩展实际进行的操作
+ */
+export type ExecutionRecord = {
+  /**
+   * 目标扩展
+   */
+  extensionId: string
+
+  /**
+   * 执行类型，启用扩展还是禁用扩展
+   */
+  executeType: "enable" | "disable"
+
+  /**
+   * 产生此操作的规则
+   */
+  ruleId?: string
+
+  /**
+   * 操作的结果
+   * done: 已经调用 setEnabled；pending: 延迟禁用，等待执行；cancelled: 延迟禁用被取消（扩展又被启用）；
+   * lingering: 规则设置了 linger，等待到期后禁用；skipped: 存在扩展的设置页面，暂不禁用；
+   * overridden: 扩展被用户手动启用或禁用过，覆盖期间规则不修改；failed: 调用失败
+   */
+  result: "done" | "pending" | "cancelled" | "lingering" | "skipped" | "overridden" | "failed"
+
+  /**
+   * 调用失败时的错误信息
+   */
+  error?: string
+}
+
 /**
  * 在本轮执行中，规则执行任务的优先级
+ * 匹配时产生的任务总是优先于不匹配时产生的任务；同类任务之间，比较规则的优先级
  */
 export class ExecuteTaskPriority {
   private _priority = 0
+  private _notMatch = false
 
+  /**
+   * 规则的优先级
+   */
   get priority() {
     return this._priority
   }
 
-  // 不匹配的执行，优先级降低 100
+  /**
+   * 是否是规则不匹配时产生的任务
+   */
+  get notMatch() {
+    return this._notMatch
+  }
+
+  // 不匹配的执行，优先级低于所有匹配的执行
   setNotMatch() {
-    this._priority -= 100
+    this._notMatch = true
   }
 
-  // Set the base priority (used for domain rules with override mode)
+  // 设置规则的优先级
   setPriority(value: number) {
     this._priority = value
   }
+
+  /**
+   * 与另一个优先级比较，大于 0 表示高于另一个
+   */
+  compareTo(other: ExecuteTaskPriority): number {
+    if (this._notMatch !== other._notMatch) {
+      return this._notMatch ? -1 : 1
+    }
+    return this._priority - other._priority
+  }
 }
 
 export class ExecuteTaskHandler {
   private _taskMap: Map<string, ExecuteTask> = new Map()
   private _tasks: ExecuteTask[] = []
+  private _droppedTasks: DroppedTask[] = []
+  private _executions: ExecutionRecord[] = []
+
+  /**
+   * 本轮已经添加的全部任务（冲突的扩展已经从任务目标中移除）
+   */
+  get tasks(): ExecuteTask[] {
+    return this._tasks
+  }
+
+  /**
+   * 本轮因为优先级冲突被移除的任务
+   */
+  get droppedTasks(): DroppedTask[] {
+    return this._droppedTasks
+  }
+
+  /**
+   * 本轮执行中，对扩展实际进行的操作
+   */
+  get executions(): ExecutionRecord[] {
+    return this._executions
+  }
+
+  /**
+   * 记录对扩展实际进行的操作；返回的记录可以在之后更新结果（例如延迟禁用完成时）
+   */
+  recordExecution(record: ExecutionRecord): ExecutionRecord {
+    this._executions.push(record)
+    return record
+  }
 
   /**
    * 添加扩展关闭任务
@@ -88,12 +216,14 @@ export class ExecuteTaskHandler {
       }
 
       const oldTask = this._taskMap.get(extId)!
-      if (oldTask.priority.priority < task.priority.priority) {
+      if (task.priority.compareTo(oldTask.priority) > 0) {
         oldTask.targetExtensions = oldTask.targetExtensions.filter((i) => i !== extId)
         this._taskMap.set(extId, task)
+        this.recordDropped(extId, oldTask, task)
         console.log("移除冲突的规则处理", "extensionId", extId, "ruleId", oldTask.ctx.rule?.id)
       } else {
         task.targetExtensions = task.targetExtensions.filter((i) => i !== extId)
+        this.recordDropped(extId, task, oldTask)
         console.log("移除冲突的规则处理", "extensionId", extId, "ruleId", task.ctx.rule?.id)
       }
     }
@@ -101,16 +231,42 @@ export class ExecuteTaskHandler {
     this._tasks.push(task)
   }
 
+  private recordDropped(extId: string, dropped: ExecuteTask, winner: ExecuteTask) {
+    this._droppedTasks.push({
+      extensionId: extId,
+      executeType: dropped.executeType,
+      ruleId: dropped.ctx.rule?.id,
+      priority: dropped.priority.priority,
+      notMatch: dropped.priority.notMatch,
+      winnerRuleId: winner.ctx.rule?.id,
+      winnerExecuteType: winner.executeType
+    })
+  }
+
   /**
    * 统一执行全部的规则
    */
   async execute() {
+    // 用户手动启用或禁用过的扩展，在覆盖期间不修改
+    const overridden = await getOverriddenExtensionIds()
+    // 等待中的延迟禁用（linger）只读取一次，启用扩展时只取消确实在等待的
+    const EM = this._tasks.find((task) => task.ctx.EM)?.ctx.EM
+    const lingering = new Set(
+      EM ? (await getDelayCloser().getLingering(EM)).map((item) => item.extId) : []
+    )
     for (const task of this._tasks) {
-      const { executeType, targetExtensions, reload, tabInfo, ctx } = task
+      const { executeType, reload, tabInfo, ctx, priority } = task
+      const targetExtensions = task.targetExtensions.filter((extId) => {
+        if (!overridden.has(extId)) {
+          return true
+        }
+        createExecutionRecorder(executeType ?? "enable", ctx)(extId, "overridden")
+        return false
+      })
       if (executeType === "enable") {
-        await openExtensions(targetExtensions, reload, tabInfo, ctx)
+        await openExtensions(targetExtensions, reload, tabInfo, ctx, lingering)
       } else {
-        await closeExtensions(targetExtensions, reload, tabInfo, ctx)
+        await closeExtensions(targetExtensions, reload, tabInfo, ctx, priority)
       }
     }
   }
@@ -120,10 +276,15 @@ async function closeExtensions(
   targetExtensions: string[],
   reload: boolean | undefined,
   tabInfo: chrome.tabs.Tab | null,
-  ctx: RunningProcessContext
+  ctx: RunningProcessContext,
+  priority: ExecuteTaskPriority
 ) {
   let worked = false
 
+  // 规则设置了 linger 时，在匹配结束之后，保持启用一段时间再禁用；匹配时产生的禁用立即执行
+  const lingerMinutes = priority.notMatch ? ctx.rule?.action?.lingerMinutes ?? 0 : 0
+  const record = createExecutionRecorder("disable", ctx)
+
   let delayToken: DelayCloseToken | undefined
   for (const extId of targetExtensions) {
     try {
@@ -137,11 +298,28 @@ async function closeExtensions(
       })
       if (settingTab) {
         console.info(`[Rule] exist page about ${extId}, cancel disable`)
+        record(extId, "skipped")
         continue
       }
 
       const delayCloser = getDelayCloser()
+      if (lingerMinutes > 0 && ctx.EM) {
+        await delayCloser.linger(ctx.EM, info, lingerMinutes * 60 * 1000, {
+          rule: ctx.rule,
+          matchResult: ctx.matchResult,
+          reloadTabIds: reload
+            ? getReloadTabs(ctx.rule?.action, tabInfo, ctx)
+                .map((tab) => tab.id)
+                .filter((id): id is number => id !== undefined)
+            : undefined
+        })
+        record(extId, "lingering")
+        continue
+      }
+
+      const execution = record(extId, "pending")
       delayToken = delayCloser.close(info, () => {
+        execution.result = "done"
         // 历史记录
         ctx.EM?.History.EventHandler.onAutoDisabled(info, ctx.rule!, ctx.matchResult!)
       })
@@ -149,22 +327,16 @@ async function closeExtensions(
       worked = true
     } catch (err) {
       console.warn(`Disable Extension fail (${extId}).`, err)
+      record(extId, "failed", err)
     }
   }
 
-  if (worked && reload && tabInfo && tabInfo.id) {
+  if (worked && reload) {
     const token = delayToken
-    const closureTabInfo = tabInfo
+    const tabs = getReloadTabs(ctx.rule?.action, tabInfo, ctx)
     setTimeout(async () => {
       if (token?.Available) {
-        try {
-          await chrome.tabs.reload(closureTabInfo.id!)
-          console.log(
-            `[Extension Manager] reload tab [${closureTabInfo.title}](${closureTabInfo.url})`
-          )
-        } catch (err) {
-          console.warn(`closeExtensions reload tab fail.`, tabInfo, err)
-        }
+        await reloadTabs(tabs, ctx.rule?.action)
       }
     }, DelayCloseToken.DelayTime + 50)
   }
@@ -174,14 +346,17 @@ async function openExtensions(
   targetExtensions: string[],
   reload: boolean | undefined,
   tabInfo: chrome.tabs.Tab | null,
-  ctx: RunningProcessContext
+  ctx: RunningProcessContext,
+  lingering: Set<string>
 ) {
   let worked = false
+  const record = createExecutionRecorder("enable", ctx)
 
   for (const extId of targetExtensions) {
     try {
+      // 取消等待中的禁用；只有确实在延迟禁用（linger）列表中时，才修改保存的列表
       const delayCloser = getDelayCloser()
-      delayCloser.cancel(extId)
+      await delayCloser.cancel(extId, lingering.has(extId) ? ctx.EM : undefined)
 
       const info = await chromeP.management.get(extId)
       if (!info || info.enabled) {
@@ -190,15 +365,28 @@ async function openExtensions(
 
       console.log(`[Extension Manager] enable extension [${info.name}]`)
       await chromeP.management.setEnabled(extId, true)
+      record(extId, "done")
       ctx.EM?.History.EventHandler.onAutoEnabled(info, ctx.rule!, ctx.matchResult!)
       worked = true
     } catch (err) {
       console.warn(`Enable Extension fail (${extId}).`, err)
+      record(extId, "failed", err)
     }
   }
 
-  if (worked && reload && tabInfo && tabInfo.id) {
-    chrome.tabs.reload(tabInfo.id)
-    console.log(`[Extension Manager] reload tab [${tabInfo.title}](${tabInfo.url})`)
+  if (worked && reload) {
+    reloadTabs(getReloadTabs(ctx.rule?.action, tabInfo, ctx), ctx.rule?.action)
+  }
+}
+
+function createExecutionRecorder(executeType: "enable" | "disable", ctx: RunningProcessContext) {
+  return (extensionId: string, result: ExecutionRecord["result"], error?: unknown) => {
+    return ctx.executeTaskHandler.recordExecution({
+      extensionId,
+      executeType,
+      ruleId: ctx.rule?.id,
+      result,
+      error: error === undefined ? undefined : String((error as Error)?.message ?? error)
+    })
   }
 }
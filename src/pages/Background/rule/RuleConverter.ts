@@ -1,3 +1,5 @@
+import { getConditionTriggers, getMatchCondition } from "./handlers/conditionHandler"
+
 export default function ConvertRuleToV2(rule1: rule.IRuleConfig): ruleV2.IRuleConfig | null {
   if (!rule1) {
     return null
@@ -5,7 +7,7 @@ export default function ConvertRuleToV2(rule1: rule.IRuleConfig): ruleV2.IRuleCo
 
   const tmpRule = rule1 as any
   if (tmpRule.version === 2) {
-    return tmpRule
+    return upgradeMatchCondition(tmpRule)
   }
 
   const rule2: ruleV2.IRuleConfig = {
@@ -115,5 +117,23 @@ export default function ConvertRuleToV2(rule1: rule.IRuleConfig): ruleV2.IRuleCo
   rule2.target = target
   rule2.action = action
 
-  return rule2
+  return upgradeMatchCondition(rule2)
+}
+
+/**
+ * 平铺的触发条件（relationship + triggers）升级为条件树；已有条件树的规则，重新生成平铺的触发条件列表
+ */
+function upgradeMatchCondition(rule: ruleV2.IRuleConfig): ruleV2.IRuleConfig {
+  if (!rule.match) {
+    return rule
+  }
+  const condition = getMatchCondition(rule.match)
+  return {
+    ...rule,
+    match: {
+      ...rule.match,
+      triggers: getConditionTriggers(condition),
+      condition: condition
+    }
+  }
 }
@@ -4,8 +4,18 @@ import chromeP from "webext-polyfill-kinda"
 import type { IExtensionManager } from ".../types/global"
 import logger from ".../utils/logger"
 import ConvertRuleToV2 from "./RuleConverter"
-import processRule from "./processor"
+import { isAutomationPaused } from "./automationPause"
+import { DelayCloseToken, LingerCloseItem, getDelayCloser } from "./delayCloser"
+import { ExtraActionRunner } from "./extraActions"
+import { hasTargetSelectors } from "./handlers/targetHandler"
+import { getIdleThresholds, scheduleIdleThresholdAlarms, updateIdleDetection } from "./idleAlarm"
+import { releaseStaleOverrides } from "./manualOverride"
+import { schedulePeriodBoundaryAlarm } from "./periodAlarm"
+import processRule, { ProcessReport } from "./processor"
 import { RuleIndexer } from "./RuleIndexer"
+import { SceneAutoSwitch, SceneAutoSwitcher } from "./sceneAutoSwitcher"
+import { TraceEvent, buildTraceRecord } from "./trace/TraceRecord"
+import { TraceRepo } from "./trace/TraceRepo"
 
 export class RuleHandler {
   /**
@@ -35,6 +45,13 @@ export class RuleHandler {
    */
   public indexer: RuleIndexer = new RuleIndexer()
 
+  /**
+   * 当前的全部规则（V2 格式）
+   */
+  get rules(): ruleV2.IRuleConfig[] {
+    return this._rules ?? []
+  }
+
   /**
    * 分组配置信息
    */
@@ -45,34 +62,227 @@ export class RuleHandler {
    */
   private EM?: IExtensionManager
 
+  /**
+   * 上一次执行规则时，打开的全部标签页。标签页关闭之后就无法再获取其信息，所以需要缓存
+   */
+  #lastTabs: chrome.tabs.Tab[] = []
+
+  /**
+   * 上一次执行规则之后，被关闭的标签页
+   */
+  #closedTabs: chrome.tabs.Tab[] = []
+
+  /**
+   * 上一次执行规则之后，被关闭的窗口
+   */
+  #closedWindowId?: number
+
+  /**
+   * 自上一次执行规则之后，引起规则执行的事件
+   */
+  #pendingEvents: Set<TraceEvent> = new Set()
+
+  /**
+   * 规则执行记录
+   */
+  #traceRepo?: TraceRepo
+
+  /**
+   * 执行规则中启用禁用扩展之外的动作
+   */
+  #extraActionRunner = new ExtraActionRunner()
+
+  /**
+   * 按情景模式的自动激活条件，自动切换情景模式
+   */
+  #sceneAutoSwitcher = new SceneAutoSwitcher()
+
   onCurrentSceneChanged(scene: config.IScene): void {
     this.#currentScene = scene
-    this.invokeDebounceDo()
+    this.invokeDebounceDo("sceneChanged")
+  }
+
+  /**
+   * 手动切换了情景模式（Popup、设置页面、快捷键），在设置的时间内暂停自动切换
+   */
+  onSceneManuallySwitched(scene: config.IScene): void {
+    if (this.EM && this.#sceneAutoSwitcher.activationRules.length > 0) {
+      this.#sceneAutoSwitcher.holdForManualSwitch(this.EM).catch((error) => {
+        logger().warn("[Rule] 暂停自动切换情景模式失败", error)
+      })
+    }
+    this.onCurrentSceneChanged(scene)
+  }
+
+  /**
+   * 候选情景模式持续满足条件，或者手动切换的暂停时间结束，重新检查是否需要自动切换
+   */
+  onSceneAutoAlarm(): void {
+    this.invokeDebounceDo("sceneAutoCheck")
+  }
+
+  /**
+   * 情景模式的配置变化（自动激活条件），重新设置 alarm 并重新执行规则
+   */
+  setScenes(scenes: config.IScene[] | undefined): void {
+    this.#sceneAutoSwitcher.setScenes(scenes ?? [])
+    if (!this.EM) {
+      // 初始化之前设置，由 init 处理
+      return
+    }
+    this.schedulePeriodAlarm()
+    updateIdleDetection(this.alarmRules)
+    this.invokeDebounceDo("sceneChanged")
   }
 
   onCurrentUrlChanged(tabInfo: chrome.tabs.Tab): void {
     this.#currentTabInfo = tabInfo
-    this.invokeDebounceDo()
+    this.invokeDebounceDo("tabUpdated")
   }
 
   onTabClosed(tabId: number, removeInfo: chrome.tabs.TabRemoveInfo): void {
-    this.invokeDebounceDo()
+    this.addClosedTabs(this.#lastTabs.filter((t) => t.id === tabId))
+    if (removeInfo.isWindowClosing) {
+      this.#closedWindowId = removeInfo.windowId
+    }
+    this.invokeDebounceDo("tabClosed")
   }
 
   onWindowClosed(windowsId: number): void {
-    this.invokeDebounceDo()
+    this.addClosedTabs(this.#lastTabs.filter((t) => t.windowId === windowsId))
+    this.#closedWindowId = windowsId
+    this.invokeDebounceDo("windowClosed")
+  }
+
+  private addClosedTabs(tabs: chrome.tabs.Tab[]): void {
+    for (const tab of tabs) {
+      if (!this.#closedTabs.find((t) => t.id === tab.id)) {
+        this.#closedTabs.push(tab)
+      }
+    }
+  }
+
+  /**
+   * 到达某个规则的时间区间边界，重新执行规则，并设置下一个边界的 alarm
+   */
+  onPeriodBoundary(): void {
+    this.invokeDebounceDo("periodBoundary")
+    this.schedulePeriodAlarm()
+  }
+
+  /**
+   * 空闲状态变化（活动、空闲、锁屏），只有存在空闲状态条件时才重新执行规则
+   */
+  onIdleStateChanged(state: chrome.idle.IdleState): void {
+    if (getIdleThresholds(this.alarmRules).length === 0) {
+      return
+    }
+    this.invokeDebounceDo("idleChanged")
+    scheduleIdleThresholdAlarms(this.alarmRules, state).catch((error) => {
+      logger().warn("[Rule] 设置空闲时间 alarm 失败", error)
+    })
+  }
+
+  /**
+   * 空闲时间达到某个空闲状态条件，重新执行规则
+   */
+  onIdleThreshold(): void {
+    this.invokeDebounceDo("idleChanged")
+  }
+
+  /**
+   * 标签组变化（创建、重命名、修改颜色，标签页移入移出），只有存在标签组条件时才重新执行规则
+   */
+  onTabGroupChanged(): void {
+    const hasTabGroupTrigger = this._rules?.some(
+      (r) => r.enable && r.match?.triggers?.some((t) => t.trigger === "tabGroupTrigger")
+    )
+    if (hasTabGroupTrigger) {
+      this.invokeDebounceDo("tabGroupChanged")
+    }
+  }
+
+  /**
+   * 窗口变化（创建、焦点切换、状态变化），只有存在窗口条件时才重新执行规则
+   */
+  onWindowChanged(): void {
+    const hasWindowTrigger = this._rules?.some(
+      (r) => r.enable && r.match?.triggers?.some((t) => t.trigger === "windowTrigger")
+    )
+    if (hasWindowTrigger) {
+      this.invokeDebounceDo("windowChanged")
+    }
+  }
+
+  /**
+   * 扩展安装、更新或卸载，只有存在目标选择器时才重新执行规则（新安装的扩展可能满足选择器）
+   */
+  onExtensionInstalled(): void {
+    const hasTargetSelector = this._rules?.some((r) => r.enable && hasTargetSelectors(r))
+    if (hasTargetSelector) {
+      this.invokeDebounceDo("extensionInstalled")
+    }
+  }
+
+  /**
+   * 延迟禁用（linger）到期，禁用扩展
+   */
+  onLingerDue(): void {
+    if (!this.EM) {
+      return
+    }
+    const EM = this.EM
+    isAutomationPaused(EM)
+      .then((paused) => {
+        // 暂停期间到期的延迟禁用，在恢复时执行
+        if (!paused) {
+          return getDelayCloser().closeDueLingering(EM)
+        }
+      })
+      .catch((error) => {
+        logger().warn("[Rule] 延迟禁用扩展失败", error)
+      })
+  }
+
+  /**
+   * 手动覆盖被解除或者到期，重新执行规则
+   */
+  onManualOverrideReleased(): void {
+    this.invokeDebounceDo("manualOverrideReleased")
+  }
+
+  /**
+   * 自动化从暂停中恢复，执行暂停期间到期的延迟禁用，并重新执行全部规则
+   */
+  onAutomationResumed(): void {
+    this.onLingerDue()
+    this.invokeDebounceDo("automationResumed")
+  }
+
+  /**
+   * 等待中的延迟禁用
+   */
+  async getLingering(): Promise<LingerCloseItem[]> {
+    if (!this.EM) {
+      return []
+    }
+    return await getDelayCloser().getLingering(this.EM)
   }
 
   setRules(rules: rule.IRuleConfig[]): void {
     if (!rules || rules.length === 0) {
       this._rules = []
       this.indexer.clear()
+      this.schedulePeriodAlarm()
+      updateIdleDetection(this.alarmRules)
       return
     }
     this._rules = this.convertRule(rules)
     // Rebuild index when rules change
     this.indexer.rebuildIndex(this._rules)
-    this.invokeDebounceDo()
+    this.schedulePeriodAlarm()
+    updateIdleDetection(this.alarmRules)
+    this.invokeDebounceDo("rulesChanged")
   }
 
   init(
@@ -89,7 +299,22 @@ export class RuleHandler {
     this.indexer.rebuildIndex(this._rules)
     this.#groups = groups
     this.EM = EM
-    this.debounceDo()
+    this.schedulePeriodAlarm()
+    updateIdleDetection(this.alarmRules)
+    this.invokeDebounceDo("init")
+  }
+
+  /**
+   * 需要设置时间区间和空闲时间 alarm 的规则，包括情景模式的自动激活条件
+   */
+  private get alarmRules(): ruleV2.IRuleConfig[] {
+    return [...(this._rules ?? []), ...this.#sceneAutoSwitcher.activationRules]
+  }
+
+  private schedulePeriodAlarm(): void {
+    schedulePeriodBoundaryAlarm(this.alarmRules).catch((error) => {
+      logger().warn("[Rule] 设置时间区间边界 alarm 失败", error)
+    })
   }
 
   private convertRule(rules: rule.IRuleConfig[]): ruleV2.IRuleConfig[] {
@@ -103,33 +328,157 @@ export class RuleHandler {
     return ruleList
   }
 
-  private invokeDebounceDo(): void {
+  private invokeDebounceDo(event: TraceEvent): void {
+    this.#pendingEvents.add(event)
     this.debounceDo()
   }
 
   private debounceDo: () => void
 
+  /**
+   * 使用指定的场景、标签页、操作系统、时间和空闲状态模拟执行一次规则，只返回计算结果，不会修改扩展状态
+   */
+  async simulate({
+    scene,
+    tab,
+    tabs,
+    os,
+    now,
+    idleState,
+    groups
+  }: {
+    scene?: config.IScene
+    tab: chrome.tabs.Tab | null
+    tabs: chrome.tabs.Tab[]
+    os?: string
+    now?: Date
+    idleState?: chrome.idle.IdleState
+    groups?: config.IGroup[]
+  }): Promise<ProcessReport> {
+    const self = await chromeP.management.getSelf()
+
+    return await processRule({
+      scene,
+      rules: this._rules,
+      groups: groups ?? this.#groups,
+      ctx: { self, tab, tabs, os, now, idleState, EM: this.EM },
+      dryRun: true
+    })
+  }
+
   private async do(): Promise<void> {
     logger().debug("[Extension Manager] 执行规则")
 
+    if (await isAutomationPaused(this.EM)) {
+      // 暂停期间不执行规则，恢复时会重新执行全部规则
+      logger().debug("[Rule] 自动化已暂停，跳过执行规则")
+      this.#pendingEvents.clear()
+      this.#closedTabs = []
+      this.#closedWindowId = undefined
+      return
+    }
+
     const self = await chromeP.management.getSelf()
     const tabs = await chromeP.tabs.query({})
+    const windows = await chromeP.windows.getAll({})
+
+    // 取出上一次执行之后关闭的标签页和窗口，只在本轮执行中使用
+    const closedTabs = this.#closedTabs
+    const closedWindowId = this.#closedWindowId
+    this.#closedTabs = []
+    this.#closedWindowId = undefined
+    this.#lastTabs = tabs
+
+    const events = [...this.#pendingEvents]
+    this.#pendingEvents.clear()
+
+    // 离开了网站或者到期的手动覆盖，在本轮执行之前解除
+    if (await releaseStaleOverrides(this.#currentTabInfo ?? null)) {
+      events.push("manualOverrideReleased")
+    }
+
+    if (this.EM) {
+      const autoSwitch = await this.#sceneAutoSwitcher.evaluate(
+        this.#currentScene,
+        this.#currentTabInfo ?? null,
+        this.EM
+      )
+      if (autoSwitch) {
+        await this.applySceneAutoSwitch(autoSwitch)
+        events.push("sceneAutoSwitched")
+      }
+    }
+    const scene = this.#currentScene
 
     const ctx = {
       self,
       tabs,
+      windows,
       tab: this.#currentTabInfo ?? null,
-      EM: this.EM
+      EM: this.EM,
+      closedTabs,
+      closedWindowId
     }
 
     logger().debug(`[Rule] ctx`, ctx)
 
-    await processRule({
-      scene: this.#currentScene,
+    const report = await processRule({
+      scene,
       rules: this._rules,
       groups: this.#groups,
       ctx: ctx
     })
+
+    this.#extraActionRunner.run(report, {
+      EM: this.EM,
+      groups: this.#groups,
+      scene,
+      onSceneSwitched: (nextScene) => this.onCurrentSceneChanged(nextScene)
+    })
+
+    this.EM?.Rule?.stats?.onProcessed(this.rules, report)
+
+    this.trace(events, scene, ctx.tab, report).catch((error) => {
+      logger().warn("[Rule] 保存规则执行记录失败", error)
+    })
+  }
+
+  /**
+   * 自动切换情景模式：保存当前情景模式，启用常开分组中的扩展，并记录历史
+   */
+  private async applySceneAutoSwitch({ from, to }: SceneAutoSwitch): Promise<void> {
+    this.#currentScene = to.id ? to : undefined
+    await this.EM?.LocalOptions.setActiveSceneId(to.id)
+
+    this.EM?.Extension?.alwaysOnHandler?.enableAlwaysOnExtensions().catch((error) => {
+      logger().warn("[Rule] Failed to enable always-on extensions on scene change", error)
+    })
+    this.EM?.History.EventHandler.onSceneAutoSwitched(from, to)
+  }
+
+  /**
+   * 保存本轮规则执行的记录；存在延迟禁用时，等待禁用完成之后再保存
+   */
+  private async trace(
+    events: TraceEvent[],
+    scene: config.IScene | undefined,
+    tab: chrome.tabs.Tab | null,
+    report: ProcessReport
+  ): Promise<void> {
+    const record = buildTraceRecord(events, scene, tab, report)
+
+    if (report.executions.some((e) => e.result === "pending")) {
+      await new Promise((resolve) => setTimeout(resolve, DelayCloseToken.DelayTime + 100))
+      // 到期之后仍然没有执行的延迟禁用，是被取消了
+      record.executions = report.executions.map((e) =>
+        e.result === "pending" ? { ...e, result: "cancelled" } : { ...e }
+      )
+    }
+
+    if (!this.#traceRepo) {
+      this.#traceRepo = new TraceRepo()
+    }
+    await this.#traceRepo.add(record)
   }
 }
 
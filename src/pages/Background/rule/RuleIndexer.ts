@@ -1,4 +1,6 @@
 import type { ruleV2 } from ".../types/rule"
+import { resetTextMatcherCache } from "./handlers/match/urlMatcherCache"
+import { getPatternHost } from "./handlers/match/urlPatternMatcher"
 
 /**
  * Inverted index for efficient rule matching
@@ -8,6 +10,7 @@ export class RuleIndexer {
   private domainIndex: Map<string, Set<string>> = new Map() // domain -> rule IDs
   private sceneIndex: Map<string, Set<string>> = new Map() // scene ID -> rule IDs
   private osIndex: Map<string, Set<string>> = new Map() // OS -> rule IDs
+  private anyUrlRules: Set<string> = new Set() // rules with URL patterns that cannot be mapped to a domain
   private allRules: Map<string, ruleV2.IRuleConfig> = new Map() // rule ID -> rule config
 
   /**
@@ -18,8 +21,12 @@ export class RuleIndexer {
     this.domainIndex.clear()
     this.sceneIndex.clear()
     this.osIndex.clear()
+    this.anyUrlRules.clear()
     this.allRules.clear()
 
+    // Compile URL patterns once, so matching does not recompile them for every tab
+    resetTextMatcherCache(rules.filter((rule) => rule.enable))
+
     for (const rule of rules) {
       if (!rule.enable || !rule.id) {
         continue
@@ -35,12 +42,15 @@ export class RuleIndexer {
             const patterns = urlConfig.matchUrl || []
             for (const pattern of patterns) {
               // Extract domain from pattern (simplified - could be improved)
-              const domain = this.extractDomainFromPattern(pattern)
+              const domain = this.extractDomainFromPattern(pattern, urlConfig.matchMethod)
               if (domain) {
                 if (!this.domainIndex.has(domain)) {
                   this.domainIndex.set(domain, new Set())
                 }
                 this.domainIndex.get(domain)!.add(rule.id)
+              } else {
+                // The pattern may match any host, so the rule is a candidate for every URL
+                this.anyUrlRules.add(rule.id)
               }
             }
           } else if (trigger.trigger === "sceneTrigger" && trigger.config) {
@@ -75,10 +85,19 @@ export class RuleIndexer {
   }
 
   /**
-   * Extract domain from URL pattern (wildcard or regex)
-   * This is a simplified extraction - for full accuracy, we'd need to parse the pattern
+   * Extract domain from URL pattern
+   * Match patterns and URLPatterns are parsed by their host component;
+   * for wildcard and regex this is a simplified extraction - for full accuracy, we'd need to parse the pattern
    */
-  private extractDomainFromPattern(pattern: string): string | null {
+  private extractDomainFromPattern(
+    pattern: string,
+    matchMethod: ruleV2.UrlMatchMethod
+  ): string | null {
+    if (matchMethod === "matchPattern" || matchMethod === "urlPattern") {
+      const host = getPatternHost(pattern, matchMethod)
+      return host ? this.extractDomain(host) : null
+    }
+
     // Remove wildcards and regex markers
     let domain = pattern
       .replace(/^\*+/, "")
@@ -107,7 +126,7 @@ export class RuleIndexer {
       const hostname = urlObj.hostname
       const domain = this.extractDomain(hostname)
 
-      const candidateRuleIds = new Set<string>()
+      const candidateRuleIds = new Set<string>(this.anyUrlRules)
 
       // Add rules indexed for this domain
       if (domain && this.domainIndex.has(domain)) {
@@ -178,6 +197,7 @@ export class RuleIndexer {
     this.domainIndex.clear()
     this.sceneIndex.clear()
     this.osIndex.clear()
+    this.anyUrlRules.clear()
     this.allRules.clear()
   }
 }
@@ -0,0 +1,157 @@
+import type { LocalOptions } from ".../storage/local"
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+
+/**
+ * 暂停到期、自动恢复的 alarm 名称
+ */
+export const AUTOMATION_RESUME_ALARM = "automation-resume"
+
+/**
+ * 暂停状态，保存在 LocalOptions 中的 key；service worker 和浏览器重启之后仍然有效
+ */
+const PAUSE_STORAGE_KEY = "automationPause"
+
+/**
+ * 暂停时在工具栏图标上显示的标记
+ */
+const PAUSED_BADGE_TEXT = "II"
+const PAUSED_BADGE_COLOR = "#faad14"
+
+/**
+ * 暂停的时长：15 分钟、1 小时、到明天（次日 0 点）、一直暂停直到手动恢复
+ */
+export type PauseDuration = "15m" | "1h" | "tomorrow" | "indefinite"
+
+export type AutomationPauseState = {
+  paused: boolean
+  /**
+   * 自动恢复的时间（毫秒时间戳），为空表示一直暂停
+   */
+  until?: number
+}
+
+/**
+ * 计算暂停的结束时间，一直暂停时返回 undefined
+ */
+export function getPauseUntil(duration: PauseDuration, now: Date = new Date()): number | undefined {
+  switch (duration) {
+    case "15m":
+      return now.getTime() + 15 * 60 * 1000
+    case "1h":
+      return now.getTime() + 60 * 60 * 1000
+    case "tomorrow": {
+      const tomorrow = new Date(now)
+      tomorrow.setHours(24, 0, 0, 0)
+      return tomorrow.getTime()
+    }
+    default:
+      return undefined
+  }
+}
+
+/**
+ * 当前的暂停状态；已经到期（alarm 还没有触发）时视为没有暂停
+ */
+export async function getAutomationPauseState(local: LocalOptions): Promise<AutomationPauseState> {
+  const state = await local.getValue<AutomationPauseState>(PAUSE_STORAGE_KEY)
+  if (!state?.paused || (state.until && state.until <= Date.now())) {
+    return { paused: false }
+  }
+  return state
+}
+
+/**
+ * 自动化是否暂停中；暂停时规则、常开分组、互斥分组都不修改扩展状态
+ */
+export async function isAutomationPaused(EM: IExtensionManager | undefined): Promise<boolean> {
+  if (!EM?.LocalOptions) {
+    return false
+  }
+  const state = await getAutomationPauseState(EM.LocalOptions)
+  return state.paused
+}
+
+/**
+ * 暂停与恢复自动化（规则执行、常开分组、互斥分组）
+ */
+export class AutomationPause {
+  constructor(private EM: IExtensionManager) {}
+
+  async getState(): Promise<AutomationPauseState> {
+    return await getAutomationPauseState(this.EM.LocalOptions)
+  }
+
+  async pause(duration: PauseDuration): Promise<AutomationPauseState> {
+    const state: AutomationPauseState = { paused: true, until: getPauseUntil(duration) }
+    await this.EM.LocalOptions.setValue(PAUSE_STORAGE_KEY, state)
+
+    await chrome.alarms.clear(AUTOMATION_RESUME_ALARM)
+    if (state.until) {
+      await chrome.alarms.create(AUTOMATION_RESUME_ALARM, { when: state.until })
+    }
+    await updateBadge(true)
+    logger().debug(`[Automation] 暂停自动化 ${duration}`)
+    return state
+  }
+
+  /**
+   * 恢复自动化，并重新执行全部规则
+   */
+  async resume(): Promise<AutomationPauseState> {
+    await this.EM.LocalOptions.setValue<AutomationPauseState>(PAUSE_STORAGE_KEY, { paused: false })
+    await chrome.alarms.clear(AUTOMATION_RESUME_ALARM)
+    await updateBadge(false)
+    logger().debug("[Automation] 恢复自动化")
+
+    this.EM.Rule?.handler?.onAutomationResumed()
+    this.EM.Extension?.alwaysOnHandler?.enableAlwaysOnExtensions().catch((error) => {
+      logger().warn("[Automation] Failed to enable always-on extensions on resume", error)
+    })
+    return { paused: false }
+  }
+
+  /**
+   * 暂停或恢复（快捷键），暂停时一直暂停直到手动恢复
+   */
+  async toggle(): Promise<AutomationPauseState> {
+    const state = await this.getState()
+    return state.paused ? await this.resume() : await this.pause("indefinite")
+  }
+
+  /**
+   * 暂停到期
+   */
+  onResumeAlarm(): void {
+    this.resume().catch((error) => {
+      logger().warn("[Automation] 恢复自动化失败", error)
+    })
+  }
+
+  /**
+   * 启动时恢复工具栏图标上的标记；暂停已经到期（浏览器关闭期间）时，直接恢复
+   */
+  async restore(): Promise<void> {
+    const saved = await this.EM.LocalOptions.getValue<AutomationPauseState>(PAUSE_STORAGE_KEY)
+    if (!saved?.paused) {
+      return
+    }
+    const state = await this.getState()
+    if (!state.paused) {
+      await this.resume()
+      return
+    }
+    await updateBadge(true)
+  }
+}
+
+async function updateBadge(paused: boolean): Promise<void> {
+  try {
+    await chrome.action.setBadgeText({ text: paused ? PAUSED_BADGE_TEXT : "" })
+    if (paused) {
+      await chrome.action.setBadgeBackgroundColor({ color: PAUSED_BADGE_COLOR })
+    }
+  } catch (error) {
+    logger().warn("[Automation] 设置工具栏图标标记失败", error)
+  }
+}
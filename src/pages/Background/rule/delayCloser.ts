@@ -1,5 +1,62 @@
+import chromeP from "webext-polyfill-kinda"
+
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+import type { IMatchResult } from "./handlers/matchHandler"
+import { reloadTabsById } from "./tabReloader"
+
 const DELAY_TIME = 1000
 
+/**
+ * 延迟禁用（linger）到期的 alarm 名称
+ */
+export const LINGER_CLOSE_ALARM = "rule-linger-close"
+
+/**
+ * 等待中的延迟禁用，保存在 LocalOptions 中的 key
+ */
+const LINGER_STORAGE_KEY = "lingerCloses"
+
+/**
+ * 等待中的延迟禁用；保存在本地，service worker 重启之后仍然有效
+ */
+export type LingerCloseItem = {
+  /**
+   * 待关闭扩展的 ID
+   */
+  extId: string
+
+  /**
+   * 待关闭扩展的名称
+   */
+  name: string
+
+  /**
+   * 禁用的时间（毫秒时间戳）
+   */
+  closeAt: number
+
+  /**
+   * 产生此禁用动作的规则，用于历史记录
+   */
+  rule?: ruleV2.IRuleConfig
+
+  /**
+   * 产生此禁用动作时的匹配结果，用于历史记录
+   */
+  matchResult?: IMatchResult | null
+
+  /**
+   * 禁用之后需要重新加载的标签页（按规则的重新加载范围，在开始等待时确定）
+   */
+  reloadTabIds?: number[]
+
+  /**
+   * 旧版本保存的，禁用之后需要重新加载的单个标签页
+   */
+  reloadTabId?: number
+}
+
 export class DelayCloseToken {
   public static DelayTime: number = DELAY_TIME
 
@@ -29,6 +86,11 @@ export class DelayCloseToken {
 class DelayCloser {
   private _waiting: DelayCloseToken[]
 
+  /**
+   * 读写延迟禁用列表的队列，避免并发修改时相互覆盖
+   */
+  private _lingerQueue: Promise<unknown> = Promise.resolve()
+
   public constructor() {
     this._waiting = []
   }
@@ -56,13 +118,121 @@ class DelayCloser {
     return token
   }
 
+  /**
+   * 在指定的时间之后禁用扩展（规则设置了 linger）。同一个扩展已经在等待时，保持原来的禁用时间
+   * 等待中的禁用保存在本地，由 alarm 触发，service worker 重启之后仍然有效
+   */
+  public linger(
+    EM: IExtensionManager,
+    info: chrome.management.ExtensionInfo,
+    delay: number,
+    item: Pick<LingerCloseItem, "rule" | "matchResult" | "reloadTabIds">
+  ): Promise<void> {
+    return this.updateLingering(EM, (list) => {
+      if (list.find((i) => i.extId === info.id)) {
+        return list
+      }
+      const closeAt = Date.now() + delay
+      logger().debug(
+        `[Rule] linger disable [${info.name}] at ${new Date(closeAt).toLocaleString()}`
+      )
+      return [...list, { ...item, extId: info.id, name: info.name, closeAt }]
+    })
+  }
+
   // 取消指定扩展的禁用动作
-  public cancel(extId: string) {
+  public cancel(extId: string, EM?: IExtensionManager): Promise<void> | undefined {
     const list = this._waiting
     for (const item of list.filter((i) => i.Id === extId)) {
       item.cancel()
     }
     this.removeIneffective()
+
+    if (!EM) {
+      return undefined
+    }
+    return this.updateLingering(EM, (items) => {
+      return items.some((i) => i.extId === extId) ? items.filter((i) => i.extId !== extId) : items
+    })
+  }
+
+  /**
+   * 执行已经到期的延迟禁用（由 alarm 触发）
+   */
+  public closeDueLingering(EM: IExtensionManager): Promise<void> {
+    let due: LingerCloseItem[] = []
+    const update = this.updateLingering(EM, (list) => {
+      // alarm 的触发时间可能略有误差
+      const now = Date.now() + DELAY_TIME
+      due = list.filter((i) => i.closeAt <= now)
+      return due.length > 0 ? list.filter((i) => i.closeAt > now) : list
+    })
+
+    return update.then(async () => {
+      for (const item of due) {
+        await this.closeLingering(EM, item)
+      }
+    })
+  }
+
+  /**
+   * 全部等待中的延迟禁用
+   */
+  public async getLingering(EM: IExtensionManager): Promise<LingerCloseItem[]> {
+    return (await EM.LocalOptions.getValue<LingerCloseItem[]>(LINGER_STORAGE_KEY)) ?? []
+  }
+
+  private async closeLingering(EM: IExtensionManager, item: LingerCloseItem) {
+    try {
+      const info = await chromeP.management.get(item.extId)
+      if (!info || !info.enabled) {
+        return
+      }
+      console.log(`[Extension Manager] disable extension [${info.name}] after linger`)
+      await chromeP.management.setEnabled(info.id, false)
+      if (item.rule && item.matchResult) {
+        EM.History?.EventHandler.onAutoDisabled(info, item.rule, item.matchResult)
+      }
+
+      const reloadTabIds = item.reloadTabIds ?? []
+      if (item.reloadTabId !== undefined) {
+        reloadTabIds.push(item.reloadTabId)
+      }
+      if (reloadTabIds.length > 0) {
+        await reloadTabsById(reloadTabIds, item.rule?.action)
+      }
+    } catch (err) {
+      console.warn(`Disable Extension after linger fail (${item.extId}).`, err)
+    }
+  }
+
+  /**
+   * 修改等待中的延迟禁用列表，并把 alarm 设置为最近的禁用时间
+   * @param update 返回修改之后的列表，返回原列表表示没有修改
+   */
+  private updateLingering(
+    EM: IExtensionManager,
+    update: (list: LingerCloseItem[]) => LingerCloseItem[]
+  ): Promise<void> {
+    const task = this._lingerQueue.then(async () => {
+      const list = await this.getLingering(EM)
+      const next = update(list)
+      if (next === list) {
+        return
+      }
+      await EM.LocalOptions.setValue(LINGER_STORAGE_KEY, next)
+
+      await chrome.alarms.clear(LINGER_CLOSE_ALARM)
+      if (next.length > 0) {
+        const when = Math.min(...next.map((i) => i.closeAt))
+        await chrome.alarms.create(LINGER_CLOSE_ALARM, { when })
+      }
+    })
+    // 某一次失败，不影响之后的修改
+    this._lingerQueue = task.catch((error) => {
+      logger().warn("[Rule] update linger disable fail", error)
+    })
+    return task
   }
 
   // 从缓存中移除掉所有已经失效的 token，避免内存浪费
@@ -0,0 +1,247 @@
+import chromeP from "webext-polyfill-kinda"
+
+import storage from ".../storage/sync"
+import type { IExtensionManager } from ".../types/global"
+import { getGroupSwitchTargets } from ".../utils/extensionHelper"
+import logger from ".../utils/logger"
+import { getLang } from ".../utils/utils"
+import { isAutomationPaused } from "./automationPause"
+import type { IMatchResult } from "./handlers/matchHandler"
+import { getOverriddenExtensionIds } from "./manualOverride"
+import type { ProcessReport } from "./processor"
+
+/**
+ * 规则上一次的匹配状态，保存在 storage.session 中的 key；service worker 重启之后仍然有效，浏览器重启之后清空
+ */
+const MATCHED_STORAGE_KEY = "ruleExtraActionMatched"
+
+/**
+ * 在 SCENE_SWITCH_WINDOW 时间内，由规则切换情景模式的最大次数；超过时认为规则之间形成了循环，不再切换
+ */
+const SCENE_SWITCH_LIMIT = 3
+const SCENE_SWITCH_WINDOW = 10 * 1000
+
+export type ExtraActionContext = {
+  EM?: IExtensionManager
+  /**
+   * 用户配置的分组数据
+   */
+  groups?: config.IGroup[]
+  /**
+   * 当前情景模式
+   */
+  scene?: config.IScene
+  /**
+   * 规则切换了情景模式之后调用，用于重新执行规则
+   */
+  onSceneSwitched: (scene: config.IScene) => void
+}
+
+/**
+ * 执行规则中启用禁用扩展之外的动作（切换情景模式、应用分组、通知、打开设置页面）
+ * 这些动作只在规则的匹配状态发生变化时执行一次，而不是每次执行规则都执行
+ */
+export class ExtraActionRunner {
+  /**
+   * 由规则切换情景模式的时间，用于循环保护
+   */
+  #sceneSwitches: number[] = []
+
+  /**
+   * 依次执行每一轮规则的动作，避免并发执行时读到过期的匹配状态，重复执行动作
+   */
+  #queue: Promise<unknown> = Promise.resolve()
+
+  run(report: ProcessReport, ctx: ExtraActionContext): Promise<void> {
+    const task = this.#queue.then(() => this.runOnce(report, ctx))
+    // 某一轮失败，不影响之后的执行
+    this.#queue = task.catch((error) => {
+      logger().warn("[Rule] 执行规则动作失败", error)
+    })
+    return this.#queue as Promise<void>
+  }
+
+  private async runOnce(report: ProcessReport, ctx: ExtraActionContext): Promise<void> {
+    const rules = report.rules.filter((r) => r.rule.id && r.rule.action?.extraActions?.length)
+    const lastMatched = await getLastMatched()
+    const matched: Record<string, boolean> = {}
+
+    for (const { rule, skipped, matchResult } of rules) {
+      if (skipped === "disabled") {
+        continue
+      }
+      const isMatch = matchResult?.isCurrentMatch ?? false
+      const wasMatch = lastMatched[rule.id!] ?? false
+      matched[rule.id!] = isMatch
+      if (isMatch === wasMatch) {
+        continue
+      }
+
+      const when = isMatch ? "match" : "notMatch"
+      for (const action of rule.action!.extraActions!.filter((a) => a.when === when)) {
+        try {
+          await this.execute(action, rule, matchResult, ctx)
+        } catch (error) {
+          logger().warn(`[Rule] 执行规则动作失败 ${action.type}`, rule.id, error)
+        }
+      }
+    }
+
+    await chrome.storage.session.set({ [MATCHED_STORAGE_KEY]: matched })
+  }
+
+  private async execute(
+    action: ruleV2.IExtraAction,
+    rule: ruleV2.IRuleConfig,
+    matchResult: IMatchResult | null,
+    ctx: ExtraActionContext
+  ): Promise<void> {
+    logger().debug(`[Rule] 执行规则动作 ${action.type}`, rule.id, action)
+    switch (action.type) {
+      case "switchScene":
+        await this.switchScene(action.sceneId ?? "", ctx)
+        break
+      case "applyGroup":
+        await applyGroup(action.groupId, rule, matchResult, ctx)
+        break
+      case "notify":
+        await notify(action)
+        break
+      case "openOptions":
+        await openOptions(action.extensionId)
+        break
+    }
+  }
+
+  private async switchScene(sceneId: string, ctx: ExtraActionContext): Promise<void> {
+    if ((ctx.scene?.id ?? "") === sceneId) {
+      return
+    }
+
+    const now = Date.now()
+    this.#sceneSwitches = this.#sceneSwitches.filter((t) => now - t < SCENE_SWITCH_WINDOW)
+    if (this.#sceneSwitches.length >= SCENE_SWITCH_LIMIT) {
+      logger().warn(`[Rule] 规则切换情景模式过于频繁，可能存在循环，已忽略 ${sceneId}`)
+      return
+    }
+    this.#sceneSwitches.push(now)
+
+    const scenes: config.IScene[] = await storage.scene.getAll()
+    const scene = scenes.find((s) => s.id === sceneId)
+    if (sceneId && !scene) {
+      logger().warn(`[Rule] 情景模式不存在 ${sceneId}`)
+      return
+    }
+
+    await ctx.EM?.LocalOptions.setActiveSceneId(sceneId)
+    ctx.EM?.Extension?.alwaysOnHandler?.enableAlwaysOnExtensions().catch((error) => {
+      logger().warn("[Rule] Failed to enable always-on extensions on scene change", error)
+    })
+    ctx.onSceneSwitched(scene ?? { id: "", name: "" })
+  }
+}
+
+async function getLastMatched(): Promise<Record<string, boolean>> {
+  const result = await chrome.storage.session.get(MATCHED_STORAGE_KEY)
+  return result[MATCHED_STORAGE_KEY] ?? {}
+}
+
+/**
+ * 与 Popup 中切换分组相同：启用固定分组和目标分组中的扩展，禁用其它扩展
+ * 与规则启用禁用扩展一样，自动化暂停期间不执行，并跳过手动覆盖中的扩展
+ */
+async function applyGroup(
+  groupId: string | undefined,
+  rule: ruleV2.IRuleConfig,
+  matchResult: IMatchResult | null,
+  ctx: ExtraActionContext
+): Promise<void> {
+  const groups = ctx.groups ?? []
+  const group = groups.find((g) => g.id === groupId)
+  if (!group) {
+    logger().warn(`[Rule] 分组不存在 ${groupId}`)
+    return
+  }
+  if (ctx.EM && (await isAutomationPaused(ctx.EM))) {
+    logger().debug(`[Rule] 自动化已暂停，跳过应用分组 ${group.name}`)
+    return
+  }
+
+  const overridden = await getOverriddenExtensionIds()
+  const self = await chromeP.management.getSelf()
+  const extensions = await chromeP.management.getAll()
+  const { enabledExtensionIds, disabledExtensionIds } = getGroupSwitchTargets(
+    extensions,
+    groups,
+    [group],
+    self.id
+  )
+
+  const setEnabled = async (extId: string, enabled: boolean) => {
+    const info = extensions.find((ext) => ext.id === extId)
+    if (!info || info.enabled === enabled) {
+      return
+    }
+    if (overridden.has(extId)) {
+      logger().debug(`[Rule] 扩展处于手动覆盖中，应用分组时跳过 ${info.name}`)
+      return
+    }
+    try {
+      await chromeP.management.setEnabled(extId, enabled)
+      // 与规则启用禁用扩展相同，记录到历史记录和规则统计
+      const history = ctx.EM?.History.EventHandler
+      if (enabled) {
+        history?.onAutoEnabled(info, rule, matchResult)
+      } else {
+        history?.onAutoDisabled(info, rule, matchResult)
+      }
+    } catch (error) {
+      console.warn(`${enabled ? "enable" : "disable"} extension fail(${extId}).`, error)
+    }
+  }
+
+  for (const extId of enabledExtensionIds) {
+    await setEnabled(extId, true)
+  }
+  for (const extId of disabledExtensionIds) {
+    await setEnabled(extId, false)
+  }
+
+  await ctx.EM?.LocalOptions.setActiveGroupId(group.id)
+}
+
+async function notify(action: ruleV2.IExtraAction): Promise<void> {
+  const defaultMessage =
+    action.when === "match"
+      ? getLang("rule_extra_action_notify_matched")
+      : getLang("rule_extra_action_notify_not_matched")
+
+  await chrome.notifications.create({
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icon-128.png"),
+    title: action.title || getLang("ext_name"),
+    message: action.message || defaultMessage
+  })
+}
+
+/**
+ * 打开扩展的设置页面；已经打开时，切换到该标签页
+ */
+async function openOptions(extensionId: string | undefined): Promise<void> {
+  if (!extensionId) {
+    return
+  }
+  const info = await chromeP.management.get(extensionId)
+  if (!info?.enabled || !info.optionsUrl) {
+    logger().warn(`[Rule] 扩展未启用或者没有设置页面 ${extensionId}`)
+    return
+  }
+
+  const tabs = await chromeP.tabs.query({})
+  const exist = tabs.find((tab) => tab.url?.startsWith(info.optionsUrl))
+  if (exist?.id !== undefined) {
+    await chromeP.tabs.update(exist.id, { active: true })
+    return
+  }
+  await chromeP.tabs.create({ url: info.optionsUrl })
+}
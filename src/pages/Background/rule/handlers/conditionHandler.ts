@@ -0,0 +1,155 @@
+import { getIdleThreshold, isIdleTriggerMatch } from "./match/idleMatchHandler"
+import { isOsTriggerMatch } from "./match/osMatchHandler"
+import { isPeriodTriggerMatch } from "./match/periodMatchHandler"
+import { isSceneTriggerMatch } from "./match/sceneMatchHandler"
+import { isTabGroupTriggerMatch } from "./match/tabGroupMatchHandler"
+import { isUrlTriggerMatch } from "./match/urlMatchHandler"
+import type { UrlMatchMemo } from "./match/urlMatcherCache"
+import { isWindowTriggerMatch } from "./match/windowMatchHandler"
+
+/**
+ * 计算条件树时，与标签页无关的环境信息
+ */
+export type ConditionEnv = {
+  scene: config.IScene | undefined
+  /**
+   * 当前操作系统，条件树中没有 OS 条件时可以为空
+   */
+  os?: string
+  now: Date
+  /**
+   * 按空闲时间（秒）查询到的空闲状态，条件树中没有空闲状态条件时可以为空
+   */
+  idleStates?: Map<number, chrome.idle.IdleState>
+  /**
+   * 当前打开的全部标签组，key 是标签组 ID；条件树中没有标签组条件时可以为空
+   */
+  tabGroups?: Map<number, chrome.tabGroups.TabGroup>
+  /**
+   * 当前打开的全部窗口，key 是窗口 ID；条件树中没有窗口条件时可以为空
+   */
+  windows?: Map<number, chrome.windows.Window>
+  /**
+   * 本轮规则执行中，URL 触发条件的匹配结果缓存
+   */
+  urlMatchMemo?: UrlMatchMemo
+}
+
+export function isConditionGroup(node: ruleV2.ICondition): node is ruleV2.IConditionGroup {
+  return Boolean((node as ruleV2.IConditionGroup).operator)
+}
+
+/**
+ * 获取规则的条件树；没有 condition 的规则（平铺的触发条件），由 relationship 和 triggers 组成一层条件组
+ */
+export function getMatchCondition(
+  match: ruleV2.IMatch | undefined
+): ruleV2.IConditionGroup | undefined {
+  if (!match) {
+    return undefined
+  }
+  if (match.condition) {
+    return match.condition
+  }
+  return {
+    operator: match.relationship === "or" ? "or" : "and",
+    children: match.triggers ?? []
+  }
+}
+
+/**
+ * 条件树中的全部触发条件
+ */
+export function getConditionTriggers(node: ruleV2.ICondition | undefined): ruleV2.ITrigger[] {
+  if (!node) {
+    return []
+  }
+  if (!isConditionGroup(node)) {
+    return [node]
+  }
+  return node.children.flatMap((child) => getConditionTriggers(child))
+}
+
+/**
+ * 条件树是否只由 and 组成（没有 or / not），这样的规则才可以按单个触发条件建立索引
+ */
+export function isConjunctiveCondition(node: ruleV2.ICondition | undefined): boolean {
+  if (!node || !isConditionGroup(node)) {
+    return true
+  }
+  if (node.operator !== "and" && node.children.length > 1) {
+    return false
+  }
+  if (node.operator === "not") {
+    return false
+  }
+  return node.children.every((child) => isConjunctiveCondition(child))
+}
+
+/**
+ * 与标签页有关的触发条件类型，按标签页分别计算
+ */
+const TAB_TRIGGERS: ruleV2.TriggerType[] = ["urlTrigger", "tabGroupTrigger", "windowTrigger"]
+
+/**
+ * 条件树的计算结果是否与标签页有关（包含 URL、标签组、窗口条件）
+ */
+export function isTabDependent(node: ruleV2.ICondition | undefined): boolean {
+  return getConditionTriggers(node).some((t) => TAB_TRIGGERS.includes(t.trigger))
+}
+
+/**
+ * 按指定的标签页，递归计算条件树
+ * @param tab 标签页，为空时 URL 条件不满足
+ */
+export function evaluateCondition(
+  node: ruleV2.ICondition,
+  tab: chrome.tabs.Tab | null,
+  env: ConditionEnv
+): boolean {
+  if (!isConditionGroup(node)) {
+    return evaluateTrigger(node, tab, env)
+  }
+
+  const { operator, children } = node
+  if (operator === "or") {
+    return children.some((child) => evaluateCondition(child, tab, env))
+  }
+
+  const all = children.every((child) => evaluateCondition(child, tab, env))
+  if (operator === "not") {
+    return !all
+  }
+  return all
+}
+
+function evaluateTrigger(
+  trigger: ruleV2.ITrigger,
+  tab: chrome.tabs.Tab | null,
+  env: ConditionEnv
+): boolean {
+  switch (trigger.trigger) {
+    case "urlTrigger":
+      return isUrlTriggerMatch(tab, trigger.config as ruleV2.IUrlTriggerConfig, env.urlMatchMemo)
+    case "sceneTrigger":
+      return isSceneTriggerMatch(env.scene, trigger.config as ruleV2.ISceneTriggerConfig)
+    case "osTrigger":
+      return Boolean(env.os) && isOsTriggerMatch(trigger.config as ruleV2.IOsTriggerConfig, env.os!)
+    case "periodTrigger":
+      return isPeriodTriggerMatch(trigger.config as ruleV2.IPeriodTriggerConfig, env.now)
+    case "idleTrigger": {
+      const config = trigger.config as ruleV2.IIdleTriggerConfig
+      return isIdleTriggerMatch(config, env.idleStates?.get(getIdleThreshold(config)))
+    }
+    case "tabGroupTrigger":
+      return isTabGroupTriggerMatch(
+        tab,
+        trigger.config as ruleV2.ITabGroupTriggerConfig,
+        env.tabGroups
+      )
+    case "windowTrigger":
+      return isWindowTriggerMatch(tab, trigger.config as ruleV2.IWindowTriggerConfig, env.windows)
+    default:
+      return false
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * 默认的空闲时间（秒）
+ */
+export const DEFAULT_IDLE_THRESHOLD = 60
+
+/**
+ * chrome.idle 允许的最小空闲时间（秒）
+ */
+export const MIN_IDLE_THRESHOLD = 15
+
+/**
+ * 空闲状态触发条件的空闲时间（秒）
+ */
+export function getIdleThreshold(config: ruleV2.IIdleTriggerConfig | undefined): number {
+  const threshold = Math.round(config?.threshold ?? DEFAULT_IDLE_THRESHOLD)
+  return Math.max(threshold, MIN_IDLE_THRESHOLD)
+}
+
+/**
+ * 空闲状态是否满足单个空闲状态触发条件
+ * @param state 按该条件的空闲时间查询到的空闲状态
+ */
+export function isIdleTriggerMatch(
+  config: ruleV2.IIdleTriggerConfig | undefined,
+  state: chrome.idle.IdleState | undefined
+): boolean {
+  if (!config || !state) {
+    return false
+  }
+  return config.states.includes(state)
+}
@@ -1,29 +1,9 @@
-import chromeP from "webext-polyfill-kinda"
-
-import logger from ".../utils/logger"
-
 /**
- * 当前操作系统是否匹配规则
- * @returns true:匹配； false:不匹配； undefined:没有 OS 匹配规则
+ * 操作系统是否满足单个操作系统触发条件
  */
-export default async function checkCurrentOsMatch(rule: ruleV2.IRuleConfig) {
-  const trigger = rule.match?.triggers?.find((t) => t.trigger === "osTrigger")
-
-  if (!trigger) {
-    return undefined
-  }
-
-  const platformInfo = await chromeP.runtime.getPlatformInfo()
-  const currentOsType = platformInfo.os
-
-  const config = trigger.config as ruleV2.IOsTriggerConfig
+export function isOsTriggerMatch(config: ruleV2.IOsTriggerConfig | undefined, os: string): boolean {
   if (!config) {
     return false
   }
-
-  const result = config.os.includes(currentOsType)
-  logger().debug(
-    `[checkCurrentOsMatch] config: ${config.os}; currentOs:${currentOsType}; result:${result}`
-  )
-  return result
+  return config.os.includes(os as ruleV2.OsType)
 }
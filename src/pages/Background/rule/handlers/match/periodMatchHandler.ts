@@ -1,43 +1,212 @@
 import logger from ".../utils/logger"
 
-/*
- * 当前时间是否匹配规则
- @returns true:匹配； false:不匹配； undefined:没有 时间区间 匹配规则
- */
-export default async function checkCurrentTimeMatch(rule: ruleV2.IRuleConfig) {
-  const trigger = rule.match?.triggers?.find((t) => t.trigger === "periodTrigger")
+const MINUTES_OF_DAY = 24 * 60
+const MS_OF_MINUTE = 60 * 1000
+const MS_OF_DAY = MINUTES_OF_DAY * MS_OF_MINUTE
 
-  if (!trigger) {
-    return undefined
-  }
+/**
+ * 在计算下一个边界时，向后查找的天数
+ */
+const BOUNDARY_SEARCH_DAYS = 8
 
-  const config = trigger.config as ruleV2.IPeriodTriggerConfig
+/**
+ * 指定时间是否满足单个时间区间触发条件
+ */
+export function isPeriodTriggerMatch(
+  config: ruleV2.IPeriodTriggerConfig | undefined,
+  time: Date
+): boolean {
   if (!config) {
     return false
   }
 
-  const time = new Date()
-  const hours = String(time.getHours()).padStart(2, "0")
-  const minutes = String(time.getMinutes()).padStart(2, "0")
-
-  const now = `${hours}${minutes}`
-
-  const periodsString = config.periods.map((p) => `${p.start}-${p.end}`).join(",")
+  const current = getZonedTime(time, config.timeZone)
+  const currentDay = toDayNumber(current)
+  const currentMinutes = current.hour * 60 + current.minute
 
   for (const period of config.periods) {
-    const start = period.start.replace(":", "")
-    const end = period.end.replace(":", "")
+    const start = toMinutes(period.start)
+    const end = toMinutes(period.end)
+    if (start === null || end === null) {
+      continue
+    }
 
-    if (start <= now && now <= end) {
-      // logger().debug(
-      //   `[checkCurrentTimeMatch] config: ${periodsString}; currentTime: ${now}; result: match`
-      // )
-      return true
+    if (start <= end) {
+      if (start <= currentMinutes && currentMinutes <= end && isDayMatch(config, currentDay)) {
+        return true
+      }
+    } else {
+      // 跨越午夜的区间：今天开始的部分，或者昨天开始、延续到今天的部分
+      if (currentMinutes >= start && isDayMatch(config, currentDay)) {
+        return true
+      }
+      if (currentMinutes <= end && isDayMatch(config, currentDay - 1)) {
+        return true
+      }
     }
   }
 
   // logger().debug(
-  //   `[checkCurrentTimeMatch] config: ${periodsString}; currentTime: ${now}; result: not match`
+  //   `[checkCurrentTimeMatch] config: ${JSON.stringify(config)}; currentTime: ${time}; result: not match`
   // )
   return false
 }
+
+/**
+ * 计算时间区间触发条件，在 from 之后的下一个边界时间（匹配结果可能发生变化的时间点）
+ * 区间包含结束的那一分钟，所以结束边界是 end 的下一分钟
+ * @returns 下一个边界时间；没有时间区间，或者已经不会再生效时返回 undefined
+ */
+export function getNextPeriodBoundary(
+  config: ruleV2.IPeriodTriggerConfig | undefined,
+  from: Date
+): Date | undefined {
+  if (!config?.periods || config.periods.length === 0) {
+    return undefined
+  }
+
+  const today = toDayNumber(getZonedTime(from, config.timeZone))
+
+  let next: Date | undefined
+  const pick = (day: number, minutes: number) => {
+    const boundary = zonedToDate(day, minutes, config.timeZone)
+    if (boundary > from && (!next || boundary < next)) {
+      next = boundary
+    }
+  }
+
+  // 从昨天开始，昨天开始的跨午夜区间，结束边界在今天
+  for (let day = today - 1; day <= today + BOUNDARY_SEARCH_DAYS; day++) {
+    if (!isDayMatch(config, day)) {
+      continue
+    }
+    for (const period of config.periods) {
+      const start = toMinutes(period.start)
+      const end = toMinutes(period.end)
+      if (start === null || end === null) {
+        continue
+      }
+      pick(day, start)
+      pick(day, start <= end ? end + 1 : MINUTES_OF_DAY + end + 1)
+    }
+  }
+
+  if (next) {
+    return next
+  }
+
+  // 查找范围内没有任何生效的日期（例如起始日期还很远），到查找范围的末尾再重新计算
+  if (config.endDate && config.endDate < formatDay(today)) {
+    return undefined
+  }
+  return zonedToDate(today + BOUNDARY_SEARCH_DAYS, 0, config.timeZone)
+}
+
+type ZonedTime = {
+  year: number
+  month: number
+  day: number
+  hour: number
+  minute: number
+}
+
+const formatters = new Map<string, Intl.DateTimeFormat>()
+
+function getFormatter(timeZone: string | undefined): Intl.DateTimeFormat {
+  const key = timeZone ?? ""
+  let formatter = formatters.get(key)
+  if (!formatter) {
+    const options: Intl.DateTimeFormatOptions = {
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric"
+    }
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", { ...options, timeZone })
+    } catch (error) {
+      logger().warn(`[checkCurrentTimeMatch] 无效的时区 ${timeZone}，使用本地时区`, error)
+      formatter = new Intl.DateTimeFormat("en-US", options)
+    }
+    formatters.set(key, formatter)
+  }
+  return formatter
+}
+
+/**
+ * 获取指定时间在某个时区下的日期和时间
+ */
+function getZonedTime(time: Date, timeZone: string | undefined): ZonedTime {
+  const parts = getFormatter(timeZone).formatToParts(time)
+  const get = (type: Intl.DateTimeFormatPartTypes) =>
+    Number(parts.find((p) => p.type === type)?.value ?? 0)
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour") % 24,
+    minute: get("minute")
+  }
+}
+
+/**
+ * 把某个时区下的日期（天数）和分钟数转换成绝对时间
+ * 时区偏移量可能在这一天内发生变化（夏令时），所以用转换结果的偏移量再校正一次
+ */
+function zonedToDate(day: number, minutes: number, timeZone: string | undefined): Date {
+  const wall = day * MS_OF_DAY + minutes * MS_OF_MINUTE
+  const offsetOf = (time: number) => {
+    const zoned = getZonedTime(new Date(time), timeZone)
+    const zonedWall = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute)
+    return zonedWall - Math.floor(time / MS_OF_MINUTE) * MS_OF_MINUTE
+  }
+
+  const firstOffset = offsetOf(wall)
+  const secondOffset = offsetOf(wall - firstOffset)
+  return new Date(wall - secondOffset)
+}
+
+/**
+ * 日期转换成天数（1970-01-01 起），便于计算前一天和星期
+ */
+function toDayNumber(time: ZonedTime): number {
+  return Date.UTC(time.year, time.month - 1, time.day) / MS_OF_DAY
+}
+
+function formatDay(day: number): string {
+  return new Date(day * MS_OF_DAY).toISOString().slice(0, 10)
+}
+
+/**
+ * 某一天是否在生效的星期和日期范围之内
+ */
+function isDayMatch(config: ruleV2.IPeriodTriggerConfig, day: number): boolean {
+  if (config.days && config.days.length > 0) {
+    const weekday = new Date(day * MS_OF_DAY).getUTCDay()
+    if (!config.days.includes(weekday)) {
+      return false
+    }
+  }
+
+  if (config.startDate || config.endDate) {
+    const date = formatDay(day)
+    if (config.startDate && date < config.startDate) {
+      return false
+    }
+    if (config.endDate && date > config.endDate) {
+      return false
+    }
+  }
+
+  return true
+}
+
+function toMinutes(time: string): number | null {
+  const [hours, minutes] = time.split(":").map((v) => Number(v))
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    return null
+  }
+  return hours * 60 + minutes
+}
@@ -1,23 +1,15 @@
 /**
- * 当前情景模式是否匹配规则
- * @returns true:匹配； false:不匹配； undefined:没有 scene 匹配规则
+ * 当前情景模式是否满足单个情景模式触发条件
  */
-export default async function checkCurrentSceneMatch(
+export function isSceneTriggerMatch(
   scene: config.IScene | undefined,
-  rule: ruleV2.IRuleConfig
-): Promise<boolean | undefined> {
-  const trigger = rule.match?.triggers?.find((t) => t.trigger === "sceneTrigger")
-
-  if (!trigger) {
-    return undefined
-  }
-
+  config: ruleV2.ISceneTriggerConfig | undefined
+): boolean {
   // scene 是当前用户设置的情景模式
   if (!scene?.id) {
     return false
   }
 
-  const config = trigger.config as ruleV2.ISceneTriggerConfig
   if (!config) {
     return false
   }
@@ -0,0 +1,31 @@
+import { isMatchPatterns } from "./urlMatchHandler"
+
+/**
+ * 判断标签页所在的标签组是否满足单个标签组触发条件
+ * 标签组的标题满足任一匹配规则，或者颜色是选择的颜色之一，即为满足
+ * @param tabGroups 当前打开的全部标签组，key 是标签组 ID
+ */
+export function isTabGroupTriggerMatch(
+  tabInfo: chrome.tabs.Tab | null,
+  config: ruleV2.ITabGroupTriggerConfig | undefined,
+  tabGroups: Map<number, chrome.tabGroups.TabGroup> | undefined
+): boolean {
+  if (!tabInfo || !config || !tabGroups) {
+    return false
+  }
+
+  // 不在任何标签组中的标签页，groupId 是 -1
+  if (tabInfo.groupId === undefined || tabInfo.groupId < 0) {
+    return false
+  }
+
+  const group = tabGroups.get(tabInfo.groupId)
+  if (!group) {
+    return false
+  }
+
+  if (isMatchPatterns(group.title, config.titles, config.matchMethod)) {
+    return true
+  }
+  return Boolean(config.colors?.includes(group.color))
+}
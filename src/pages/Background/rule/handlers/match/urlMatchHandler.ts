@@ -1,19 +1,15 @@
 import logger from ".../utils/logger"
+import { UrlMatchMemo, getTextMatcher } from "./urlMatcherCache"
 
 /**
- * 判断当前 URL 是否匹配
- * @returns true:匹配； false:不匹配； undefined:没有 URL 匹配规则
+ * 判断标签页的 URL 是否满足单个 URL 触发条件
+ * @param memo 一轮规则执行中的匹配结果缓存，同一个触发条件对同一个 URL 只计算一次
  */
-export default async function checkCurrentUrlMatch(
+export function isUrlTriggerMatch(
   tabInfo: chrome.tabs.Tab | null,
-  rule: ruleV2.IRuleConfig
-): Promise<boolean | undefined> {
-  const trigger = rule.match?.triggers?.find((t) => t.trigger === "urlTrigger")
-
-  if (!trigger) {
-    return undefined
-  }
-
+  config: ruleV2.IUrlTriggerConfig | undefined,
+  memo?: UrlMatchMemo
+): boolean {
   if (!tabInfo) {
     return false
   }
@@ -23,49 +19,31 @@ export default async function checkCurrentUrlMatch(
     return false
   }
 
-  const config = trigger.config as ruleV2.IUrlTriggerConfig
   if (!config) {
     return false
   }
 
-  return isMatchUrl(currentUrl, config.matchUrl, config.matchMethod, config.useFullUrl ?? false)
-}
-
-/**
- * 所有 tab 中，只要有一个匹配，就会返回匹配的 tab，否则返回 null
- */
-export async function checkAnyUrlMatch(
-  tabs: chrome.tabs.Tab[] | undefined,
-  rule: ruleV2.IRuleConfig
-): Promise<chrome.tabs.Tab | null> {
-  const trigger = rule.match?.triggers?.find((t) => t.trigger === "urlTrigger")
-
-  if (!trigger) {
-    return null
-  }
-
-  if (!tabs || tabs.length === 0) {
-    return null
-  }
-
-  for (const tab of tabs) {
-    const matchOne = await checkCurrentUrlMatch(tab, rule)
-    if (matchOne) {
-      return tab
-    }
-  }
-  return null
+  const compute = () =>
+    isMatchUrl(currentUrl, config.matchUrl, config.matchMethod, config.useFullUrl ?? false)
+  return memo ? memo.get(config, currentUrl, compute) : compute()
 }
 
 function isMatchUrl(
   url: string | undefined,
   patterns: string[] | undefined,
-  matchMethod: ruleV2.MatchMethod,
+  matchMethod: ruleV2.UrlMatchMethod,
   useFullUrl: boolean
 ): boolean {
   if (!url || url === "") return false
   if (!patterns || patterns.length === 0) return false
 
+  return isMatchPatterns(getMatchUrl(url, useFullUrl), patterns, matchMethod)
+}
+
+/**
+ * 参与匹配的 URL：不使用完整 URL 时，去掉查询参数和 hash
+ */
+export function getMatchUrl(url: string, useFullUrl: boolean): string {
   let matchUrl = url
   if (!useFullUrl) {
     const index1 = url.indexOf("?")
@@ -77,56 +55,19 @@ function isMatchUrl(
       matchUrl = matchUrl.substring(0, index2)
     }
   }
-
-  if (matchMethod === "wildcard") {
-    const exist = patterns.find((pattern) => isMatchByWildcard(matchUrl, pattern))
-    return Boolean(exist)
-  } else if (matchMethod === "regex") {
-    const exist = patterns.find((pattern) => isMatchByRegex(matchUrl, pattern))
-    return Boolean(exist)
-  }
-
-  return false
+  return matchUrl
 }
 
-function isMatchByWildcard(text: string, pattern: string) {
-  if (!pattern.startsWith("*")) {
-    pattern = `*${pattern}`
-  }
-  if (!pattern.endsWith("*")) {
-    pattern = `${pattern}*`
-  }
-
-  // [LeetCode44.通配符匹配 JavaScript - 个人文章 - SegmentFault 思否](https://segmentfault.com/a/1190000019486910 )
-  let dp = []
-  for (let i = 0; i <= text.length; i++) {
-    let child = []
-    for (let j = 0; j <= pattern.length; j++) {
-      child.push(false)
-    }
-    dp.push(child)
-  }
-  dp[text.length][pattern.length] = true
-  for (let i = pattern.length - 1; i >= 0; i--) {
-    if (pattern[i] !== "*") break
-    else dp[text.length][i] = true
-  }
-
-  for (let i = text.length - 1; i >= 0; i--) {
-    for (let j = pattern.length - 1; j >= 0; j--) {
-      if (text[i] === pattern[j] || pattern[j] === "?") {
-        dp[i][j] = dp[i + 1][j + 1]
-      } else if (pattern[j] === "*") {
-        dp[i][j] = dp[i + 1][j] || dp[i][j + 1]
-      } else {
-        dp[i][j] = false
-      }
-    }
-  }
-  return dp[0][0]
-}
+/**
+ * 文本是否满足任一匹配规则，也用于标签组标题等非 URL 文本的匹配
+ * 匹配规则编译之后缓存，不会每次匹配时重新编译
+ */
+export function isMatchPatterns(
+  text: string | undefined,
+  patterns: string[] | undefined,
+  matchMethod: ruleV2.UrlMatchMethod
+): boolean {
+  if (!text || !patterns || patterns.length === 0) return false
 
-function isMatchByRegex(text: string, pattern: string) {
-  const regex = new RegExp(pattern, "i")
-  return regex.test(text)
+  return patterns.some((pattern) => getTextMatcher(pattern, matchMethod)(text))
 }
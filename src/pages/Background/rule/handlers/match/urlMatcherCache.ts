@@ -0,0 +1,141 @@
+import logger from ".../utils/logger"
+import { compileMatchPattern, compileUrlPattern } from "./urlPatternMatcher"
+
+/**
+ * 编译之后的匹配函数
+ */
+export type TextMatcher = (text: string) => boolean
+
+/**
+ * 缓存的最大数量，超过之后清空重新编译（规则编辑页面中模拟执行等场景，pattern 可能不断变化）
+ */
+const MAX_CACHE_SIZE = 2000
+
+/**
+ * 编译之后的匹配函数，key 为 `匹配方式:pattern`
+ */
+const matcherCache = new Map<string, TextMatcher>()
+
+/**
+ * 获取 pattern 编译之后的匹配函数，同一个 pattern 只编译一次
+ */
+export function getTextMatcher(pattern: string, matchMethod: ruleV2.UrlMatchMethod): TextMatcher {
+  const key = `${matchMethod}:${pattern}`
+  let matcher = matcherCache.get(key)
+  if (!matcher) {
+    matcher = compileTextMatcher(pattern, matchMethod)
+    if (matcherCache.size >= MAX_CACHE_SIZE) {
+      matcherCache.clear()
+    }
+    matcherCache.set(key, matcher)
+  }
+  return matcher
+}
+
+/**
+ * 清空缓存，并预先编译规则中的全部 URL pattern；在规则变化（重建规则索引）时调用
+ */
+export function resetTextMatcherCache(rules: ruleV2.IRuleConfig[]): void {
+  matcherCache.clear()
+
+  for (const rule of rules) {
+    for (const trigger of rule.match?.triggers ?? []) {
+      if (trigger.trigger !== "urlTrigger" || !trigger.config) {
+        continue
+      }
+      const config = trigger.config as ruleV2.IUrlTriggerConfig
+      for (const pattern of config.matchUrl ?? []) {
+        getTextMatcher(pattern, config.matchMethod)
+      }
+    }
+  }
+}
+
+/**
+ * 一轮规则执行中，URL 触发条件的匹配结果，key 为触发条件的配置与标签页 URL
+ * 同一个 URL 触发条件，在不同的规则处理、不同的条件计算中，对同一个 URL 只计算一次
+ */
+export class UrlMatchMemo {
+  #results = new WeakMap<ruleV2.IUrlTriggerConfig, Map<string, boolean>>()
+
+  get(config: ruleV2.IUrlTriggerConfig, url: string, compute: () => boolean): boolean {
+    let results = this.#results.get(config)
+    if (!results) {
+      results = new Map()
+      this.#results.set(config, results)
+    }
+
+    let match = results.get(url)
+    if (match === undefined) {
+      match = compute()
+      results.set(url, match)
+    }
+    return match
+  }
+}
+
+/**
+ * 编译 pattern，不使用缓存；无效的 pattern 编译为总是不匹配的函数，不影响规则中的其它 pattern
+ */
+export function compileTextMatcher(
+  pattern: string,
+  matchMethod: ruleV2.UrlMatchMethod
+): TextMatcher {
+  switch (matchMethod) {
+    case "wildcard":
+      return compileWildcard(pattern)
+    case "regex": {
+      let regex: RegExp
+      try {
+        regex = new RegExp(pattern, "i")
+      } catch (error) {
+        logger().warn(`[Rule] invalid regex ${pattern}`, error)
+        return () => false
+      }
+      return (text) => regex.test(text)
+    }
+    case "matchPattern":
+      return compileMatchPattern(pattern)
+    case "urlPattern":
+      return compileUrlPattern(pattern)
+    default:
+      return () => false
+  }
+}
+
+/**
+ * 编译通配符：* 匹配任意数量的字符，? 匹配单个字符，区分大小写
+ * pattern 前后会自动补充 *，所以按 * 切分之后的各个片段，依次查找最靠前的位置即可，不需要回溯
+ */
+function compileWildcard(pattern: string): TextMatcher {
+  const segments = pattern.split("*").filter((segment) => segment.length > 0)
+
+  return (text) => {
+    let position = 0
+    for (const segment of segments) {
+      const index = indexOfSegment(text, segment, position)
+      if (index < 0) {
+        return false
+      }
+      position = index + segment.length
+    }
+    return true
+  }
+}
+
+function indexOfSegment(text: string, segment: string, from: number): number {
+  if (!segment.includes("?")) {
+    return text.indexOf(segment, from)
+  }
+
+  for (let i = from; i <= text.length - segment.length; i++) {
+    let j = 0
+    while (j < segment.length && (segment[j] === "?" || segment[j] === text[i + j])) {
+      j++
+    }
+    if (j === segment.length) {
+      return i
+    }
+  }
+  return -1
+}
@@ -0,0 +1,181 @@
+import logger from ".../utils/logger"
+
+/**
+ * Chrome 扩展的 match pattern：<scheme>://<host><path>，或者 <all_urls>
+ * https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns
+ */
+const MATCH_PATTERN_REGEX =
+  /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*|\*\.[^/*:]+|[^/*:]*)(?::(\*|\d+))?(\/.*)$/i
+
+const ALL_URLS = "<all_urls>"
+
+/**
+ * <all_urls> 和 scheme 为 * 时，可以匹配的 scheme
+ */
+const ALL_URLS_SCHEMES = ["http", "https", "ws", "wss", "ftp", "file"]
+const WILDCARD_SCHEMES = ["http", "https"]
+
+/**
+ * 解析之后的 match pattern，按 URL 的各个部分分别匹配
+ */
+type MatchPattern = {
+  schemes: string[]
+  /**
+   * 主机名的匹配规则，为空表示匹配任意主机
+   */
+  host: RegExp | null
+  /**
+   * 端口，为空表示匹配任意端口
+   */
+  port: string | null
+  /**
+   * 路径（包含查询参数）的匹配规则，区分大小写
+   */
+  path: RegExp
+}
+
+type URLPatternLike = { test(input: string): boolean }
+type URLPatternConstructor = new (input: string) => URLPatternLike
+
+/**
+ * URL 是否满足 Chrome match pattern，例如 *://*.example.com/*
+ * 与通配符不同，pattern 需要完整匹配 URL，不会在前后自动补充 *
+ */
+export function isMatchByMatchPattern(url: string, pattern: string): boolean {
+  return compileMatchPattern(pattern)(url)
+}
+
+/**
+ * 把 Chrome match pattern 编译为匹配函数，pattern 无效时返回的函数总是不匹配
+ */
+export function compileMatchPattern(pattern: string): (url: string) => boolean {
+  const parsed = parseMatchPattern(pattern)
+  if (!parsed) {
+    return () => false
+  }
+
+  return (url) => {
+    let target: URL
+    try {
+      target = new URL(url)
+    } catch {
+      return false
+    }
+
+    const scheme = target.protocol.replace(/:$/, "").toLowerCase()
+    if (!parsed.schemes.includes(scheme)) {
+      return false
+    }
+    if (parsed.host && !parsed.host.test(target.hostname)) {
+      return false
+    }
+    if (parsed.port !== null && target.port !== parsed.port) {
+      return false
+    }
+    return parsed.path.test(target.pathname + target.search)
+  }
+}
+
+/**
+ * URL 是否满足 URLPattern，例如 https://*.example.com/docs/*，按 URL 的各个部分（协议、主机、路径等）分别匹配
+ * https://developer.mozilla.org/docs/Web/API/URLPattern
+ */
+export function isMatchByUrlPattern(url: string, pattern: string): boolean {
+  return compileUrlPattern(pattern)(url)
+}
+
+/**
+ * 把 URLPattern 编译为匹配函数，浏览器不支持或者 pattern 无效时返回的函数总是不匹配
+ */
+export function compileUrlPattern(pattern: string): (url: string) => boolean {
+  const URLPattern = (globalThis as { URLPattern?: URLPatternConstructor }).URLPattern
+  if (!URLPattern) {
+    logger().warn("[Rule] URLPattern is not supported in current browser")
+    return () => false
+  }
+
+  let urlPattern: URLPatternLike
+  try {
+    urlPattern = new URLPattern(pattern.trim())
+  } catch (error) {
+    logger().warn(`[Rule] invalid url pattern ${pattern}`, error)
+    return () => false
+  }
+
+  return (url) => {
+    try {
+      return urlPattern.test(url)
+    } catch {
+      return false
+    }
+  }
+}
+
+/**
+ * match pattern 的格式是否有效
+ */
+export function isValidMatchPattern(pattern: string): boolean {
+  pattern = pattern.trim()
+  return pattern === ALL_URLS || MATCH_PATTERN_REGEX.test(pattern)
+}
+
+/**
+ * 当前浏览器是否支持 URLPattern
+ */
+export function isUrlPatternSupported(): boolean {
+  return Boolean((globalThis as { URLPattern?: URLPatternConstructor }).URLPattern)
+}
+
+/**
+ * 从 match pattern 或者 URLPattern 中取出主机名，用于规则索引；匹配任意主机时返回 null
+ */
+export function getPatternHost(pattern: string, matchMethod: ruleV2.UrlMatchMethod): string | null {
+  let host: string | undefined
+  if (matchMethod === "matchPattern") {
+    host = MATCH_PATTERN_REGEX.exec(pattern.trim())?.[2]
+  } else if (matchMethod === "urlPattern") {
+    host = /^[^:/]+:\/\/([^/:?#]+)/.exec(pattern.trim())?.[1]
+  }
+  if (!host) {
+    return null
+  }
+
+  // 只处理 *.example.com 和 example.com 两种形式，其它含有通配符或分组的主机名无法确定
+  host = host.replace(/^\*\./, "")
+  if (/[*?(){}\\:+]/.test(host)) {
+    return null
+  }
+  return host.toLowerCase()
+}
+
+function parseMatchPattern(pattern: string): MatchPattern | null {
+  pattern = pattern.trim()
+  if (pattern === ALL_URLS) {
+    return { schemes: ALL_URLS_SCHEMES, host: null, port: null, path: /^/ }
+  }
+
+  const match = MATCH_PATTERN_REGEX.exec(pattern)
+  if (!match) {
+    logger().warn(`[Rule] invalid match pattern ${pattern}`)
+    return null
+  }
+  const [, scheme, host, port, path] = match
+
+  let hostRegex: RegExp | null = null
+  if (host.startsWith("*.")) {
+    hostRegex = new RegExp(`^(?:.+\\.)?${escapeRegExp(host.substring(2))}$`, "i")
+  } else if (host !== "*") {
+    hostRegex = new RegExp(`^${escapeRegExp(host)}$`, "i")
+  }
+
+  return {
+    schemes: scheme === "*" ? WILDCARD_SCHEMES : [scheme.toLowerCase()],
+    host: hostRegex,
+    port: port === undefined || port === "*" ? null : port,
+    path: new RegExp(`^${path.split("*").map(escapeRegExp).join(".*")}$`)
+  }
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
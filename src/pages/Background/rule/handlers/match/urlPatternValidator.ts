@@ -0,0 +1,132 @@
+import { compileTextMatcher } from "./urlMatcherCache"
+import { isUrlPatternSupported, isValidMatchPattern } from "./urlPatternMatcher"
+
+/**
+ * pattern 的校验问题
+ * invalid：语法错误，运行时总是不匹配
+ * unsupported：当前浏览器不支持 URLPattern，运行时总是不匹配
+ * backtracking：正则表达式可能发生灾难性回溯，长 URL 会让后台卡顿
+ * broad：范围过大，几乎匹配任意 URL
+ */
+export type PatternIssue = {
+  level: "error" | "warning"
+  code: "invalid" | "unsupported" | "backtracking" | "broad"
+  /**
+   * 语法错误的原始信息
+   */
+  detail?: string
+}
+
+/**
+ * 用于判断范围过大的 URL：两个互不相关的 URL 都能匹配时，认为 pattern 几乎匹配任意 URL
+ */
+const BROAD_PROBE_URLS = ["https://example.com/", "http://unrelated.test/some/path"]
+
+/**
+ * 校验单个 URL pattern，返回全部问题；没有问题时返回空数组
+ */
+export function validateUrlPattern(
+  pattern: string,
+  matchMethod: ruleV2.UrlMatchMethod
+): PatternIssue[] {
+  pattern = pattern.trim()
+  if (!pattern) {
+    return []
+  }
+
+  const syntaxIssue = checkSyntax(pattern, matchMethod)
+  if (syntaxIssue) {
+    return [syntaxIssue]
+  }
+
+  const issues: PatternIssue[] = []
+  if (matchMethod === "regex" && hasBacktrackingRisk(pattern)) {
+    issues.push({ level: "warning", code: "backtracking" })
+  }
+
+  const matcher = compileTextMatcher(pattern, matchMethod)
+  if (BROAD_PROBE_URLS.every((url) => matcher(url))) {
+    issues.push({ level: "warning", code: "broad" })
+  }
+  return issues
+}
+
+function checkSyntax(pattern: string, matchMethod: ruleV2.UrlMatchMethod): PatternIssue | null {
+  if (matchMethod === "regex") {
+    try {
+      new RegExp(pattern, "i")
+    } catch (error: any) {
+      return { level: "error", code: "invalid", detail: error.message }
+    }
+  } else if (matchMethod === "matchPattern") {
+    if (!isValidMatchPattern(pattern)) {
+      return { level: "error", code: "invalid" }
+    }
+  } else if (matchMethod === "urlPattern") {
+    if (!isUrlPatternSupported()) {
+      return { level: "warning", code: "unsupported" }
+    }
+    try {
+      const URLPattern = (globalThis as any).URLPattern
+      new URLPattern(pattern)
+    } catch (error: any) {
+      return { level: "error", code: "invalid", detail: error.message }
+    }
+  }
+  return null
+}
+
+/**
+ * 正则表达式是否包含容易发生灾难性回溯的结构：
+ * 1. 嵌套的无上限量词，例如 (a+)+、(.*)*、(\w+\.)*
+ * 2. 相邻的任意字符量词，例如 .*.*
+ */
+function hasBacktrackingRisk(pattern: string): boolean {
+  if (/\.[*+]\??\.[*+]/.test(pattern)) {
+    return true
+  }
+
+  // 每一层分组中，是否包含无上限的量词
+  const stack: boolean[] = [false]
+  let inClass = false
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === "\\") {
+      i++
+      continue
+    }
+    if (inClass) {
+      inClass = char !== "]"
+      continue
+    }
+
+    if (char === "[") {
+      inClass = true
+    } else if (char === "(") {
+      stack.push(false)
+    } else if (char === ")" && stack.length > 1) {
+      const innerUnbounded = stack.pop()!
+      const quantified = isUnboundedQuantifier(pattern, i + 1)
+      if (innerUnbounded && quantified) {
+        return true
+      }
+      if (innerUnbounded || quantified) {
+        stack[stack.length - 1] = true
+      }
+    } else if (isUnboundedQuantifier(pattern, i)) {
+      stack[stack.length - 1] = true
+    }
+  }
+  return false
+}
+
+/**
+ * 指定位置是否是无上限的量词：*、+、{n,}
+ */
+function isUnboundedQuantifier(pattern: string, index: number): boolean {
+  const char = pattern[index]
+  if (char === "*" || char === "+") {
+    return true
+  }
+  return char === "{" && /^\{\d+,\}/.test(pattern.substring(index))
+}
@@ -0,0 +1,37 @@
+/**
+ * 判断标签页所在的窗口是否满足单个窗口触发条件
+ * @param windows 当前打开的全部窗口，key 是窗口 ID
+ */
+export function isWindowTriggerMatch(
+  tabInfo: chrome.tabs.Tab | null,
+  config: ruleV2.IWindowTriggerConfig | undefined,
+  windows: Map<number, chrome.windows.Window> | undefined
+): boolean {
+  if (!tabInfo || !config || !windows) {
+    return false
+  }
+
+  const window = windows.get(tabInfo.windowId)
+  if (!window) {
+    return false
+  }
+
+  if (config.incognito !== undefined && window.incognito !== config.incognito) {
+    return false
+  }
+  if (config.windowTypes && config.windowTypes.length > 0) {
+    if (!window.type || !config.windowTypes.includes(window.type as ruleV2.WindowType)) {
+      return false
+    }
+  }
+  if (config.windowStates && config.windowStates.length > 0) {
+    if (!window.state || !config.windowStates.includes(window.state as ruleV2.WindowState)) {
+      return false
+    }
+  }
+  if (config.focusedOnly && !window.focused) {
+    return false
+  }
+
+  return true
+}
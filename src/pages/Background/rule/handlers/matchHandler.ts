@@ -2,10 +2,15 @@ import chromeP from "webext-polyfill-kinda"
 
 import logger from ".../utils/logger"
 import type { ProcessContext } from "../processor"
-import checkCurrentOsMatch from "./match/osMatchHandler"
-import checkCurrentTimeMatch from "./match/periodMatchHandler"
-import checkCurrentSceneMatch from "./match/sceneMatchHandler"
-import checkCurrentUrlMatch, { checkAnyUrlMatch } from "./match/urlMatchHandler"
+import {
+  ConditionEnv,
+  evaluateCondition,
+  getConditionTriggers,
+  getMatchCondition,
+  isTabDependent
+} from "./conditionHandler"
+import { getIdleThreshold } from "./match/idleMatchHandler"
+import { isUrlTriggerMatch } from "./match/urlMatchHandler"
 
 export interface IMatchResult {
   /**
@@ -32,10 +37,39 @@ export interface IMatchResult {
    * 匹配的 tab
    */
   matchTab: chrome.tabs.Tab | null
+
+  /**
+   * 上一次执行规则之后关闭的标签页中，是否有满足规则的
+   */
+  isClosedMatch?: boolean
+
+  /**
+   * 满足规则的、被关闭的 tab
+   */
+  closedTab?: chrome.tabs.Tab | null
+
+  /**
+   * 满足规则的标签页，因为所在窗口被关闭而关闭时，窗口的 ID
+   */
+  closedWindowId?: number
+
+  /**
+   * 按当前标签页计算，每个触发条件是否满足（不考虑条件树的组合关系）
+   */
+  triggerResults?: TriggerMatchResult[]
+}
+
+/**
+ * 单个触发条件的匹配结果
+ */
+export type TriggerMatchResult = {
+  trigger: ruleV2.TriggerType
+  match: boolean
 }
 
 /**
  * 判断当前状态（情景模式，当前 URL）是否与指定规则匹配
+ * 规则的条件树按标签页计算：当前标签页满足条件树即 isCurrentMatch，任一标签页满足条件树即 isAnyMatch
  * @param scene 当前的情景模式
  * @param tabInfo 当前标签页的信息
  * @param rule 规则数据
@@ -53,73 +87,55 @@ export default async function isMatch(
     matchTab: null
   }
 
-  if (!rule.match) {
+  const condition = getMatchCondition(rule.match)
+  const triggers = getConditionTriggers(condition)
+  if (!condition || triggers.length === 0) {
+    // 没有任何匹配条件，直接返回"不匹配"
     return result
   }
 
-  let matchTab: chrome.tabs.Tab | null = null
-
-  const isCurrentUrlMatch = await checkCurrentUrlMatch(ctx.tab, rule)
-  if (isCurrentUrlMatch) {
-    matchTab = ctx.tab
-  }
-  let isAnyUrlMatch = isCurrentUrlMatch
-  if (!isAnyUrlMatch) {
-    // 如果当前标签不匹配，则检查是否有其它标签页匹配
-    matchTab = await checkAnyUrlMatch(ctx.tabs, rule)
-    isAnyUrlMatch = Boolean(matchTab)
+  const env = await buildConditionEnv(scene, triggers, ctx)
+
+  // 只考虑 URL 条件
+  const urlTriggers = triggers.filter((t) => t.trigger === "urlTrigger")
+  const isUrlMatch = (tab: chrome.tabs.Tab | null) =>
+    urlTriggers.some((t) =>
+      isUrlTriggerMatch(tab, t.config as ruleV2.IUrlTriggerConfig, ctx.urlMatchMemo)
+    )
+  result.isCurrentUrlMatch = isUrlMatch(ctx.tab)
+  const urlMatchTab = result.isCurrentUrlMatch ? ctx.tab : ctx.tabs.find(isUrlMatch) ?? null
+  result.isAnyUrlMatch = Boolean(urlMatchTab)
+
+  result.isCurrentMatch = evaluateCondition(condition, ctx.tab, env)
+  result.triggerResults = triggers.map((t) => ({
+    trigger: t.trigger,
+    match: evaluateCondition(t, ctx.tab, env)
+  }))
+
+  if (!isTabDependent(condition)) {
+    // 与标签页无关的条件，任一标签页的结果与当前标签页相同
+    result.isAnyMatch = result.isCurrentMatch
+    result.matchTab = urlMatchTab
+  } else if (result.isCurrentMatch) {
+    result.isAnyMatch = true
+    result.matchTab = ctx.tab
+  } else {
+    // 没有打开任何标签页时，按"没有标签页"计算一次（例如 NOT URL 条件）
+    const tabs = ctx.tabs.length > 0 ? ctx.tabs : [null]
+    const anyTab = tabs.find((tab) => evaluateCondition(condition, tab, env))
+    result.isAnyMatch = anyTab !== undefined
+    result.matchTab = anyTab ?? urlMatchTab
   }
 
-  const isCurrentSceneMatch = await checkCurrentSceneMatch(scene, rule)
-  const isCurrentOsMatch = await checkCurrentOsMatch(rule)
-  const isCurrentTimeMatch = await checkCurrentTimeMatch(rule)
-
-  const list = [
-    isCurrentUrlMatch,
-    isAnyUrlMatch,
-    isCurrentSceneMatch,
-    isCurrentOsMatch,
-    isCurrentTimeMatch
-  ]
-  if (list.filter((m) => m !== undefined).length === 0) {
-    // 没有任何匹配条件，直接返回"不匹配"
-    return result
-  }
-
-  result.isCurrentUrlMatch = Boolean(isCurrentUrlMatch)
-  result.isAnyUrlMatch = Boolean(isAnyUrlMatch)
-  result.matchTab = matchTab
-
-  // 当前标签是否匹配
-  const currentCheckList = [
-    isCurrentUrlMatch,
-    isCurrentSceneMatch,
-    isCurrentOsMatch,
-    isCurrentTimeMatch
-  ].filter((m) => m !== undefined)
-
-  // 任一标签是否匹配
-  const anyCheckList = [
-    isAnyUrlMatch,
-    isCurrentSceneMatch,
-    isCurrentOsMatch,
-    isCurrentTimeMatch
-  ].filter((m) => m !== undefined)
-
-  const relationship = rule.match.relationship
-  if (relationship === "and") {
-    if (currentCheckList.filter((m) => m === true).length === currentCheckList.length) {
-      result.isCurrentMatch = true
-    }
-    if (anyCheckList.filter((m) => m === true).length === anyCheckList.length) {
-      result.isAnyMatch = true
-    }
-  } else if (relationship === "or") {
-    if (currentCheckList.filter((m) => m === true).length > 0) {
-      result.isCurrentMatch = true
-    }
-    if (anyCheckList.filter((m) => m === true).length > 0) {
-      result.isAnyMatch = true
+  // 关闭的标签页中，是否有满足规则的
+  if (ctx.closedTabs && ctx.closedTabs.length > 0) {
+    const closedTab = ctx.closedTabs.find((tab) => evaluateCondition(condition, tab, env))
+    result.isClosedMatch = Boolean(closedTab)
+    if (closedTab) {
+      result.closedTab = closedTab
+      if (closedTab.windowId === ctx.closedWindowId) {
+        result.closedWindowId = ctx.closedWindowId
+      }
     }
   }
 
@@ -133,28 +149,60 @@ export async function isMatchByCurrent(
   rule: ruleV2.IRuleConfig,
   tabInfo: chrome.tabs.Tab | null
 ): Promise<boolean> {
-  if (!rule.match) {
+  const condition = getMatchCondition(rule.match)
+  const triggers = getConditionTriggers(condition)
+  if (!condition || triggers.length === 0) {
     return false
   }
 
-  const isCurrentUrlMatch = await checkCurrentUrlMatch(tabInfo, rule)
-  const isCurrentSceneMatch = await checkCurrentSceneMatch(activeScene, rule)
-  const isCurrentOsMatch = await checkCurrentOsMatch(rule)
-  const isCurrentTimeMatch = await checkCurrentTimeMatch(rule)
-
-  const currentCheckList = [
-    isCurrentUrlMatch,
-    isCurrentSceneMatch,
-    isCurrentOsMatch,
-    isCurrentTimeMatch
-  ].filter((m) => m !== undefined)
-
-  const relationship = rule.match.relationship
-  if (relationship === "and") {
-    return currentCheckList.filter((m) => m === true).length === currentCheckList.length
-  } else if (relationship === "or") {
-    return currentCheckList.filter((m) => m === true).length > 0
+  const env = await buildConditionEnv(activeScene, triggers)
+  return evaluateCondition(condition, tabInfo, env)
+}
+
+/**
+ * 构造条件树计算需要的环境信息，只有存在对应的条件时，才读取平台信息、空闲状态、标签组和窗口
+ * ctx 中指定了的信息（模拟执行时）直接使用，不再查询
+ */
+async function buildConditionEnv(
+  scene: config.IScene | undefined,
+  triggers: ruleV2.ITrigger[],
+  ctx?: Pick<ProcessContext, "os" | "now" | "idleState" | "tabGroups" | "windows" | "urlMatchMemo">
+): Promise<ConditionEnv> {
+  const hasTrigger = (type: ruleV2.TriggerType) => triggers.some((t) => t.trigger === type)
+
+  let currentOs = ctx?.os
+  if (!currentOs && hasTrigger("osTrigger")) {
+    currentOs = (await chromeP.runtime.getPlatformInfo()).os
   }
 
-  return false
+  // 不同的空闲时间，查询到的空闲状态可能不同
+  const idleStates = new Map<number, chrome.idle.IdleState>()
+  for (const trigger of triggers.filter((t) => t.trigger === "idleTrigger")) {
+    const threshold = getIdleThreshold(trigger.config as ruleV2.IIdleTriggerConfig)
+    if (!idleStates.has(threshold)) {
+      idleStates.set(threshold, ctx?.idleState ?? (await chrome.idle.queryState(threshold)))
+    }
+  }
+
+  let tabGroups: Map<number, chrome.tabGroups.TabGroup> | undefined
+  if (hasTrigger("tabGroupTrigger")) {
+    const groups = ctx?.tabGroups ?? (await chrome.tabGroups.query({}))
+    tabGroups = new Map(groups.map((g) => [g.id, g]))
+  }
+
+  let windows: Map<number, chrome.windows.Window> | undefined
+  if (hasTrigger("windowTrigger")) {
+    const list = ctx?.windows ?? (await chrome.windows.getAll())
+    windows = new Map(list.filter((w) => w.id !== undefined).map((w) => [w.id!, w]))
+  }
+
+  return {
+    scene,
+    os: currentOs,
+    now: ctx?.now ?? new Date(),
+    idleStates,
+    tabGroups,
+    windows,
+    urlMatchMemo: ctx?.urlMatchMemo
+  }
 }
@@ -1,12 +1,38 @@
+import chromeP from "webext-polyfill-kinda"
+
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+
+/**
+ * 解析目标选择器需要的扩展信息
+ */
+export type TargetEnv = {
+  /**
+   * 当前安装的全部扩展
+   */
+  extensions: chrome.management.ExtensionInfo[]
+  /**
+   * AI 知识库中扩展的分类，key 是扩展 ID；没有分类选择器或者没有启用 AI 时为空
+   */
+  categories?: Map<string, string[]>
+}
+
+/**
+ * 表示全部网站的主机权限
+ */
+const ALL_HOSTS = ["<all_urls>", "*://*/*", "http://*/*", "https://*/*"]
+
 /**
  * 获取规则执行的目标对象（插件ID列表）
  * @param groups 用户设置的分组信息，主要从这里获取到分组对应的插件列表
  * @param rule 规则对象
+ * @param env 解析目标选择器需要的扩展信息，为空时忽略选择器
  * @returns 规则适用的目标，插件ID列表
  */
 export default function getTarget(
   groups: config.IGroup[] | undefined,
-  rule: ruleV2.IRuleConfig
+  rule: ruleV2.IRuleConfig,
+  env?: TargetEnv
 ): string[] {
   const groupIds = rule.target?.groups ?? []
   const extensions = rule.target?.extensions ?? []
@@ -17,7 +43,118 @@ export default function getTarget(
       .map((g) => g.extensions)
       .flat() ?? []
 
-  const all = [...groupExtensions, ...extensions]
+  const selectorExtensions = env
+    ? (rule.target?.selectors ?? []).flatMap((selector) => resolveSelector(selector, env))
+    : []
+
+  const all = [...groupExtensions, ...extensions, ...selectorExtensions]
+
+  const excluded = getExcludedExtensions(groups, rule.target)
+  return Array.from(new Set(all)).filter((id) => !excluded.has(id))
+}
+
+/**
+ * 规则目标中排除的扩展：排除的扩展，以及排除的分组中的全部扩展
+ */
+export function getExcludedExtensions(
+  groups: config.IGroup[] | undefined,
+  target: ruleV2.ITarget | undefined
+): Set<string> {
+  const excludeGroupIds = target?.excludeGroups ?? []
+  const excludeGroupExtensions =
+    groups
+      ?.filter((g) => excludeGroupIds.includes(g.id))
+      .map((g) => g.extensions)
+      .flat() ?? []
+
+  return new Set([...(target?.excludeExtensions ?? []), ...excludeGroupExtensions])
+}
+
+/**
+ * 分组的全局行为（常开分组自动启用、互斥分组自动禁用）作用的扩展：
+ * 分组中的扩展，去掉启用的规则以该分组为目标时排除的扩展
+ */
+export function getGroupMembers(
+  group: config.IGroup,
+  groups: config.IGroup[] | undefined,
+  rules: ruleV2.IRuleConfig[] | undefined
+): string[] {
+  const excluded = new Set<string>()
+  for (const rule of rules ?? []) {
+    if (!rule.enable || !rule.target?.groups?.includes(group.id)) {
+      continue
+    }
+    getExcludedExtensions(groups, rule.target).forEach((id) => excluded.add(id))
+  }
+  return (group.extensions ?? []).filter((id) => !excluded.has(id))
+}
+
+/**
+ * 规则的目标中是否有选择器
+ */
+export function hasTargetSelectors(rule: ruleV2.IRuleConfig): boolean {
+  return (rule.target?.selectors?.length ?? 0) > 0
+}
+
+/**
+ * 按选择器，从当前安装的扩展中找出目标扩展的 ID（不包含应用和主题）
+ */
+export function resolveSelector(selector: ruleV2.ITargetSelector, env: TargetEnv): string[] {
+  return env.extensions
+    .filter((ext) => ext.type === "extension" && isSelectorMatch(selector, ext, env))
+    .map((ext) => ext.id)
+}
+
+/**
+ * 读取解析选择器需要的扩展信息，只有规则中有分类选择器时才读取 AI 知识库
+ */
+export async function buildTargetEnv(
+  rules: ruleV2.IRuleConfig[],
+  EM?: IExtensionManager
+): Promise<TargetEnv> {
+  const extensions = await chromeP.management.getAll()
+
+  const hasCategorySelector = rules.some((rule) =>
+    rule.target?.selectors?.some((selector) => selector.type === "category")
+  )
+  let categories: Map<string, string[]> | undefined
+  if (hasCategorySelector && EM?.AI?.knowledgeBase) {
+    try {
+      const knowledge = await EM.AI.knowledgeBase.getAllKnowledge()
+      categories = new Map(knowledge.map((k) => [k.extId, k.categories ?? []]))
+    } catch (error) {
+      logger().warn("[Rule] 读取扩展分类失败", error)
+    }
+  }
+
+  return { extensions, categories }
+}
+
+function isSelectorMatch(
+  selector: ruleV2.ITargetSelector,
+  ext: chrome.management.ExtensionInfo,
+  env: TargetEnv
+): boolean {
+  const value = selector.value?.trim()
+  if (!value) {
+    return false
+  }
 
-  return Array.from(new Set(all))
+  switch (selector.type) {
+    case "permission":
+      return ext.permissions?.includes(value) ?? false
+    case "hostPermission": {
+      const hosts = ext.hostPermissions ?? []
+      if (value === "<all_urls>") {
+        return hosts.some((host) => ALL_HOSTS.includes(host))
+      }
+      return hosts.includes(value)
+    }
+    case "installType":
+      return ext.installType === value
+    case "category":
+      return env.categories?.get(ext.id)?.includes(value) ?? false
+    default:
+      return false
+  }
 }
@@ -0,0 +1,62 @@
+import logger from ".../utils/logger"
+import { getIdleThreshold } from "./handlers/match/idleMatchHandler"
+
+/**
+ * 空闲时间达到某个空闲状态条件的 alarm 名称前缀
+ */
+export const IDLE_THRESHOLD_ALARM = "rule-idle-threshold"
+
+/**
+ * 启用规则的空闲状态条件中，全部不同的空闲时间（秒），从小到大排列
+ */
+export function getIdleThresholds(rules: ruleV2.IRuleConfig[] | undefined): number[] {
+  const thresholds = new Set<number>()
+  for (const rule of rules ?? []) {
+    if (!rule.enable) {
+      continue
+    }
+    for (const trigger of rule.match?.triggers ?? []) {
+      if (trigger.trigger === "idleTrigger") {
+        thresholds.add(getIdleThreshold(trigger.config as ruleV2.IIdleTriggerConfig))
+      }
+    }
+  }
+  return [...thresholds].sort((a, b) => a - b)
+}
+
+/**
+ * 按最小的空闲时间设置 chrome.idle 的检测间隔，空闲状态变化时再按其它空闲时间设置 alarm
+ */
+export function updateIdleDetection(rules: ruleV2.IRuleConfig[] | undefined): void {
+  const thresholds = getIdleThresholds(rules)
+  if (thresholds.length > 0) {
+    chrome.idle.setDetectionInterval(thresholds[0])
+  }
+}
+
+/**
+ * chrome.idle 只在达到检测间隔（最小的空闲时间）时通知一次，
+ * 进入空闲状态后，为更大的空闲时间分别设置 alarm，到达时重新执行规则；恢复活动时清除这些 alarm
+ */
+export async function scheduleIdleThresholdAlarms(
+  rules: ruleV2.IRuleConfig[] | undefined,
+  state: chrome.idle.IdleState
+): Promise<void> {
+  const alarms = await chrome.alarms.getAll()
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(IDLE_THRESHOLD_ALARM)) {
+      await chrome.alarms.clear(alarm.name)
+    }
+  }
+
+  if (state !== "idle") {
+    return
+  }
+
+  const [detection, ...others] = getIdleThresholds(rules)
+  for (const threshold of others) {
+    const when = Date.now() + (threshold - detection) * 1000
+    await chrome.alarms.create(`${IDLE_THRESHOLD_ALARM}-${threshold}`, { when })
+    logger().debug(`[Rule] 空闲 ${threshold} 秒时重新执行规则`)
+  }
+}
@@ -1,8 +1,20 @@
 import chromeP from "webext-polyfill-kinda"
 
 import { storage } from ".../storage/sync"
+import { onAlarmFired } from "../event/alarmEvent"
+import { onExtensionInstalled } from "../event/extensionInstallEvent"
+import { onIdleStateChanged } from "../event/idleEvent"
 import { onTabClosed, onTabUrlChange, onWindowClosed } from "../event/tabChangeEvent"
+import { onTabGroupChanged } from "../event/tabGroupEvent"
+import { onWindowChanged } from "../event/windowEvent"
 import createRuleHandler from "./RuleHandler"
+import { AUTOMATION_RESUME_ALARM, AutomationPause } from "./automationPause"
+import { LINGER_CLOSE_ALARM } from "./delayCloser"
+import { IDLE_THRESHOLD_ALARM } from "./idleAlarm"
+import { MANUAL_OVERRIDE_ALARM } from "./manualOverride"
+import { PERIOD_BOUNDARY_ALARM } from "./periodAlarm"
+import { RuleStats } from "./ruleStats"
+import { SCENE_AUTO_ALARM } from "./sceneAutoSwitcher"
 
 /*
  * 创建规则执行，无其它依赖
@@ -15,6 +27,10 @@ const createRule = async (EM) => {
   onTabUrlChange(handler.onCurrentUrlChanged.bind(handler))
   onTabClosed(handler.onTabClosed.bind(handler))
   onWindowClosed(handler.onWindowClosed.bind(handler))
+  onIdleStateChanged(handler.onIdleStateChanged.bind(handler))
+  onTabGroupChanged(handler.onTabGroupChanged.bind(handler))
+  onWindowChanged(handler.onWindowChanged.bind(handler))
+  onExtensionInstalled(handler.onExtensionInstalled.bind(handler))
 
   // 初始化
   const options = await storage.options.getAll()
@@ -27,6 +43,9 @@ const createRule = async (EM) => {
   })
   const tab = tabs ? tabs[0] : undefined
 
+  // 情景模式的自动激活条件
+  handler.setScenes(options.scenes)
+
   handler.init(
     {
       id: activeSceneId
@@ -37,8 +56,27 @@ const createRule = async (EM) => {
     EM
   )
 
+  // 时间区间边界、空闲时间、延迟禁用、自动切换情景模式、手动覆盖到期的 alarm，需要在规则初始化之后再处理
+  onAlarmFired(PERIOD_BOUNDARY_ALARM, handler.onPeriodBoundary.bind(handler))
+  onAlarmFired(IDLE_THRESHOLD_ALARM, handler.onIdleThreshold.bind(handler))
+  onAlarmFired(LINGER_CLOSE_ALARM, handler.onLingerDue.bind(handler))
+  onAlarmFired(SCENE_AUTO_ALARM, handler.onSceneAutoAlarm.bind(handler))
+  onAlarmFired(MANUAL_OVERRIDE_ALARM, handler.onManualOverrideReleased.bind(handler))
+
+  // 暂停与恢复自动化
+  const pause = new AutomationPause(EM)
+  onAlarmFired(AUTOMATION_RESUME_ALARM, pause.onResumeAlarm.bind(pause))
+  pause.restore().catch((error) => {
+    console.warn("[Rule] restore automation pause failed", error)
+  })
+
+  // 规则统计：匹配次数、启用禁用扩展的次数、最近一次生效的时间
+  const stats = new RuleStats(EM)
+
   return {
-    handler
+    handler,
+    pause,
+    stats
   }
 }
 
@@ -0,0 +1,216 @@
+import logger from ".../utils/logger"
+
+/**
+ * 手动覆盖到期的 alarm 名称，到期之后重新执行规则
+ */
+export const MANUAL_OVERRIDE_ALARM = "manual-override-expire"
+
+/**
+ * 手动覆盖保存在 storage.session 中的 key；service worker 重启之后仍然有效，浏览器重启之后清空
+ */
+export const MANUAL_OVERRIDE_STORAGE_KEY = "manualOverrides"
+
+const DEFAULT_OVERRIDE_MINUTES = 30
+
+/**
+ * 限时启用的覆盖比计时多保留一段时间，保证到期时先由计时禁用扩展，再交还给规则
+ */
+const TIMER_OVERRIDE_MARGIN = 60 * 1000
+
+/**
+ * 在 Popup 中手动启用或禁用扩展之后产生的覆盖，覆盖期间规则不再修改该扩展
+ */
+export type ManualOverride = {
+  extId: string
+  /**
+   * 手动设置的状态
+   */
+  enabled: boolean
+  mode: Exclude<config.ManualOverrideMode, "off">
+  createdAt: number
+  /**
+   * mode 为 site 时，手动操作时所在网站的 host；离开此网站之后覆盖失效
+   */
+  host?: string
+  /**
+   * mode 为 minutes 时，覆盖失效的时间（毫秒时间戳）
+   */
+  until?: number
+  /**
+   * 由限时启用添加的覆盖，不受手动覆盖方式设置的影响，持续到计时结束
+   */
+  timer?: boolean
+}
+
+function getHost(url: string | undefined): string {
+  if (!url) {
+    return ""
+  }
+  try {
+    return new URL(url).host
+  } catch {
+    return ""
+  }
+}
+
+async function readOverrides(): Promise<Record<string, ManualOverride>> {
+  const result = await chrome.storage.session.get(MANUAL_OVERRIDE_STORAGE_KEY)
+  return result[MANUAL_OVERRIDE_STORAGE_KEY] ?? {}
+}
+
+async function writeOverrides(overrides: Record<string, ManualOverride>): Promise<void> {
+  await chrome.storage.session.set({ [MANUAL_OVERRIDE_STORAGE_KEY]: overrides })
+  await scheduleExpireAlarm(Object.values(overrides))
+}
+
+/**
+ * 串行执行手动覆盖的读写
+ */
+let updateQueue: Promise<unknown> = Promise.resolve()
+
+/**
+ * 修改手动覆盖并保存；读取、修改、保存在同一个队列中执行，避免快速连续的修改相互覆盖
+ * @param change 直接修改传入的覆盖，返回 changed 为 false 时不需要保存
+ */
+function updateOverrides<T>(
+  change: (overrides: Record<string, ManualOverride>) => { result: T; changed: boolean }
+): Promise<T> {
+  const task = updateQueue.then(async () => {
+    const overrides = await readOverrides()
+    const { result, changed } = change(overrides)
+    if (changed) {
+      await writeOverrides(overrides)
+    }
+    return result
+  })
+  // 一次保存失败不影响之后的修改
+  updateQueue = task.catch((error) => {
+    logger().warn("[Rule] 保存手动覆盖失败", error)
+  })
+  return task
+}
+
+/**
+ * 当前有效的手动覆盖（已经到期的不包括在内）
+ */
+export async function getManualOverrides(): Promise<ManualOverride[]> {
+  const now = Date.now()
+  return Object.values(await readOverrides()).filter((o) => !o.until || o.until > now)
+}
+
+/**
+ * 当前被手动覆盖的扩展，执行规则时跳过这些扩展
+ */
+export async function getOverriddenExtensionIds(): Promise<Set<string>> {
+  return new Set((await getManualOverrides()).map((o) => o.extId))
+}
+
+/**
+ * 手动启用或禁用了扩展，按设置的方式添加覆盖
+ */
+export async function addManualOverride(
+  extId: string,
+  enabled: boolean,
+  setting: config.ISetting | undefined,
+  tab: chrome.tabs.Tab | null
+): Promise<ManualOverride | undefined> {
+  const mode = setting?.manualOverrideMode ?? "site"
+  if (mode === "off") {
+    return undefined
+  }
+
+  const override: ManualOverride = { extId, enabled, mode, createdAt: Date.now() }
+  if (mode === "site") {
+    override.host = getHost(tab?.url)
+  } else if (mode === "minutes") {
+    const minutes = setting?.manualOverrideMinutes ?? DEFAULT_OVERRIDE_MINUTES
+    override.until = Date.now() + minutes * 60 * 1000
+  }
+
+  await updateOverrides((overrides) => {
+    overrides[extId] = override
+    return { result: undefined, changed: true }
+  })
+  logger().debug(`[Rule] 手动覆盖 ${extId} ${enabled}`, override)
+  return override
+}
+
+/**
+ * 限时启用了扩展，添加持续到计时结束的覆盖（不受 manualOverrideMode 设置的影响）
+ */
+export async function addTimerOverride(extId: string, disableAt: number): Promise<ManualOverride> {
+  const override: ManualOverride = {
+    extId,
+    enabled: true,
+    mode: "minutes",
+    createdAt: Date.now(),
+    until: disableAt + TIMER_OVERRIDE_MARGIN,
+    timer: true
+  }
+
+  await updateOverrides((overrides) => {
+    overrides[extId] = override
+    return { result: undefined, changed: true }
+  })
+  logger().debug(`[Rule] 限时启用覆盖 ${extId}`, override)
+  return override
+}
+
+/**
+ * 解除限时启用添加的覆盖；之后手动切换产生的覆盖保持不变
+ */
+export function releaseTimerOverride(extId: string): Promise<boolean> {
+  return updateOverrides((overrides) => {
+    if (!overrides[extId]?.timer) {
+      return { result: false, changed: false }
+    }
+    delete overrides[extId]
+    return { result: true, changed: true }
+  })
+}
+
+/**
+ * 解除扩展的手动覆盖，返回是否存在覆盖
+ */
+export function releaseManualOverride(extId: string): Promise<boolean> {
+  return updateOverrides((overrides) => {
+    if (!overrides[extId]) {
+      return { result: false, changed: false }
+    }
+    delete overrides[extId]
+    return { result: true, changed: true }
+  })
+}
+
+/**
+ * 离开了网站，解除 site 方式的覆盖；同时清理已经到期的覆盖。返回是否有覆盖被解除
+ */
+export function releaseStaleOverrides(tab: chrome.tabs.Tab | null): Promise<boolean> {
+  const host = getHost(tab?.url)
+  return updateOverrides((overrides) => {
+    const now = Date.now()
+    let changed = false
+    for (const override of Object.values(overrides)) {
+      const leftSite = override.mode === "site" && tab && override.host !== host
+      const expired = override.until && override.until <= now
+      if (leftSite || expired) {
+        delete overrides[override.extId]
+        changed = true
+      }
+    }
+    return { result: changed, changed }
+  })
+}
+
+async function scheduleExpireAlarm(overrides: ManualOverride[]): Promise<void> {
+  const now = Date.now()
+  const next = overrides
+    .map((o) => o.until ?? 0)
+    .filter((until) => until > now)
+    .sort((a, b) => a - b)[0]
+
+  await chrome.alarms.clear(MANUAL_OVERRIDE_ALARM)
+  if (next) {
+    await chrome.alarms.create(MANUAL_OVERRIDE_ALARM, { when: next })
+  }
+}
@@ -0,0 +1,38 @@
+import logger from ".../utils/logger"
+import { getNextPeriodBoundary } from "./handlers/match/periodMatchHandler"
+
+/**
+ * 时间区间边界的 alarm 名称
+ */
+export const PERIOD_BOUNDARY_ALARM = "rule-period-boundary"
+
+/**
+ * 在所有启用规则的下一个时间区间边界上设置 alarm，到达边界时重新执行规则
+ * 只保留一个最近的 alarm，alarm 触发之后再重新计算下一个
+ */
+export async function schedulePeriodBoundaryAlarm(
+  rules: ruleV2.IRuleConfig[] | undefined,
+  from: Date = new Date()
+): Promise<Date | undefined> {
+  let next: Date | undefined
+  for (const rule of rules ?? []) {
+    if (!rule.enable) {
+      continue
+    }
+    // 条件树中可能有多个时间区间条件
+    const periodTriggers = rule.match?.triggers?.filter((t) => t.trigger === "periodTrigger") ?? []
+    for (const trigger of periodTriggers) {
+      const boundary = getNextPeriodBoundary(trigger.config as ruleV2.IPeriodTriggerConfig, from)
+      if (boundary && (!next || boundary < next)) {
+        next = boundary
+      }
+    }
+  }
+
+  await chrome.alarms.clear(PERIOD_BOUNDARY_ALARM)
+  if (next) {
+    await chrome.alarms.create(PERIOD_BOUNDARY_ALARM, { when: next.getTime() })
+    logger().debug(`[Rule] 下一个时间区间边界 ${next.toLocaleString()}`)
+  }
+  return next
+}
@@ -1,8 +1,16 @@
 import type { IExtensionManager } from ".../types/global"
 import logger from ".../utils/logger"
-import { ExecuteTaskHandler, ExecuteTaskPriority } from "./ExecuteTaskHandler"
+import {
+  DroppedTask,
+  ExecuteTaskHandler,
+  ExecuteTaskPriority,
+  ExecutionRecord
+} from "./ExecuteTaskHandler"
+import { getMatchCondition, isConjunctiveCondition } from "./handlers/conditionHandler"
+import { UrlMatchMemo } from "./handlers/match/urlMatcherCache"
 import isMatch, { IMatchResult } from "./handlers/matchHandler"
-import getTarget from "./handlers/targetHandler"
+import getTarget, { TargetEnv, buildTargetEnv, hasTargetSelectors } from "./handlers/targetHandler"
+import { getRulePriority } from "./rulePriority"
 
 /**
  * 根据当前情景模式，标签页信息，规则信息，处理扩展的打开或关闭
@@ -31,6 +39,51 @@ export type ProcessContext = {
    * 全局对象
    */
   EM?: IExtensionManager
+
+  /**
+   * 指定的操作系统，用于模拟执行；为空时读取当前平台信息
+   */
+  os?: string
+
+  /**
+   * 指定的当前时间，用于模拟执行；为空时使用系统时间
+   */
+  now?: Date
+
+  /**
+   * 指定的空闲状态，用于模拟执行；为空时按空闲状态条件的空闲时间查询
+   */
+  idleState?: chrome.idle.IdleState
+
+  /**
+   * 指定的标签组，用于模拟执行；为空时查询当前打开的标签组
+   */
+  tabGroups?: chrome.tabGroups.TabGroup[]
+
+  /**
+   * 当前浏览器打开的全部窗口（窗口类型、状态、是否隐身、是否获得焦点）
+   */
+  windows?: chrome.windows.Window[]
+
+  /**
+   * 上一次执行规则之后，被关闭的标签页（关闭之前的信息）
+   */
+  closedTabs?: chrome.tabs.Tab[]
+
+  /**
+   * 上一次执行规则之后，被关闭的窗口
+   */
+  closedWindowId?: number
+
+  /**
+   * 本轮规则执行中，URL 触发条件的匹配结果缓存；为空时由 processRule 创建
+   */
+  urlMatchMemo?: UrlMatchMemo
+
+  /**
+   * 解析目标选择器需要的扩展信息；为空时，规则中有选择器才由 processRule 读取
+   */
+  targetEnv?: TargetEnv
 }
 
 type ProcessItem = {
@@ -50,6 +103,54 @@ type ProcessItem = {
    * 执行上下文
    */
   ctx: ProcessContext
+  /**
+   * 只计算匹配结果与执行任务，不实际启用或禁用扩展
+   */
+  dryRun?: boolean
+}
+
+/**
+ * 单条规则在本轮执行中的计算结果
+ */
+export type RuleProcessReport = {
+  rule: ruleV2.IRuleConfig
+  /**
+   * 规则没有参与本轮计算的原因：规则未启用，或者被规则索引过滤掉
+   */
+  skipped?: "disabled" | "indexed"
+  matchResult: IMatchResult | null
+  /**
+   * 规则的执行目标（已经过滤掉自身）
+   */
+  targetExtensions: string[]
+}
+
+/**
+ * 本轮执行中，最终保留的执行任务
+ */
+export type TaskReport = {
+  ruleId?: string
+  executeType?: "enable" | "disable"
+  targetExtensions: string[]
+  priority: number
+  /**
+   * 是否是规则不匹配时产生的任务，优先级低于所有匹配时产生的任务
+   */
+  notMatch: boolean
+  reload?: boolean
+}
+
+/**
+ * 一轮规则执行的完整结果
+ */
+export type ProcessReport = {
+  rules: RuleProcessReport[]
+  tasks: TaskReport[]
+  droppedTasks: DroppedTask[]
+  /**
+   * 对扩展实际进行的操作，模拟执行时为空；延迟禁用的结果在执行之后才会更新
+   */
+  executions: ExecutionRecord[]
 }
 
 export type RunningProcessContext = ProcessContext & {
@@ -64,9 +165,15 @@ export type RunningProcessContext = ProcessContext & {
   matchResult: IMatchResult | null
 }
 
-async function processRule({ scene, rules, groups, ctx }: ProcessItem) {
+async function processRule({
+  scene,
+  rules,
+  groups,
+  ctx,
+  dryRun
+}: ProcessItem): Promise<ProcessReport> {
   if (!rules) {
-    return
+    return { rules: [], tasks: [], droppedTasks: [], executions: [] }
   }
 
   // Use indexer if available to filter rules by URL/scene/OS
@@ -93,9 +200,11 @@ async function processRule({ scene, rules, groups, ctx }: ProcessItem) {
 
     // Get rules matching current OS
     try {
-      const platform = chrome.runtime.getPlatformInfo ? await chrome.runtime.getPlatformInfo() : null
-      if (platform?.os) {
-        const osRules = indexer.getRulesForOS(platform.os)
+      const os =
+        ctx.os ??
+        (chrome.runtime.getPlatformInfo ? (await chrome.runtime.getPlatformInfo()).os : null)
+      if (os) {
+        const osRules = indexer.getRulesForOS(os)
         osRules.forEach((id) => candidateRuleIds.add(id))
       }
     } catch (error) {
@@ -112,7 +221,11 @@ async function processRule({ scene, rules, groups, ctx }: ProcessItem) {
       
       // Merge with rules that don't have URL/scene/OS triggers (they won't be in index)
       // This ensures we don't miss period-only rules or rules with no triggers
+      // 包含 or / not 的条件树，不满足任一被索引的条件时也可能匹配，同样不能被过滤
       const nonIndexedRules = rules.filter((r) => {
+        if (!isConjunctiveCondition(getMatchCondition(r.match))) {
+          return !r.id || !candidateRuleIds.has(r.id)
+        }
         const hasUrlTrigger = r.match?.triggers?.some((t) => t.trigger === "urlTrigger")
         const hasSceneTrigger = r.match?.triggers?.some((t) => t.trigger === "sceneTrigger")
         const hasOsTrigger = r.match?.triggers?.some((t) => t.trigger === "osTrigger")
@@ -124,32 +237,64 @@ async function processRule({ scene, rules, groups, ctx }: ProcessItem) {
     // If no indexed matches or index didn't help, fall back to all rules
   }
 
-  // Sort rules by priority (higher priority = executed later, wins conflicts)
-  // Rules without priority default to 0
-  const sortedRules = [...rulesToProcess].sort((a, b) => {
-    const priorityA = a.priority ?? 0
-    const priorityB = b.priority ?? 0
-    return priorityA - priorityB
-  })
+  // 所有规则、所有标签页共用同一份 URL 匹配结果
+  ctx = { ...ctx, urlMatchMemo: ctx.urlMatchMemo ?? new UrlMatchMemo() }
+
+  // 目标选择器按当前安装的扩展解析，每一轮执行只读取一次
+  if (!ctx.targetEnv && rulesToProcess.some(hasTargetSelectors)) {
+    ctx.targetEnv = await buildTargetEnv(rulesToProcess, ctx.EM)
+  }
+
+  // 按优先级从低到高执行（优先级高的规则后执行，冲突时胜出）；优先级相同时保持列表顺序
+  const sortedRules = [...rulesToProcess].sort((a, b) => getRulePriority(a) - getRulePriority(b))
 
   // 每一轮规则的执行，使用同一个 handler 实例
   let executeTaskHandler = new ExecuteTaskHandler()
 
+  const ruleReports: RuleProcessReport[] = []
+
   for (const rule of sortedRules) {
     try {
       // 每条规则处理的 rule 数据是不用的，这里需要对 ctx 拷贝一个副本，每个实例都是不同的 rule 数据
       const copyCtx = { ...ctx, rule, executeTaskHandler, matchResult: null }
-      await process(rule, scene, groups, copyCtx)
+      ruleReports.push(await process(rule, scene, groups, copyCtx))
     } catch (error) {
       console.error("[规则预执行失败]", rules, error)
     }
   }
 
+  // 被索引过滤掉的规则，没有参与本轮计算
+  for (const rule of rules) {
+    if (!rulesToProcess.includes(rule)) {
+      ruleReports.push({ rule, skipped: "indexed", matchResult: null, targetExtensions: [] })
+    }
+  }
+
+  const report: ProcessReport = {
+    rules: ruleReports,
+    tasks: executeTaskHandler.tasks.map((task) => ({
+      ruleId: task.ctx.rule?.id,
+      executeType: task.executeType,
+      targetExtensions: [...task.targetExtensions],
+      priority: task.priority.priority,
+      notMatch: task.priority.notMatch,
+      reload: task.reload
+    })),
+    droppedTasks: executeTaskHandler.droppedTasks,
+    executions: executeTaskHandler.executions
+  }
+
+  if (dryRun) {
+    return report
+  }
+
   try {
     await executeTaskHandler.execute()
   } catch (error) {
     console.error("[规则执行失败]", rules, error)
   }
+
+  return report
 }
 
 async function process(
@@ -157,22 +302,24 @@ async function process(
   scene: config.IScene | undefined,
   groups: config.IGroup[] | undefined,
   ctx: RunningProcessContext
-) {
+): Promise<RuleProcessReport> {
   // 规则没有生效
   if (!rule.enable) {
-    return
+    return { rule, skipped: "disabled", matchResult: null, targetExtensions: [] }
   }
 
   ctx.matchResult = await isMatch(scene, rule, ctx)
 
-  const targetIdArray = getTarget(groups, rule)
+  const targetIdArray = getTarget(groups, rule, ctx.targetEnv)
   if (!targetIdArray || targetIdArray.length === 0) {
-    return
+    return { rule, matchResult: ctx.matchResult, targetExtensions: [] }
   }
   // 执行目标中，过滤掉自己
   const targetExtensionIds = targetIdArray.filter((id) => id !== ctx.self.id)
 
   handle(targetExtensionIds, rule, ctx)
+
+  return { rule, matchResult: ctx.matchResult, targetExtensions: targetExtensionIds }
 }
 
 function handle(
@@ -225,11 +372,7 @@ function handleSimpleMode(
     ctx: ctx
   }
 
-  // Set priority based on rule priority (domain rules with override mode have higher priority)
-  const taskPriority = new ExecuteTaskPriority()
-  if (ctx.rule?.priority !== undefined) {
-    taskPriority.setPriority(ctx.rule.priority)
-  }
+  const taskPriority = createTaskPriority(ctx)
 
   if (isMatch && actionType === "closeWhenMatched") {
     ctx.executeTaskHandler.close({
@@ -255,15 +398,10 @@ function handleSimpleMode(
         priority: taskPriority
       })
     } else {
-      let priority = new ExecuteTaskPriority()
-      if (ctx.rule?.priority !== undefined) {
-        priority.setPriority(ctx.rule.priority)
-      }
-      priority.setNotMatch()
       ctx.executeTaskHandler.open({
         ...baseInfo,
         reload: action.reloadAfterEnable,
-        priority: priority
+        priority: createTaskPriority(ctx, true)
       })
     }
   }
@@ -276,15 +414,10 @@ function handleSimpleMode(
         priority: taskPriority
       })
     } else {
-      let priority = new ExecuteTaskPriority()
-      if (ctx.rule?.priority !== undefined) {
-        priority.setPriority(ctx.rule.priority)
-      }
-      priority.setNotMatch()
       ctx.executeTaskHandler.close({
         ...baseInfo,
         reload: action.reloadAfterDisable,
-        priority: priority
+        priority: createTaskPriority(ctx, true)
       })
     }
   }
@@ -312,7 +445,7 @@ async function handleAdvanceMode(
 
   const open = (
     reload: boolean | undefined,
-    priority: ExecuteTaskPriority = new ExecuteTaskPriority()
+    priority: ExecuteTaskPriority = createTaskPriority(ctx)
   ) => {
     ctx.executeTaskHandler.open({
       ...baseInfo,
@@ -323,7 +456,7 @@ async function handleAdvanceMode(
 
   const close = (
     reload: boolean | undefined,
-    priority: ExecuteTaskPriority = new ExecuteTaskPriority()
+    priority: ExecuteTaskPriority = createTaskPriority(ctx)
   ) => {
     ctx.executeTaskHandler.close({
       ...baseInfo,
@@ -354,9 +487,7 @@ async function handleAdvanceMode(
     customRule.urlMatchWhenEnable === "currentNotMatch" &&
     !matchResult.isCurrentMatch
   ) {
-    let priority = new ExecuteTaskPriority()
-    priority.setNotMatch()
-    open(action.reloadAfterEnable, priority)
+    open(action.reloadAfterEnable, createTaskPriority(ctx, true))
   }
 
   if (
@@ -364,9 +495,7 @@ async function handleAdvanceMode(
     customRule.urlMatchWhenEnable === "allNotMatch" &&
     !matchResult.isAnyMatch
   ) {
-    let priority = new ExecuteTaskPriority()
-    priority.setNotMatch()
-    open(action.reloadAfterEnable, priority)
+    open(action.reloadAfterEnable, createTaskPriority(ctx, true))
   }
 
   // 禁用插件的判断
@@ -392,9 +521,7 @@ async function handleAdvanceMode(
     customRule.urlMatchWhenDisable === "currentNotMatch" &&
     !matchResult.isCurrentMatch
   ) {
-    let priority = new ExecuteTaskPriority()
-    priority.setNotMatch()
-    close(action.reloadAfterDisable, priority)
+    close(action.reloadAfterDisable, createTaskPriority(ctx, true))
   }
 
   if (
@@ -402,14 +529,31 @@ async function handleAdvanceMode(
     customRule.urlMatchWhenDisable === "allNotMatch" &&
     !matchResult.isAnyMatch
   ) {
-    let priority = new ExecuteTaskPriority()
-    priority.setNotMatch()
-    close(action.reloadAfterDisable, priority)
+    close(action.reloadAfterDisable, createTaskPriority(ctx, true))
   }
 
   if (customRule.timeWhenDisable === "closeWindow") {
-    // 暂未实现
+    // 关闭的标签页（窗口）满足规则，并且剩余的标签页都不再满足规则，即最后一个满足规则的标签页（窗口）被关闭
+    // 没有 URL 条件的规则，所有标签页都满足规则，即最后一个窗口被关闭
+    const isStillMatch = matchResult.isAnyMatch && ctx.tabs.length > 0
+    if (matchResult.isClosedMatch && !isStillMatch) {
+      // 标签页已经关闭，不需要刷新页面
+      close(false)
+    }
+  }
+}
+
+/**
+ * 按当前规则的优先级，创建执行任务的优先级
+ * @param notMatch 是否是规则不匹配时产生的任务
+ */
+function createTaskPriority(ctx: RunningProcessContext, notMatch = false): ExecuteTaskPriority {
+  const priority = new ExecuteTaskPriority()
+  priority.setPriority(getRulePriority(ctx.rule))
+  if (notMatch) {
+    priority.setNotMatch()
   }
+  return priority
 }
 
 export default processRule
@@ -0,0 +1,32 @@
+/**
+ * 覆盖模式（override）的域名规则的优先级，高于所有按列表顺序排列的规则
+ */
+export const DOMAIN_OVERRIDE_PRIORITY = 10000
+
+/**
+ * 默认模式（soft）的域名规则的优先级，低于所有按列表顺序排列的规则
+ */
+export const DOMAIN_SOFT_PRIORITY = 0
+
+/**
+ * 规则的实际优先级，优先级越高，越晚执行，冲突时胜出
+ * 域名规则由覆盖模式决定；其它规则使用保存规则列表时按列表顺序设置的优先级，旧数据中没有优先级的规则为 0
+ */
+export function getRulePriority(rule: ruleV2.IRuleConfig | undefined): number {
+  if (!rule) {
+    return 0
+  }
+  if (rule.source === "domainAuto") {
+    return rule.overrideMode === "override" ? DOMAIN_OVERRIDE_PRIORITY : DOMAIN_SOFT_PRIORITY
+  }
+  return rule.priority ?? 0
+}
+
+/**
+ * 按列表顺序设置规则的优先级：越靠前，优先级越高；最后一条为 1，高于默认模式的域名规则
+ */
+export function assignOrderPriorities(rules: ruleV2.IRuleConfig[]): void {
+  rules.forEach((rule, index) => {
+    rule.priority = rules.length - index
+  })
+}
@@ -0,0 +1,313 @@
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+import { getConditionTriggers } from "./handlers/conditionHandler"
+import type { ProcessReport } from "./processor"
+
+/**
+ * 规则统计，保存在 LocalOptions 中的 key
+ */
+const RULE_STATS_STORAGE_KEY = "ruleStats"
+
+/**
+ * 超过此天数没有启用或禁用过扩展的规则，视为不再起作用
+ */
+export const RULE_IDLE_DAYS = 30
+
+/**
+ * 单条规则的统计
+ */
+export type RuleStat = {
+  ruleId: string
+  /**
+   * 规则从不匹配变为匹配的次数
+   */
+  matchCount: number
+  /**
+   * 规则实际启用或禁用扩展的次数
+   */
+  toggleCount: number
+  /**
+   * 最近一次变为匹配的时间（毫秒时间戳）
+   */
+  lastMatchAt?: number
+  /**
+   * 最近一次启用或禁用扩展的时间（毫秒时间戳）
+   */
+  lastFiredAt?: number
+  /**
+   * 上一轮执行时规则是否匹配，用于判断是否从不匹配变为匹配
+   */
+  matching?: boolean
+  /**
+   * 开始统计的时间（毫秒时间戳）
+   */
+  since: number
+}
+
+/**
+ * 规则存在的问题
+ * idle：超过 RULE_IDLE_DAYS 天没有启用或禁用过扩展；missingScene：引用了已经删除的情景模式；
+ * missingGroup：引用了已经删除的分组；missingExtension：目标扩展已经卸载
+ */
+export type RuleIssueType = "idle" | "missingScene" | "missingGroup" | "missingExtension"
+
+export type RuleIssue = {
+  type: RuleIssueType
+  /**
+   * 缺失的情景模式、分组或扩展的 ID
+   */
+  ids: string[]
+}
+
+/**
+ * 检查规则引用时使用的当前配置
+ */
+export type RuleReferences = {
+  sceneIds: string[]
+  groupIds: string[]
+  /**
+   * 当前安装的全部扩展（包括禁用的）
+   */
+  extensionIds: string[]
+  now?: number
+}
+
+/**
+ * 按规则统计匹配次数、启用禁用扩展的次数，以及最近一次生效的时间
+ */
+export class RuleStats {
+  /**
+   * 串行执行统计的读写
+   */
+  private queue: Promise<unknown> = Promise.resolve()
+
+  constructor(private EM: IExtensionManager) {}
+
+  async getAll(): Promise<Record<string, RuleStat>> {
+    return (
+      (await this.EM.LocalOptions.getValue<Record<string, RuleStat>>(RULE_STATS_STORAGE_KEY)) ?? {}
+    )
+  }
+
+  /**
+   * 一轮规则执行结束，统计从不匹配变为匹配的规则；被规则索引过滤掉的规则视为不匹配。同时清理已经删除的规则
+   */
+  onProcessed(rules: ruleV2.IRuleConfig[], report: ProcessReport): void {
+    const matched = new Set(
+      report.rules
+        .filter((r) => r.matchResult?.isCurrentMatch || r.matchResult?.isAnyMatch)
+        .map((r) => r.rule.id)
+    )
+
+    this.update((stats) => {
+      const now = Date.now()
+      let changed = false
+      const next: Record<string, RuleStat> = {}
+      for (const rule of rules) {
+        if (!rule.id) {
+          continue
+        }
+        const stat = stats[rule.id] ?? {
+          ruleId: rule.id,
+          matchCount: 0,
+          toggleCount: 0,
+          since: now
+        }
+        const matching = matched.has(rule.id)
+        if (!stats[rule.id] || Boolean(stat.matching) !== matching) {
+          changed = true
+        }
+        if (matching && !stat.matching) {
+          stat.matchCount++
+          stat.lastMatchAt = now
+        }
+        stat.matching = matching
+        next[rule.id] = stat
+      }
+      if (Object.keys(stats).some((id) => !next[id])) {
+        changed = true
+      }
+      return changed ? next : undefined
+    })
+  }
+
+  /**
+   * 规则启用或禁用了扩展
+   */
+  onToggled(ruleId: string | undefined): void {
+    if (!ruleId) {
+      return
+    }
+    this.update((stats) => {
+      const now = Date.now()
+      const stat = stats[ruleId] ?? { ruleId, matchCount: 0, toggleCount: 0, since: now }
+      stat.toggleCount++
+      stat.lastFiredAt = now
+      return { ...stats, [ruleId]: stat }
+    })
+  }
+
+  /**
+   * 重新开始统计，ruleIds 为空时重置全部规则
+   */
+  async reset(ruleIds?: string[]): Promise<void> {
+    await this.update((stats) => {
+      if (!ruleIds) {
+        return {}
+      }
+      const next = { ...stats }
+      for (const id of ruleIds) {
+        delete next[id]
+      }
+      return next
+    })
+  }
+
+  /**
+   * 修改统计并保存；change 返回 undefined 表示没有变化，不需要保存
+   */
+  private update(
+    change: (stats: Record<string, RuleStat>) => Record<string, RuleStat> | undefined
+  ): Promise<void> {
+    const task = this.queue.then(async () => {
+      const next = change(await this.getAll())
+      if (next) {
+        await this.EM.LocalOptions.setValue(RULE_STATS_STORAGE_KEY, next)
+      }
+    })
+    // 一次保存失败不影响之后的统计
+    this.queue = task.catch((error) => {
+      logger().warn("[Rule] 保存规则统计失败", error)
+    })
+    return task
+  }
+}
+
+/**
+ * 规则中全部的触发条件（平铺列表与条件树）
+ */
+function getAllTriggers(rule: ruleV2.IRuleConfig): ruleV2.ITrigger[] {
+  return [...(rule.match?.triggers ?? []), ...getConditionTriggers(rule.match?.condition)]
+}
+
+function getSceneIds(rule: ruleV2.IRuleConfig): string[] {
+  const ids = getAllTriggers(rule)
+    .filter((t) => t.trigger === "sceneTrigger")
+    .flatMap((t) => {
+      const config = t.config as ruleV2.ISceneTriggerConfig
+      return [...(config.sceneIds ?? []), ...(config.sceneId ? [config.sceneId] : [])]
+    })
+  const actionIds = (rule.action?.extraActions ?? [])
+    .filter((a) => a.type === "switchScene" && a.sceneId)
+    .map((a) => a.sceneId!)
+  return [...ids, ...actionIds]
+}
+
+function getGroupIds(rule: ruleV2.IRuleConfig): string[] {
+  const actionIds = (rule.action?.extraActions ?? [])
+    .filter((a) => a.type === "applyGroup" && a.groupId)
+    .map((a) => a.groupId!)
+  return [...(rule.target?.groups ?? []), ...(rule.target?.excludeGroups ?? []), ...actionIds]
+}
+
+function getExtensionIds(rule: ruleV2.IRuleConfig): string[] {
+  const actionIds = (rule.action?.extraActions ?? [])
+    .filter((a) => a.type === "openOptions" && a.extensionId)
+    .map((a) => a.extensionId!)
+  return [
+    ...(rule.target?.extensions ?? []),
+    ...(rule.target?.excludeExtensions ?? []),
+    ...actionIds
+  ]
+}
+
+function missing(ids: string[], existing: string[]): string[] {
+  const set = new Set(existing)
+  return Array.from(new Set(ids.filter((id) => !set.has(id))))
+}
+
+/**
+ * 检查规则存在的问题：长时间没有生效（只检查启用的规则），引用了已经删除的情景模式、分组，目标扩展已经卸载
+ */
+export function findRuleIssues(
+  rule: ruleV2.IRuleConfig,
+  stat: RuleStat | undefined,
+  refs: RuleReferences
+): RuleIssue[] {
+  const issues: RuleIssue[] = []
+
+  const now = refs.now ?? Date.now()
+  const idleTime = RULE_IDLE_DAYS * 24 * 60 * 60 * 1000
+  const lastTime = stat?.lastFiredAt ?? stat?.since
+  if (rule.enable && lastTime && now - lastTime > idleTime) {
+    issues.push({ type: "idle", ids: [] })
+  }
+
+  const scenes = missing(getSceneIds(rule), refs.sceneIds)
+  if (scenes.length > 0) {
+    issues.push({ type: "missingScene", ids: scenes })
+  }
+  const groups = missing(getGroupIds(rule), refs.groupIds)
+  if (groups.length > 0) {
+    issues.push({ type: "missingGroup", ids: groups })
+  }
+  const extensions = missing(getExtensionIds(rule), refs.extensionIds)
+  if (extensions.length > 0) {
+    issues.push({ type: "missingExtension", ids: extensions })
+  }
+
+  return issues
+}
+
+/**
+ * 从规则中移除缺失的情景模式、分组或扩展的引用，返回修改之后的规则副本
+ * 引用缺失对象的附加动作会被一起移除；情景模式触发条件中的全部情景模式都被移除之后，该条件不再匹配
+ */
+export function removeMissingReferences(
+  rule: ruleV2.IRuleConfig,
+  issue: RuleIssue
+): ruleV2.IRuleConfig {
+  const copy: ruleV2.IRuleConfig = JSON.parse(JSON.stringify(rule))
+  const ids = new Set(issue.ids)
+  const keep = (id: string | undefined) => !id || !ids.has(id)
+
+  if (issue.type === "missingScene") {
+    for (const trigger of getAllTriggers(copy)) {
+      if (trigger.trigger !== "sceneTrigger") {
+        continue
+      }
+      const config = trigger.config as ruleV2.ISceneTriggerConfig
+      config.sceneIds = config.sceneIds?.filter(keep)
+      if (!keep(config.sceneId)) {
+        delete config.sceneId
+      }
+    }
+  }
+
+  if (issue.type === "missingGroup" && copy.target) {
+    copy.target.groups = copy.target.groups.filter(keep)
+    copy.target.excludeGroups = copy.target.excludeGroups?.filter(keep)
+  }
+
+  if (issue.type === "missingExtension" && copy.target) {
+    copy.target.extensions = copy.target.extensions.filter(keep)
+    copy.target.excludeExtensions = copy.target.excludeExtensions?.filter(keep)
+  }
+
+  if (copy.action?.extraActions) {
+    copy.action.extraActions = copy.action.extraActions.filter((action) => {
+      if (issue.type === "missingScene" && action.type === "switchScene") {
+        return keep(action.sceneId)
+      }
+      if (issue.type === "missingGroup" && action.type === "applyGroup") {
+        return keep(action.groupId)
+      }
+      if (issue.type === "missingExtension" && action.type === "openOptions") {
+        return keep(action.extensionId)
+      }
+      return true
+    })
+  }
+
+  return copy
+}
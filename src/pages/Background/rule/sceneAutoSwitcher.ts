@@ -0,0 +1,188 @@
+import storage from ".../storage/sync"
+import type { IExtensionManager } from ".../types/global"
+import logger from ".../utils/logger"
+import { isMatchByCurrent } from "./handlers/matchHandler"
+
+/**
+ * 自动切换情景模式的 alarm 名称：候选情景模式持续满足条件、或者手动切换的暂停时间结束时，重新检查
+ */
+export const SCENE_AUTO_ALARM = "scene-auto-switch"
+
+/**
+ * 自动切换的状态，保存在 LocalOptions 中的 key
+ */
+const STATE_STORAGE_KEY = "sceneAutoState"
+
+/**
+ * 候选情景模式需要持续满足条件的时间，避免条件在边界附近反复变化时来回切换
+ * chrome.alarms 的最小间隔是 30 秒
+ */
+const STABLE_TIME = 30 * 1000
+
+/**
+ * 手动切换情景模式之后，默认暂停自动切换的时间（分钟）
+ */
+const DEFAULT_MANUAL_HOLD_MINUTES = 30
+
+type SceneAutoState = {
+  /**
+   * 由自动切换激活的情景模式；条件不再满足时，自动取消
+   */
+  autoSceneId?: string
+  /**
+   * 等待切换的候选情景模式（空字符串表示取消情景模式），以及开始满足条件的时间
+   */
+  pendingSceneId?: string
+  pendingSince?: number
+  /**
+   * 手动切换之后，在此时间之前不自动切换
+   */
+  manualUntil?: number
+}
+
+/**
+ * 自动切换的结果
+ */
+export type SceneAutoSwitch = {
+  from: config.IScene | undefined
+  /**
+   * 切换到的情景模式，id 为空表示取消情景模式
+   */
+  to: config.IScene
+}
+
+/**
+ * 把情景模式的自动激活条件转换成规则，用于计算匹配，以及设置时间区间和空闲时间的 alarm
+ */
+export function getSceneActivationRules(scenes: config.IScene[]): ruleV2.IRuleConfig[] {
+  return scenes
+    .filter((scene) => scene.activation?.enable && scene.activation.match?.triggers?.length)
+    .map((scene) => ({
+      id: `scene:${scene.id}`,
+      version: 2,
+      enable: true,
+      match: scene.activation!.match
+    }))
+}
+
+/**
+ * 按情景模式的自动激活条件切换情景模式
+ * 按情景模式列表的顺序，第一个满足条件的情景模式为候选；候选持续满足 STABLE_TIME 之后才切换
+ * 自动激活的情景模式不再满足条件、且没有其它候选时，取消情景模式；手动激活的情景模式保持不变
+ */
+export class SceneAutoSwitcher {
+  #scenes: config.IScene[] = []
+
+  #rules: ruleV2.IRuleConfig[] = []
+
+  /**
+   * 依次读写自动切换的状态
+   */
+  #queue: Promise<unknown> = Promise.resolve()
+
+  /**
+   * 自动激活条件转换成的规则
+   */
+  get activationRules(): ruleV2.IRuleConfig[] {
+    return this.#rules
+  }
+
+  setScenes(scenes: config.IScene[]): void {
+    this.#scenes = scenes
+    this.#rules = getSceneActivationRules(scenes)
+  }
+
+  /**
+   * 手动切换了情景模式，在设置的时间内暂停自动切换
+   */
+  holdForManualSwitch(EM: IExtensionManager): Promise<void> {
+    return this.enqueue(async () => {
+      const options = await storage.options.getAll()
+      const minutes = options.setting?.sceneAutoManualHoldMinutes ?? DEFAULT_MANUAL_HOLD_MINUTES
+      const manualUntil = minutes > 0 ? Date.now() + minutes * 60 * 1000 : undefined
+      await EM.LocalOptions.setValue<SceneAutoState>(STATE_STORAGE_KEY, { manualUntil })
+
+      await chrome.alarms.clear(SCENE_AUTO_ALARM)
+      if (manualUntil) {
+        await chrome.alarms.create(SCENE_AUTO_ALARM, { when: manualUntil })
+      }
+    })
+  }
+
+  /**
+   * 检查是否需要自动切换情景模式，需要切换时返回切换的结果（只保存状态，不修改当前情景模式）
+   */
+  evaluate(
+    current: config.IScene | undefined,
+    tab: chrome.tabs.Tab | null,
+    EM: IExtensionManager
+  ): Promise<SceneAutoSwitch | undefined> {
+    if (this.#rules.length === 0) {
+      return Promise.resolve(undefined)
+    }
+    return this.enqueue(() => this.evaluateOnce(current, tab, EM))
+  }
+
+  private async evaluateOnce(
+    current: config.IScene | undefined,
+    tab: chrome.tabs.Tab | null,
+    EM: IExtensionManager
+  ): Promise<SceneAutoSwitch | undefined> {
+    const state = (await EM.LocalOptions.getValue<SceneAutoState>(STATE_STORAGE_KEY)) ?? {}
+    const now = Date.now()
+    if (state.manualUntil && now < state.manualUntil) {
+      return undefined
+    }
+
+    const currentId = current?.id ?? ""
+    let target: config.IScene | undefined
+    for (const rule of this.#rules) {
+      if (await isMatchByCurrent(current, rule, tab)) {
+        target = this.#scenes.find((s) => `scene:${s.id}` === rule.id)
+        break
+      }
+    }
+    // 没有候选时，只取消自动激活的情景模式
+    const keepId = state.autoSceneId === currentId ? "" : currentId
+    const targetId = target?.id ?? keepId
+
+    if (targetId === currentId) {
+      if (state.pendingSceneId !== undefined || state.manualUntil) {
+        await this.saveState(EM, { autoSceneId: state.autoSceneId })
+      }
+      return undefined
+    }
+
+    if (state.pendingSceneId !== targetId || !state.pendingSince) {
+      await this.saveState(EM, {
+        autoSceneId: state.autoSceneId,
+        pendingSceneId: targetId,
+        pendingSince: now
+      })
+      await chrome.alarms.create(SCENE_AUTO_ALARM, { when: now + STABLE_TIME })
+      return undefined
+    }
+
+    if (now - state.pendingSince < STABLE_TIME) {
+      return undefined
+    }
+
+    await this.saveState(EM, { autoSceneId: targetId || undefined })
+    logger().debug(`[Scene] 自动切换情景模式 ${currentId} -> ${targetId}`)
+    const from = this.#scenes.find((s) => s.id === currentId) ?? current
+    return { from, to: target ?? { id: "", name: "" } }
+  }
+
+  private async saveState(EM: IExtensionManager, state: SceneAutoState): Promise<void> {
+    await EM.LocalOptions.setValue<SceneAutoState>(STATE_STORAGE_KEY, state)
+  }
+
+  private enqueue<T>(task: () => Promise<T>): Promise<T> {
+    const result = this.#queue.then(task)
+    // 某一次失败，不影响之后的检查
+    this.#queue = result.catch((error) => {
+      logger().warn("[Scene] 自动切换情景模式失败", error)
+    })
+    return result
+  }
+}
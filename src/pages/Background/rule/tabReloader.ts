@@ -0,0 +1,142 @@
+import chromeP from "webext-polyfill-kinda"
+
+import logger from ".../utils/logger"
+import { getConditionTriggers, getMatchCondition } from "./handlers/conditionHandler"
+import { isUrlTriggerMatch } from "./handlers/match/urlMatchHandler"
+import type { ProcessContext } from "./processor"
+
+/**
+ * 启用或禁用扩展之后，按规则设置的范围找出需要重新加载的标签页
+ * matchedTabs：规则没有 URL 触发条件时，退回到当前标签页
+ * currentWindow：没有当前标签页时，使用获得焦点的窗口
+ */
+export function getReloadTabs(
+  action: ruleV2.IAction | undefined,
+  tabInfo: chrome.tabs.Tab | null,
+  ctx: ProcessContext
+): chrome.tabs.Tab[] {
+  const scope = action?.reloadScope ?? "activeTab"
+  switch (scope) {
+    case "none":
+      return []
+    case "matchedTabs": {
+      const configs = getUrlTriggerConfigs(ctx.rule)
+      if (configs.length === 0) {
+        return tabInfo ? [tabInfo] : []
+      }
+      return ctx.tabs.filter((tab) =>
+        configs.some((config) => isUrlTriggerMatch(tab, config, ctx.urlMatchMemo))
+      )
+    }
+    case "currentWindow": {
+      const windowId = tabInfo?.windowId ?? ctx.windows?.find((w) => w.focused)?.id
+      if (windowId === undefined) {
+        return []
+      }
+      return ctx.tabs.filter((tab) => tab.windowId === windowId)
+    }
+    default:
+      return tabInfo ? [tabInfo] : []
+  }
+}
+
+/**
+ * 重新加载标签页；按规则的设置跳过固定的标签页、有未保存输入的标签页，已经被丢弃的标签页总是跳过
+ */
+export async function reloadTabs(
+  tabs: chrome.tabs.Tab[],
+  action: ruleV2.IAction | undefined
+): Promise<void> {
+  for (const tab of tabs) {
+    if (tab.id === undefined || tab.discarded) {
+      continue
+    }
+    if (action?.reloadSkipPinned && tab.pinned) {
+      continue
+    }
+    try {
+      if (action?.reloadSkipUnsaved && (await hasUnsavedInput(tab.id))) {
+        logger().debug(`[Extension Manager] skip reload tab with unsaved input [${tab.title}]`)
+        continue
+      }
+      await chromeP.tabs.reload(tab.id)
+      logger().debug(`[Extension Manager] reload tab [${tab.title}](${tab.url})`)
+    } catch (err) {
+      logger().warn(`reload tab fail.`, tab, err)
+    }
+  }
+}
+
+/**
+ * 按 ID 重新加载标签页（延迟禁用到期时使用），已经关闭的标签页会被忽略
+ */
+export async function reloadTabsById(
+  tabIds: number[],
+  action: ruleV2.IAction | undefined
+): Promise<void> {
+  const tabs: chrome.tabs.Tab[] = []
+  for (const id of tabIds) {
+    try {
+      tabs.push(await chromeP.tabs.get(id))
+    } catch {
+      // 标签页已经关闭
+    }
+  }
+  await reloadTabs(tabs, action)
+}
+
+function getUrlTriggerConfigs(rule: ruleV2.IRuleConfig | undefined): ruleV2.IUrlTriggerConfig[] {
+  return getConditionTriggers(getMatchCondition(rule?.match))
+    .filter((trigger) => trigger.trigger === "urlTrigger" && trigger.config)
+    .map((trigger) => trigger.config as ruleV2.IUrlTriggerConfig)
+}
+
+/**
+ * 标签页中是否有未保存的输入：页面设置了 onbeforeunload，或者表单内容与初始值不同
+ * 需要对页面注入脚本，没有网站权限或者是受限页面（例如 chrome://）时无法检查，此时视为没有未保存的输入
+ */
+async function hasUnsavedInput(tabId: number): Promise<boolean> {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: "MAIN",
+      func: detectUnsavedInput
+    })
+    return result?.result === true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * 注入到页面中执行，不能引用外部变量
+ */
+function detectUnsavedInput(): boolean {
+  if (typeof window.onbeforeunload === "function") {
+    return true
+  }
+
+  const ignoreTypes = ["hidden", "submit", "button", "reset", "image"]
+  const fields = document.querySelectorAll("input, textarea, select")
+  for (const field of Array.from(fields)) {
+    if (field instanceof HTMLSelectElement) {
+      if (Array.from(field.options).some((o) => o.selected !== o.defaultSelected)) {
+        return true
+      }
+    } else if (field instanceof HTMLInputElement) {
+      if (ignoreTypes.includes(field.type)) {
+        continue
+      }
+      if (field.type === "checkbox" || field.type === "radio") {
+        if (field.checked !== field.defaultChecked) {
+          return true
+        }
+      } else if (field.value !== field.defaultValue) {
+        return true
+      }
+    } else if (field instanceof HTMLTextAreaElement && field.value !== field.defaultValue) {
+      return true
+    }
+  }
+  return false
+}
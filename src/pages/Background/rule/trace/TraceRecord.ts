@@ -0,0 +1,83 @@
+import type { DroppedTask, ExecutionRecord } from "../ExecuteTaskHandler"
+import type { TriggerMatchResult } from "../handlers/matchHandler"
+import type { ProcessReport, TaskReport } from "../processor"
+
+/**
+ * 引起规则执行的事件；多个事件在防抖时间内合并为一次执行
+ */
+export type TraceEvent =
+  | "init"
+  | "rulesChanged"
+  | "sceneChanged"
+  | "tabUpdated"
+  | "tabClosed"
+  | "windowClosed"
+  | "periodBoundary"
+  | "idleChanged"
+  | "tabGroupChanged"
+  | "windowChanged"
+  | "extensionInstalled"
+  | "sceneAutoCheck"
+  | "sceneAutoSwitched"
+  | "automationResumed"
+  | "manualOverrideReleased"
+
+/**
+ * 单条规则在一次执行中的匹配结果
+ */
+export type TraceRuleResult = {
+  ruleId?: string
+  skipped?: "disabled" | "indexed"
+  isCurrentMatch?: boolean
+  isAnyMatch?: boolean
+  isClosedMatch?: boolean
+  triggers: TriggerMatchResult[]
+  targetExtensions: string[]
+}
+
+/**
+ * 一次规则执行的完整记录
+ */
+export type TraceRecord = {
+  id?: number
+  timestamp: number
+  events: TraceEvent[]
+  sceneId?: string
+  /**
+   * 当前标签页的 URL
+   */
+  url?: string
+  rules: TraceRuleResult[]
+  tasks: TaskReport[]
+  droppedTasks: DroppedTask[]
+  executions: ExecutionRecord[]
+}
+
+/**
+ * 从执行结果构造执行记录，只保留排查问题需要的信息（不保存标签页等完整对象）
+ */
+export function buildTraceRecord(
+  events: TraceEvent[],
+  scene: config.IScene | undefined,
+  tab: chrome.tabs.Tab | null,
+  report: ProcessReport
+): TraceRecord {
+  return {
+    timestamp: Date.now(),
+    events,
+    sceneId: scene?.id,
+    url: tab?.url,
+    rules: report.rules.map(({ rule, skipped, matchResult, targetExtensions }) => ({
+      ruleId: rule.id,
+      skipped,
+      isCurrentMatch: matchResult?.isCurrentMatch,
+      isAnyMatch: matchResult?.isAnyMatch,
+      isClosedMatch: matchResult?.isClosedMatch,
+      triggers: matchResult?.triggerResults ?? [],
+      targetExtensions
+    })),
+    tasks: report.tasks,
+    droppedTasks: report.droppedTasks,
+    executions: report.executions.map((e) => ({ ...e }))
+  }
+}
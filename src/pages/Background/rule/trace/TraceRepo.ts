@@ -0,0 +1,45 @@
+import Dexie from "dexie"
+
+import type { TraceRecord } from "./TraceRecord"
+
+const MAX_TRACE_COUNT = 500
+const DELETE_COUNT_ONCE = 50
+
+/**
+ * 规则执行记录，最多保存 MAX_TRACE_COUNT 条，超出时删除最早的记录
+ */
+export class TraceRepo extends Dexie {
+  private traces!: Dexie.Table<TraceRecord, number>
+
+  constructor() {
+    super("ExtensionManagerRuleTrace")
+    this.version(1).stores({
+      traces: "++id, timestamp"
+    })
+  }
+
+  public async add(record: TraceRecord) {
+    record.id = undefined // 自增 ID，这里设置成 undefined，数据库自行赋值
+    await this.traces.add(record)
+
+    const count = await this.traces.count()
+    if (count > MAX_TRACE_COUNT) {
+      const keys = await this.traces
+        .orderBy("timestamp")
+        .limit(count - MAX_TRACE_COUNT + DELETE_COUNT_ONCE)
+        .primaryKeys()
+      await this.traces.bulkDelete(keys)
+    }
+  }
+
+  /**
+   * 获取所有的执行记录，最新的在最前
+   */
+  public async getAll(): Promise<TraceRecord[]> {
+    return await this.traces.orderBy("timestamp").reverse().toArray()
+  }
+
+  public async clearAll() {
+    await this.traces.clear()
+  }
+}
@@ -1,9 +1,10 @@
 import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
 
-import { Tag } from "antd"
+import { Select, Tag } from "antd"
 import { styled } from "styled-components"
 
 import { storage } from ".../storage/sync"
+import { getIcon } from ".../utils/extensionHelper"
 import isMatch from ".../utils/searchHelper"
 import { getLang } from ".../utils/utils"
 import EditorCommonStyle from "../rule/editor/CommonStyle"
@@ -11,7 +12,15 @@ import ExtensionItems from "./ExtensionItems"
 
 const { CheckableTag } = Tag
 
-const ExtensionTarget = ({ options, config, extensions, searchText, params, children }, ref) => {
+/**
+ * @param extra 显示在扩展组之后的内容
+ * @param params.allowEmpty 是否允许不选择任何扩展组和扩展（由调用方检查）
+ * @param params.showExclusions 是否可以设置排除的扩展组和扩展（规则的目标）
+ */
+const ExtensionTarget = (
+  { options, config, extensions, searchText, params, extra, children },
+  ref
+) => {
   const groupList = storage.helper.formatGroups(options.groups)
 
   let emptyMessage = params.emptyMessage
@@ -22,19 +31,27 @@ const ExtensionTarget = ({ options, config, extensions, searchText, params, chil
   useImperativeHandle(ref, () => ({
     // 获取配置
     getExtensionSelectConfig: () => {
-      if (selectGroupIds.length === 0 && selectedExtensions.length === 0) {
+      if (!params.allowEmpty && selectGroupIds.length === 0 && selectedExtensions.length === 0) {
         throw Error(emptyMessage)
       }
 
-      return {
+      const target = {
         groups: selectGroupIds.filter((id) => groupList.find((g) => g.id === id)),
         extensions: selectedExtensions.map((e) => e.id)
       }
+      if (params.showExclusions) {
+        target.excludeGroups = excludeGroupIds.filter((id) => groupList.find((g) => g.id === id))
+        target.excludeExtensions = excludeExtensionIds
+      }
+      return target
     }
   }))
 
   // 目标分组ID
   const [selectGroupIds, setSelectGroupIds] = useState([])
+  // 排除的分组ID、扩展ID，在展开分组之后移除
+  const [excludeGroupIds, setExcludeGroupIds] = useState([])
+  const [excludeExtensionIds, setExcludeExtensionIds] = useState([])
 
   // 目标扩展（规则执行的目标）
   const [selectedExtensions, setSelectedExtensions] = useState([])
@@ -53,6 +70,10 @@ const ExtensionTarget = ({ options, config, extensions, searchText, params, chil
       setSelectGroupIds([])
     }
 
+    // 初始化排除的分组和插件
+    setExcludeGroupIds(myConfig.excludeGroups ?? [])
+    setExcludeExtensionIds(myConfig.excludeExtensions ?? [])
+
     // 初始化目标插件
     if (!myConfig.extensions) {
       setSelectedExtensions([])
@@ -130,6 +151,45 @@ const ExtensionTarget = ({ options, config, extensions, searchText, params, chil
           })}
         </div>
 
+        {params.showExclusions && (
+          <div className="exclude-container">
+            <span className="select-group-label">{getLang("rule_set_target_exclude")}</span>
+            <Select
+              mode="multiple"
+              allowClear
+              className="exclude-groups"
+              value={excludeGroupIds}
+              onChange={setExcludeGroupIds}
+              placeholder={getLang("rule_set_target_exclude_groups")}
+              options={groupList.map((group) => ({ label: group.name, value: group.id }))}
+            />
+            <Select
+              mode="multiple"
+              allowClear
+              className="exclude-extensions"
+              value={excludeExtensionIds}
+              onChange={setExcludeExtensionIds}
+              placeholder={getLang("rule_set_target_exclude_extensions")}
+              optionFilterProp="label"
+              options={extensions.map((ext) => ({
+                label: ext.__attach__?.alias || ext.name,
+                value: ext.id
+              }))}
+              tagRender={({ label, value, closable, onClose }) => {
+                const ext = extensions.find((e) => e.id === value)
+                return (
+                  <Tag closable={closable} onClose={onClose} className="exclude-extension-tag">
+                    {ext && <img src={getIcon(ext, 16)} alt="" />}
+                    {label}
+                  </Tag>
+                )
+              }}
+            />
+          </div>
+        )}
+
+        {extra}
+
         <div className="extension-container">
           <h3>{getLang("rule_set_target_select_extension")}</h3>
           <ExtensionItems
@@ -173,6 +233,33 @@ const Style = styled.div`
     }
   }
 
+  .exclude-container {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin: 10px 0 0 0;
+    font-size: 14px;
+
+    .select-group-label {
+      font-weight: bold;
+    }
+
+    .exclude-groups {
+      min-width: 200px;
+    }
+
+    .exclude-extensions {
+      flex: 1;
+    }
+  }
+
+  .exclude-extension-tag img {
+    width: 14px;
+    height: 14px;
+    margin-right: 4px;
+    vertical-align: -2px;
+  }
+
   .extension-container {
     & h3 {
       font-weight: bold;
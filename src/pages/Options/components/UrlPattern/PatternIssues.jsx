@@ -0,0 +1,70 @@
+import React, { memo } from "react"
+
+import { CloseCircleOutlined, WarningOutlined } from "@ant-design/icons"
+import { styled } from "styled-components"
+
+import { getLang } from ".../utils/utils"
+
+/**
+ * 单个 pattern 的校验问题，有错误时为 error，只有警告时为 warning，没有问题时为空
+ * 可以直接用于 Input 的 status
+ */
+export function getIssuesStatus(issues) {
+  if (!issues || issues.length === 0) {
+    return ""
+  }
+  return issues.some((issue) => issue.level === "error") ? "error" : "warning"
+}
+
+/**
+ * 显示 pattern 的校验问题（语法错误、灾难性回溯、范围过大）
+ * @param issues validateUrlPattern 的结果
+ * @param pattern 显示在问题前面的 pattern，多个 pattern 一起显示时使用
+ */
+const PatternIssues = ({ issues, pattern }) => {
+  if (!issues || issues.length === 0) {
+    return null
+  }
+
+  return (
+    <Style>
+      {issues.map((issue) => (
+        <div key={issue.code} className={`pattern-issue pattern-issue-${issue.level}`}>
+          {issue.level === "error" ? <CloseCircleOutlined /> : <WarningOutlined />}
+          {pattern && <code>{pattern}</code>}
+          <span>
+            {getLang(`url_pattern_issue_${issue.code}`)}
+            {issue.detail && `: ${issue.detail}`}
+          </span>
+        </div>
+      ))}
+    </Style>
+  )
+}
+
+export default memo(PatternIssues)
+
+const Style = styled.div`
+  margin: 2px 0 4px 0;
+  font-size: 12px;
+
+  .pattern-issue {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+  }
+
+  .pattern-issue-error {
+    color: #ff4d4f;
+  }
+
+  .pattern-issue-warning {
+    color: #d48806;
+  }
+
+  code {
+    padding: 0 4px;
+    background: #f5f5f5;
+    border-radius: 2px;
+  }
+`
@@ -0,0 +1,156 @@
+import React, { memo, useMemo, useState } from "react"
+
+import { Button, Collapse, Input, Tag } from "antd"
+import { styled } from "styled-components"
+import chromeP from "webext-polyfill-kinda"
+
+import { getMatchUrl } from ".../pages/Background/rule/handlers/match/urlMatchHandler"
+import { compileTextMatcher } from ".../pages/Background/rule/handlers/match/urlMatcherCache"
+import { validateUrlPattern } from ".../pages/Background/rule/handlers/match/urlPatternValidator"
+import { getLang } from ".../utils/utils"
+
+const { TextArea } = Input
+
+/**
+ * 测试 URL 的草稿区：粘贴示例 URL（或者读取当前打开的全部标签页），查看每个 URL 被哪些 pattern 匹配
+ * 与规则执行时的匹配方式相同：不使用完整 URL 时，去掉查询参数和 hash 之后再匹配
+ */
+const UrlPatternSandbox = ({ patterns, matchMethod, useFullUrl }) => {
+  const [text, setText] = useState("")
+
+  // 空的 pattern 保存时会被忽略，有语法错误的 pattern 运行时总是不匹配，这里同样不参与匹配
+  const matchers = useMemo(() => {
+    return (patterns ?? []).map((pattern) => {
+      if (!pattern.trim()) {
+        return () => false
+      }
+      const issues = validateUrlPattern(pattern, matchMethod)
+      if (issues.some((issue) => issue.level === "error")) {
+        return () => false
+      }
+      return compileTextMatcher(pattern.trim(), matchMethod)
+    })
+  }, [patterns, matchMethod])
+
+  const results = useMemo(() => {
+    const urls = text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+    return urls.map((url) => {
+      const matchUrl = getMatchUrl(url, useFullUrl ?? false)
+      const hits = matchers.map((matcher, index) => (matcher(matchUrl) ? index : -1))
+      return { url, hits: hits.filter((index) => index >= 0) }
+    })
+  }, [text, matchers, useFullUrl])
+
+  const onLoadTabsClick = async () => {
+    const tabs = await chromeP.tabs.query({})
+    const urls = [...new Set(tabs.map((tab) => tab.url).filter(Boolean))]
+    setText(urls.join("\n"))
+  }
+
+  const content = (
+    <Style>
+      <div className="sandbox-buttons">
+        <Button size="small" onClick={onLoadTabsClick}>
+          {getLang("url_pattern_sandbox_load_tabs")}
+        </Button>
+        <Button size="small" onClick={() => setText("")}>
+          {getLang("url_pattern_sandbox_clear")}
+        </Button>
+      </div>
+      <TextArea
+        rows={4}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={getLang("url_pattern_sandbox_placeholder")}
+      />
+
+      {results.length > 0 && (
+        <div className="sandbox-summary">
+          {getLang(
+            "url_pattern_sandbox_summary",
+            String(results.filter((r) => r.hits.length > 0).length),
+            String(results.length)
+          )}
+        </div>
+      )}
+      <ul className="sandbox-results">
+        {results.map((result, index) => (
+          <li key={index} className={result.hits.length > 0 ? "sandbox-hit" : ""}>
+            <span className="sandbox-url" title={result.url}>
+              {result.url}
+            </span>
+            {result.hits.length > 0 ? (
+              result.hits.map((hit) => (
+                <Tag key={hit} color="green" title={patterns[hit]}>
+                  #{hit + 1} {patterns[hit]}
+                </Tag>
+              ))
+            ) : (
+              <Tag>{getLang("url_pattern_sandbox_no_match")}</Tag>
+            )}
+          </li>
+        ))}
+      </ul>
+    </Style>
+  )
+
+  return (
+    <Collapse size="small" className="url-pattern-sandbox">
+      <Collapse.Panel key="sandbox" header={getLang("url_pattern_sandbox_title")}>
+        {content}
+      </Collapse.Panel>
+    </Collapse>
+  )
+}
+
+export default memo(UrlPatternSandbox)
+
+const Style = styled.div`
+  .sandbox-buttons {
+    display: flex;
+    gap: 8px;
+    margin-bottom: 8px;
+  }
+
+  .sandbox-summary {
+    margin: 8px 0 4px 0;
+    font-size: 12px;
+    color: #777;
+  }
+
+  .sandbox-results {
+    max-height: 240px;
+    overflow-y: auto;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+
+    li {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 2px 0;
+      color: #999;
+    }
+
+    li.sandbox-hit {
+      color: inherit;
+    }
+  }
+
+  .sandbox-url {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .ant-tag {
+    max-width: 240px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+`
@@ -0,0 +1,2 @@
+export { default as PatternIssues, getIssuesStatus } from "./PatternIssues"
+export { default as UrlPatternSandbox } from "./UrlPatternSandbox"
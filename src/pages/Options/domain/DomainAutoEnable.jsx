@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react"
+import React, { useEffect, useMemo, useState } from "react"
 
 import { Button, Card, message, Select, Space, Switch, Table, Tag, Input, Modal, Form } from "antd"
 import { PlusOutlined, EditOutlined, DeleteOutlined, CopyOutlined } from "@ant-design/icons"
@@ -6,12 +6,21 @@ import chromeP from "webext-polyfill-kinda"
 
 import storage from ".../storage/sync"
 import { filterExtensions, isExtExtension, appendAdditionInfo } from ".../utils/extensionHelper"
+import { getRulePriority } from ".../pages/Background/rule/rulePriority"
+import { validateUrlPattern } from ".../pages/Background/rule/handlers/match/urlPatternValidator"
+import { PatternIssues, UrlPatternSandbox } from "../components/UrlPattern"
 import { getLang } from ".../utils/utils"
 import Title from "../Title.jsx"
 
 const { Option } = Select
 const { TextArea } = Input
 
+const MATCH_METHOD_COLORS = {
+  regex: "purple",
+  matchPattern: "cyan",
+  urlPattern: "geekblue"
+}
+
 function DomainAutoEnable() {
   const [domainRules, setDomainRules] = useState([])
   const [extensions, setExtensions] = useState([])
@@ -19,6 +28,15 @@ function DomainAutoEnable() {
   const [editingRule, setEditingRule] = useState(null)
   const [form] = Form.useForm()
 
+  // 输入时校验每个 pattern
+  const patternsText = Form.useWatch("patterns", form)
+  const matchMethod = Form.useWatch("matchMethod", form) || "wildcard"
+  const patterns = useMemo(() => splitPatterns(patternsText), [patternsText])
+  const patternIssues = useMemo(
+    () => patterns.map((pattern) => validateUrlPattern(pattern, matchMethod)),
+    [patterns, matchMethod]
+  )
+
   useEffect(() => {
     loadData()
   }, [])
@@ -93,16 +111,23 @@ function DomainAutoEnable() {
   const handleSave = async () => {
     try {
       const values = await form.validateFields()
-      const patterns = values.patterns
-        .split("\n")
-        .map((p) => p.trim())
-        .filter((p) => p.length > 0)
+      const patterns = splitPatterns(values.patterns)
 
       if (patterns.length === 0) {
         message.error(getLang("domain_rule_patterns_required") || "At least one domain pattern is required")
         return
       }
 
+      const invalid = patterns.find((pattern) =>
+        validateUrlPattern(pattern, values.matchMethod || "wildcard").some(
+          (issue) => issue.level === "error"
+        )
+      )
+      if (invalid) {
+        message.error(getLang("trigger_url_invalid_pattern", invalid))
+        return
+      }
+
       if (!values.extensions || values.extensions.length === 0) {
         message.error(getLang("domain_rule_extensions_required") || "At least one extension is required")
         return
@@ -163,7 +188,7 @@ function DomainAutoEnable() {
         const matchMethod = urlTrigger?.config?.matchMethod || "wildcard"
         return (
           <div>
-            <Tag color={matchMethod === "regex" ? "purple" : "blue"}>{matchMethod}</Tag>
+            <Tag color={MATCH_METHOD_COLORS[matchMethod] ?? "blue"}>{matchMethod}</Tag>
             <span>{patterns.slice(0, 2).join(", ")}</span>
             {patterns.length > 2 && <span>...</span>}
           </div>
@@ -188,6 +213,12 @@ function DomainAutoEnable() {
         return <Tag color={mode === "override" ? "red" : "default"}>{mode}</Tag>
       }
     },
+    {
+      title: getLang("rule_column_priority") || "Priority",
+      dataIndex: "priority",
+      key: "priority",
+      render: (_, record) => getRulePriority(record)
+    },
     {
       title: getLang("domain_rule_enabled") || "Enabled",
       dataIndex: "enable",
@@ -264,8 +295,11 @@ function DomainAutoEnable() {
                 </Button>
                 <div style={{ marginTop: 4, fontSize: "12px", color: "#999" }}>
                   {getLang("domain_rule_patterns_help") ||
-                    "One pattern per line. Use wildcard (*) or regex. Example: *example.com*, *github.com/*"}
+                    "One pattern per line. Use wildcard (*), regex, match pattern or URLPattern. Example: *example.com*, *://*.github.com/*"}
                 </div>
+                {patterns.map((pattern, index) => (
+                  <PatternIssues key={index} pattern={pattern} issues={patternIssues[index]} />
+                ))}
               </div>
             }>
             <TextArea rows={4} placeholder="*example.com*&#10;*github.com/*" />
@@ -278,9 +312,19 @@ function DomainAutoEnable() {
             <Select>
               <Option value="wildcard">{getLang("domain_rule_wildcard") || "Wildcard"}</Option>
               <Option value="regex">{getLang("domain_rule_regex") || "Regex"}</Option>
+              <Option value="matchPattern">
+                {getLang("domain_rule_match_pattern") || "Match Pattern"}
+              </Option>
+              <Option value="urlPattern">
+                {getLang("domain_rule_url_pattern") || "URLPattern"}
+              </Option>
             </Select>
           </Form.Item>
 
+          <Form.Item>
+            <UrlPatternSandbox patterns={patterns} matchMethod={matchMethod} useFullUrl={false} />
+          </Form.Item>
+
           <Form.Item
             label={getLang("domain_rule_extensions") || "Extensions to Auto-Enable"}
             name="extensions"
@@ -328,5 +372,15 @@ function DomainAutoEnable() {
   )
 }
 
+/**
+ * 多行文本按行拆分为 pattern，忽略空行
+ */
+function splitPatterns(text) {
+  return (text ?? "")
+    .split("\n")
+    .map((p) => p.trim())
+    .filter((p) => p.length > 0)
+}
+
 export default DomainAutoEnable
 
@@ -115,7 +115,8 @@ const ExtensionHistory = memo(({ records, hiddenExtensionIds, loading }) => {
         { text: formatEventText("uninstall"), value: "uninstall" },
         { text: formatEventText("updated"), value: "updated" },
         { text: formatEventText("enabled"), value: "enabled" },
-        { text: formatEventText("disabled"), value: "disabled" }
+        { text: formatEventText("disabled"), value: "disabled" },
+        { text: formatEventText("scene_switched"), value: "scene_switched" }
       ],
       onFilter: (value, record) => {
         return record.event === value
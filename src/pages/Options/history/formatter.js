@@ -27,6 +27,8 @@ export const formatEventText = (event) => {
       return getLang("history_disable")
     case "browser_updated":
       return getLang("history_browser_update")
+    case "scene_switched":
+      return getLang("history_scene_switched")
     default:
       return "UNKNOWN"
   }
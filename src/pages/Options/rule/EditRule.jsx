@@ -1,12 +1,13 @@
-import React, { memo, useRef } from "react"
+import React, { memo, useRef, useState } from "react"
 
-import { Button, message } from "antd"
+import { Button, Input, Modal, message } from "antd"
 
 import { getLang } from ".../utils/utils"
 import Style from "./EditRuleStyle"
 import ExtensionSelector from "./editor/ExtensionSelector"
 import MatchRule from "./editor/MatchRule"
 import RuleAction from "./editor/RuleAction"
+import { addUserTemplate } from "./template/ruleTemplates"
 
 const EditRule = memo((props) => {
   const [messageApi, contextHolder] = message.useMessage()
@@ -16,19 +17,26 @@ const EditRule = memo((props) => {
   const selectorRef = useRef(null)
   const actionRef = useRef(null)
 
+  // 保存为模板时填写的模板名称，null 表示没有打开保存模板的对话框
+  const [templateName, setTemplateName] = useState(null)
+
+  const buildConfig = () => {
+    const matchRuleConfig = matchRuleRef.current.getMatchRuleConfig()
+    const selectConfig = selectorRef.current.getExtensionSelectConfig()
+    const actionConfig = actionRef.current.getActionConfig()
+
+    return {
+      match: matchRuleConfig,
+      target: selectConfig,
+      action: actionConfig,
+      id: config.id,
+      version: 2
+    }
+  }
+
   const onSaveClick = async (e) => {
     try {
-      const matchRuleConfig = matchRuleRef.current.getMatchRuleConfig()
-      const selectConfig = selectorRef.current.getExtensionSelectConfig()
-      const actionConfig = actionRef.current.getActionConfig()
-
-      const newConfig = {
-        match: matchRuleConfig,
-        target: selectConfig,
-        action: actionConfig,
-        id: config.id,
-        version: 2
-      }
+      const newConfig = buildConfig()
 
       // console.log("保存规则配置", newConfig)
 
@@ -44,6 +52,24 @@ const EditRule = memo((props) => {
     }
   }
 
+  const onSaveTemplate = async () => {
+    const name = templateName?.trim()
+    if (!name) {
+      messageApi.warning(getLang("rule_template_name_required"))
+      return
+    }
+    try {
+      // 先校验规则配置，配置不完整时会抛出异常
+      const newConfig = buildConfig()
+      await addUserTemplate(name, newConfig)
+      setTemplateName(null)
+      messageApi.success(getLang("rule_template_saved", name))
+    } catch (error) {
+      console.error("保存规则模板", error)
+      messageApi.error(error.message)
+    }
+  }
+
   const onHelp = () => {
     chrome.tabs.create({
       url: "https://ext.jgrass.cc/docs/rule"
@@ -75,6 +101,7 @@ const EditRule = memo((props) => {
       <RuleAction
         options={options}
         config={config}
+        extensions={extensions}
         ref={actionRef}
         pipe={ruleSettingPipe}></RuleAction>
 
@@ -83,8 +110,24 @@ const EditRule = memo((props) => {
           {getLang("save")}
         </Button>
         <Button onClick={onCancel}>{getLang("cancel")}</Button>
+        <Button onClick={() => setTemplateName("")}>{getLang("rule_template_save")}</Button>
         <Button onClick={onHelp}>{getLang("help")}</Button>
       </div>
+
+      <Modal
+        title={getLang("rule_template_save")}
+        open={templateName !== null}
+        onOk={onSaveTemplate}
+        onCancel={() => setTemplateName(null)}
+        destroyOnClose>
+        <Input
+          value={templateName ?? ""}
+          maxLength={50}
+          placeholder={getLang("rule_template_name")}
+          onChange={(e) => setTemplateName(e.target.value)}
+          onPressEnter={onSaveTemplate}
+        />
+      </Modal>
     </Style>
   )
 })
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react"
 
+import { Tabs } from "antd"
 import chromeP from "webext-polyfill-kinda"
 
 import storage from ".../storage/sync"
@@ -7,7 +8,11 @@ import { appendAdditionInfo, filterExtensions, isExtExtension } from ".../utils/
 import analytics from ".../utils/googleAnalyze.js"
 import { getLang } from ".../utils/utils"
 import Title from "../Title.jsx"
+import RuleConflicts from "./conflict/RuleConflicts.jsx"
 import { RuleSettingStyle } from "./RuleSettingStyle.js"
+import RuleSimulator from "./simulate/RuleSimulator.jsx"
+import RuleStats from "./stats/RuleStats.jsx"
+import RuleTrace from "./trace/RuleTrace.jsx"
 import ViewRule from "./ViewRule.jsx"
 
 function RuleSetting() {
@@ -15,6 +20,8 @@ function RuleSetting() {
 
   // 所有的规则配置项，列表
   const [ruleConfigs, setRuleConfigs] = useState([])
+  // 域名规则，只用于显示规则的优先级
+  const [domainRuleConfigs, setDomainRuleConfigs] = useState([])
 
   // 用户配置
   const [options, setOptions] = useState({})
@@ -37,6 +44,7 @@ function RuleSetting() {
       // Filter out domain auto-enable rules (they're managed separately)
       const filteredList = list.filter((r) => r.source !== "domainAuto")
       setRuleConfigs(filteredList)
+      setDomainRuleConfigs(list.filter((r) => r.source === "domainAuto"))
 
       analytics.fireEvent("rule_setting_open", {
         totalCount: filteredList.length,
@@ -51,6 +59,7 @@ function RuleSetting() {
       // Filter out domain auto-enable rules (they're managed separately)
       const filteredList = list.filter((r) => r.source !== "domainAuto")
       setRuleConfigs(filteredList)
+      setDomainRuleConfigs(list.filter((r) => r.source === "domainAuto"))
     })
   }
 
@@ -86,6 +95,22 @@ function RuleSetting() {
       analytics.fireEvent("rule_duplicate", {
         total_count: ruleConfigs.length + 1
       })
+    },
+    reorder: async (ids) => {
+      await storage.rule.reorder(ids)
+      updateRuleConfig()
+
+      analytics.fireEvent("rule_reorder", {
+        total_count: ruleConfigs.length
+      })
+    },
+    moveBefore: async (id, beforeId) => {
+      await storage.rule.moveBefore(id, beforeId)
+      updateRuleConfig()
+
+      analytics.fireEvent("rule_move", {
+        total_count: ruleConfigs.length
+      })
     }
   }
 
@@ -93,11 +118,50 @@ function RuleSetting() {
     <RuleSettingStyle>
       <Title title={getLang("rule_title")}></Title>
 
-      <ViewRule
-        options={options}
-        configs={ruleConfigs}
-        extensions={extensions}
-        operation={operation}></ViewRule>
+      <Tabs
+        items={[
+          {
+            key: "rules",
+            label: getLang("rule_tab_rules"),
+            children: (
+              <ViewRule
+                options={options}
+                configs={ruleConfigs}
+                domainConfigs={domainRuleConfigs}
+                extensions={extensions}
+                operation={operation}></ViewRule>
+            )
+          },
+          {
+            key: "simulate",
+            label: getLang("rule_tab_simulate"),
+            children: <RuleSimulator options={options} extensions={extensions}></RuleSimulator>
+          },
+          {
+            key: "conflicts",
+            label: getLang("rule_tab_conflicts"),
+            children: (
+              <RuleConflicts
+                options={options}
+                configs={ruleConfigs}
+                extensions={extensions}
+                operation={operation}></RuleConflicts>
+            )
+          },
+          {
+            key: "stats",
+            label: getLang("rule_tab_stats"),
+            children: (
+              <RuleStats options={options} configs={ruleConfigs} operation={operation}></RuleStats>
+            )
+          },
+          {
+            key: "trace",
+            label: getLang("rule_tab_trace"),
+            children: <RuleTrace configs={ruleConfigs} extensions={extensions}></RuleTrace>
+          }
+        ]}
+      />
     </RuleSettingStyle>
   )
 }
@@ -3,11 +3,15 @@ import { useLocation, useNavigate } from "react-router-dom"
 
 import { Button, Table, message } from "antd"
 
+import { getRulePriority } from ".../pages/Background/rule/rulePriority"
 import { getLang } from ".../utils/utils"
 import { sendMessage } from "../../../utils/messageHelper"
 import EditRule from "./EditRule"
 import Style from "./ViewRuleStyle"
+import RuleOrder from "./order/RuleOrder"
+import RuleTemplateGallery from "./template/RuleTemplateGallery"
 import ActionView from "./view/ActionView"
+import LingerView from "./view/LingerView"
 import MatchView from "./view/MatchView"
 import OperationView from "./view/OperationView"
 import TargetView from "./view/TargetView"
@@ -17,7 +21,7 @@ const { Column } = Table
 const ViewRule = memo((props) => {
   const [messageApi, contextHolder] = message.useMessage()
 
-  const { options, configs, extensions, operation } = props
+  const { options, configs, domainConfigs, extensions, operation } = props
 
   const location = useLocation()
   const navigate = useNavigate()
@@ -27,6 +31,10 @@ const ViewRule = memo((props) => {
   // 正在编辑的规则
   const [editingConfig, setEditingConfig] = useState(null)
   const [selectedRuleId, setSelectedRuleId] = useState(null)
+  // 是否正在调整规则顺序
+  const [ordering, setOrdering] = useState(false)
+  // 是否正在选择规则模板
+  const [showTemplates, setShowTemplates] = useState(false)
 
   // 规则列表
   const [records, setRecords] = useState()
@@ -61,10 +69,30 @@ const ViewRule = memo((props) => {
     }
   }, [records, selectedRuleId, messageApi])
 
+  // 等待中的延迟禁用（linger），定时刷新
+  const [lingering, setLingering] = useState([])
+  useEffect(() => {
+    const load = async () => {
+      const response = await sendMessage("rule-lingering")
+      if (response?.state === "success") {
+        setLingering(response.lingering.filter((i) => i.closeAt > Date.now()))
+      }
+    }
+    load()
+    const timer = setInterval(load, 10 * 1000)
+    return () => clearInterval(timer)
+  }, [configs])
+
   const onAdd = () => {
     setEditingConfig({})
   }
 
+  // 使用模板创建的规则没有 id，在编辑器中保存时作为新规则添加
+  const onUseTemplate = (rule) => {
+    setShowTemplates(false)
+    setEditingConfig(rule)
+  }
+
   const onEdit = (record) => {
     setEditingConfig(record)
   }
@@ -126,6 +154,31 @@ const ViewRule = memo((props) => {
     setEditingConfig(null)
   }
 
+  const onSaveOrder = async (ids) => {
+    try {
+      await operation.reorder(ids)
+      sendMessage("rule-config-changed")
+      setOrdering(false)
+    } catch (error) {
+      console.error("调整规则顺序", error)
+      messageApi.error(error.message)
+    }
+  }
+
+  if (ordering) {
+    return (
+      <Style>
+        {contextHolder}
+        <RuleOrder
+          options={options}
+          configs={configs}
+          domainConfigs={domainConfigs}
+          onSave={onSaveOrder}
+          onCancel={() => setOrdering(false)}></RuleOrder>
+      </Style>
+    )
+  }
+
   return (
     <Style>
       {contextHolder}
@@ -153,6 +206,13 @@ const ViewRule = memo((props) => {
             return <span>{index + 1}</span>
           }}
         />
+        <Column
+          title={getLang("rule_column_priority")}
+          dataIndex="priority"
+          width={80}
+          align="center"
+          render={(priority, record) => getRulePriority(record)}
+        />
         <Column
           title={getLang("rule_column_match")}
           dataIndex="match"
@@ -164,7 +224,15 @@ const ViewRule = memo((props) => {
           title={getLang("rule_column_extensions")}
           dataIndex="target"
           render={(target, record) => {
-            return <TargetView config={target} options={options} extensions={extensions} />
+            return (
+              <>
+                <TargetView config={target} options={options} extensions={extensions} />
+                <LingerView
+                  items={lingering.filter((i) => i.ruleId === record.id)}
+                  extensions={extensions}
+                />
+              </>
+            )
           }}
         />
 
@@ -202,6 +270,16 @@ const ViewRule = memo((props) => {
           </Button>
         )}
 
+        {!editingConfig && (
+          <Button onClick={() => setShowTemplates(true)}>
+            {getLang("rule_add_from_template")}
+          </Button>
+        )}
+
+        {!editingConfig && configs?.length > 1 && (
+          <Button onClick={() => setOrdering(true)}>{getLang("rule_order")}</Button>
+        )}
+
         <Button
           onClick={() => {
             chrome.tabs.create({
@@ -220,6 +298,13 @@ const ViewRule = memo((props) => {
           onSave={onSave}
           onCancel={onCancel}></EditRule>
       )}
+
+      <RuleTemplateGallery
+        open={showTemplates}
+        options={options}
+        onUse={onUseTemplate}
+        onCancel={() => setShowTemplates(false)}
+      />
     </Style>
   )
 })
@@ -0,0 +1,164 @@
+import React, { memo, useMemo } from "react"
+
+import { Alert, Button, Table, Tag, message } from "antd"
+import { styled } from "styled-components"
+
+import { analyzeConflicts } from ".../pages/Background/rule/ConflictAnalyzer"
+import { sendMessage } from ".../utils/messageHelper"
+import { getLang } from ".../utils/utils"
+import MatchView from "../view/MatchView"
+
+const { Column } = Table
+
+/**
+ * 规则冲突分析：找出可能同时匹配、目标扩展重叠、但执行相反动作的规则，并给出当前胜出的一方
+ */
+const RuleConflicts = memo(({ options, configs, extensions, operation }) => {
+  const [messageApi, contextHolder] = message.useMessage()
+
+  const conflicts = useMemo(() => {
+    // 选择器按当前安装的扩展解析（分类选择器需要后台的 AI 知识库，这里不解析）
+    return analyzeConflicts(configs ?? [], options.groups, chrome.runtime.id, {
+      extensions: extensions ?? []
+    })
+  }, [configs, options.groups, extensions])
+
+  const getExtName = (id) => {
+    const ext = extensions?.find((e) => e.id === id)
+    return ext ? ext.__attach__?.alias || ext.name : id
+  }
+
+  const getSides = (record) => {
+    const a = { rule: record.ruleA, index: record.indexA }
+    const b = { rule: record.ruleB, index: record.indexB }
+    return record.winner === "a" ? [a, b] : [b, a]
+  }
+
+  const onChanged = async (action) => {
+    try {
+      await action()
+      sendMessage("rule-config-changed")
+    } catch (error) {
+      console.error("调整规则冲突", error)
+      messageApi.error(error.message)
+    }
+  }
+
+  // 规则的优先级由列表顺序决定，把规则移动到对方之前，即可在冲突时胜出
+  const onMoveBefore = (record) => {
+    const [winner, loser] = getSides(record)
+    onChanged(() => operation.moveBefore(loser.rule.id, winner.rule.id))
+  }
+
+  const renderRule = (rule, index) => {
+    return (
+      <div className="conflict-rule">
+        <Tag>#{index + 1}</Tag>
+        <MatchView config={rule.match} options={options} />
+      </div>
+    )
+  }
+
+  const renderExecuteType = (type) => {
+    return (
+      <Tag color={type === "enable" ? "green" : "red"}>
+        {getLang(`rule_simulate_execute_${type}`)}
+      </Tag>
+    )
+  }
+
+  const renderWinner = (winner, record) => {
+    const index = winner === "a" ? record.indexA : record.indexB
+    return (
+      <span>
+        #{index + 1}
+        <span className="conflict-reason">{getLang(`rule_conflict_reason_${record.reason}`)}</span>
+      </span>
+    )
+  }
+
+  const renderOperation = (_, record) => {
+    const [winner, loser] = getSides(record)
+    return (
+      <Button size="small" onClick={() => onMoveBefore(record)}>
+        {getLang("rule_conflict_move_before", `#${loser.index + 1}`, `#${winner.index + 1}`)}
+      </Button>
+    )
+  }
+
+  return (
+    <Style>
+      {contextHolder}
+      <Alert type="info" showIcon message={getLang("rule_conflict_desc")} />
+
+      {conflicts.length === 0 ? (
+        <Alert className="conflict-none" type="success" message={getLang("rule_conflict_none")} />
+      ) : (
+        <Table
+          size="small"
+          dataSource={conflicts}
+          rowKey={(r) => `${r.ruleA.id}-${r.ruleB.id}-${r.executeTypeA}`}
+          pagination={false}>
+          <Column
+            title={getLang("rule_conflict_rule")}
+            dataIndex="ruleA"
+            render={(rule, record) => renderRule(rule, record.indexA)}
+          />
+          <Column
+            title={getLang("rule_column_action")}
+            dataIndex="executeTypeA"
+            width={80}
+            render={renderExecuteType}
+          />
+          <Column
+            title={getLang("rule_conflict_other_rule")}
+            dataIndex="ruleB"
+            render={(rule, record) => renderRule(rule, record.indexB)}
+          />
+          <Column
+            title={getLang("rule_column_action")}
+            dataIndex="executeTypeB"
+            width={80}
+            render={renderExecuteType}
+          />
+          <Column
+            title={getLang("rule_conflict_extensions")}
+            dataIndex="extensions"
+            render={(ids) => ids.map((id) => <Tag key={id}>{getExtName(id)}</Tag>)}
+          />
+          <Column
+            title={getLang("rule_conflict_winner")}
+            dataIndex="winner"
+            width={140}
+            render={renderWinner}
+          />
+          <Column title="" width={160} render={renderOperation} />
+        </Table>
+      )}
+    </Style>
+  )
+})
+
+export default RuleConflicts
+
+const Style = styled.div`
+  .conflict-none {
+    margin: 16px 0;
+  }
+
+  .ant-table-wrapper {
+    margin: 16px 0;
+  }
+
+  .conflict-rule {
+    display: flex;
+    align-items: flex-start;
+    gap: 4px;
+  }
+
+  .conflict-reason {
+    margin-left: 5px;
+    font-size: 12px;
+    color: #777;
+  }
+`
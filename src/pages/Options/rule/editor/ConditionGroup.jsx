@@ -0,0 +1,214 @@
+import React, { memo, useMemo } from "react"
+
+import {
+  ApartmentOutlined,
+  BlockOutlined,
+  ClockCircleOutlined,
+  CloseSquareOutlined,
+  CoffeeOutlined,
+  LaptopOutlined,
+  LinkOutlined,
+  PlusCircleOutlined,
+  ThunderboltOutlined,
+  WindowsOutlined
+} from "@ant-design/icons"
+import { Button, Dropdown, Radio, Space } from "antd"
+import { styled } from "styled-components"
+
+import { getLang } from ".../utils/utils"
+import { isGroupNode } from "./conditionTree"
+import IdleTrigger from "./triggers/IdleTrigger/Index"
+import OperationSystemTrigger from "./triggers/OsTrigger/Index"
+import SceneTrigger from "./triggers/SceneTrigger/Index"
+import TabGroupTrigger from "./triggers/TabGroupTrigger/Index"
+import TabUrlTrigger from "./triggers/TabUrlTrigger/Index"
+import TimeTrigger from "./triggers/TimeTrigger/Index"
+import TriggerWrapper from "./triggers/TriggerWrapper/Index"
+import WindowTrigger from "./triggers/WindowTrigger/Index"
+
+export const triggerModes = [
+  {
+    label: getLang("rule_trigger_url_name"),
+    key: "urlTrigger",
+    icon: <LinkOutlined />,
+    component: TabUrlTrigger,
+    getter: "getTabUrlTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_scene_name"),
+    key: "sceneTrigger",
+    icon: <ThunderboltOutlined />,
+    component: SceneTrigger,
+    getter: "getSceneTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_os_name"),
+    key: "osTrigger",
+    icon: <LaptopOutlined />,
+    component: OperationSystemTrigger,
+    getter: "getOsTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_period_name"),
+    key: "periodTrigger",
+    icon: <ClockCircleOutlined />,
+    component: TimeTrigger,
+    getter: "getPeriodTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_idle_name"),
+    key: "idleTrigger",
+    icon: <CoffeeOutlined />,
+    component: IdleTrigger,
+    getter: "getIdleTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_tab_group_name"),
+    key: "tabGroupTrigger",
+    icon: <BlockOutlined />,
+    component: TabGroupTrigger,
+    getter: "getTabGroupTriggerConfig"
+  },
+  {
+    label: getLang("rule_trigger_window_name"),
+    key: "windowTrigger",
+    icon: <WindowsOutlined />,
+    component: WindowTrigger,
+    getter: "getWindowTriggerConfig"
+  }
+]
+
+const GROUP_KEY = "conditionGroup"
+
+/**
+ * 条件组的编辑，可以包含触发条件和嵌套的条件组
+ * @param node 条件组节点
+ * @param isRoot 是否是顶层的条件组（不能移除）
+ * @param operation 修改条件树的操作 { addTrigger, addGroup, remove, setOperator, registerTrigger }
+ */
+const ConditionGroup = memo(({ options, node, isRoot, operation }) => {
+  const addMenuProps = {
+    items: [
+      ...triggerModes.map(({ label, key, icon }) => ({ label, key, icon })),
+      { type: "divider" },
+      {
+        label: getLang("rule_set_match_add_group"),
+        key: GROUP_KEY,
+        icon: <ApartmentOutlined />
+      }
+    ],
+    onClick: (e) => {
+      if (e.key === GROUP_KEY) {
+        operation.addGroup(node.key)
+      } else {
+        operation.addTrigger(node.key, e.key)
+      }
+    }
+  }
+
+  return (
+    <Style className={isRoot ? "condition-group-root" : "condition-group-nested"}>
+      <div className="condition-group-header">
+        <Dropdown menu={addMenuProps}>
+          <Button size={isRoot ? "middle" : "small"}>
+            <Space>
+              {getLang("rule_set_match_add")}
+              <PlusCircleOutlined />
+            </Space>
+          </Button>
+        </Dropdown>
+
+        <Radio.Group
+          className="condition-group-operator"
+          value={node.operator}
+          onChange={(e) => operation.setOperator(node.key, e.target.value)}>
+          <Radio value="and">{getLang("rule_set_match_all")}</Radio>
+          <Radio value="or">{getLang("rule_set_match_any")}</Radio>
+          <Radio value="not">{getLang("rule_set_match_none")}</Radio>
+        </Radio.Group>
+
+        {!isRoot && (
+          <CloseSquareOutlined
+            className="condition-group-close"
+            onClick={() => operation.remove(node.key)}
+          />
+        )}
+      </div>
+
+      {node.children.map((child) =>
+        isGroupNode(child) ? (
+          <ConditionGroup key={child.key} options={options} node={child} operation={operation} />
+        ) : (
+          <TriggerItem key={child.key} options={options} node={child} operation={operation} />
+        )
+      )}
+    </Style>
+  )
+})
+
+/**
+ * 单个触发条件，复用原有的触发条件编辑器
+ */
+const TriggerItem = memo(({ options, node, operation }) => {
+  const mode = triggerModes.find((m) => m.key === node.trigger)
+
+  // 触发条件编辑器从规则配置中读取初始值，这里只包含当前这一个触发条件
+  const triggerConfig = useMemo(
+    () => ({
+      match: { triggers: node.config ? [{ trigger: node.trigger, config: node.config }] : [] }
+    }),
+    [node.trigger, node.config]
+  )
+
+  if (!mode) {
+    return null
+  }
+  const Editor = mode.component
+
+  return (
+    <TriggerWrapper title={mode.label} onClose={() => operation.remove(node.key)}>
+      <Editor
+        options={options}
+        config={triggerConfig}
+        ref={(instance) => operation.registerTrigger(node.key, instance)}
+      />
+    </TriggerWrapper>
+  )
+})
+
+export default ConditionGroup
+
+const Style = styled.div`
+  &.condition-group-nested {
+    margin: 10px 0;
+    padding: 5px 0 5px 10px;
+
+    border: 1px dashed #91caff;
+    border-left: 3px solid #1677ff;
+    border-radius: 5px;
+  }
+
+  .condition-group-header {
+    display: flex;
+    align-items: center;
+
+    margin: 5px 0;
+  }
+
+  .condition-group-operator {
+    margin-left: 10px;
+  }
+
+  .condition-group-close {
+    margin-left: auto;
+    margin-right: 10px;
+
+    font-size: 16px;
+    color: #ff4757;
+    cursor: pointer;
+
+    &:hover {
+      color: #ff6348;
+    }
+  }
+`
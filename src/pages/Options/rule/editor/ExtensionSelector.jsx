@@ -4,12 +4,14 @@ import styled from "styled-components"
 
 import ExtensionTarget from ".../pages/Options/components/ExtensionTarget"
 import { getLang } from ".../utils/utils"
+import TargetSelectors from "./TargetSelectors"
 
 const ExtensionSelector = ({ options, config, extensions }, ref) => {
   const emptyMessage = getLang("rule_set_target_no_any_target")
   const title = `2 ${getLang("rule_set_target_title")}`
 
   const selectorRef = useRef(null)
+  const targetSelectorsRef = useRef(null)
 
   // 搜索关键字
   const [searchText, setSearchText] = useState("")
@@ -23,7 +25,12 @@ const ExtensionSelector = ({ options, config, extensions }, ref) => {
   useImperativeHandle(ref, () => ({
     // 获取配置
     getExtensionSelectConfig: () => {
-      return selectorRef.current.getExtensionSelectConfig()
+      const target = selectorRef.current.getExtensionSelectConfig()
+      const selectors = targetSelectorsRef.current.getSelectors()
+      if (target.groups.length === 0 && target.extensions.length === 0 && selectors.length === 0) {
+        throw Error(emptyMessage)
+      }
+      return { ...target, selectors }
     }
   }))
 
@@ -33,7 +40,8 @@ const ExtensionSelector = ({ options, config, extensions }, ref) => {
       config={config}
       extensions={extensions}
       searchText={searchText}
-      params={{ emptyMessage }}
+      params={{ emptyMessage, allowEmpty: true, showExclusions: true }}
+      extra={<TargetSelectors config={config} extensions={extensions} ref={targetSelectorsRef} />}
       ref={selectorRef}>
       <div className="editor-step-header">
         <span className="title">{title}</span>
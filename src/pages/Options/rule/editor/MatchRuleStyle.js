@@ -1,21 +0,0 @@
-import { styled } from "styled-components"
-
-const Style = styled.div`
-  .trigger-operation-settings {
-    margin: 5px 0;
-  }
-
-  .trigger-relationship {
-    margin-left: 10px;
-  }
-
-  .trigger-hidden {
-    display: none;
-  }
-
-  .trigger-visible {
-    display: block;
-  }
-`
-
-export default Style
@@ -1,12 +1,13 @@
 import React, { forwardRef, memo, useEffect, useImperativeHandle, useRef, useState } from "react"
 
 import { QuestionCircleOutlined } from "@ant-design/icons"
-import { Alert, Checkbox, Radio } from "antd"
+import { Alert, Checkbox, InputNumber, Radio, Select, Tooltip, message } from "antd"
 
 import { getLang } from ".../utils/utils"
 import EditorCommonStyle from "./CommonStyle"
 import Style from "./RuleActionStyle"
 import CustomRuleAction from "./ruleActions/CustomRuleAction"
+import ExtraActions from "./ruleActions/ExtraActions"
 
 const urlMatchTip = getLang("rule_match_url_tip")
 
@@ -37,7 +38,15 @@ const actionSelections = [
   }
 ]
 
-const RuleAction = ({ options, config, pipe }, ref) => {
+// 在匹配结束之后禁用扩展的动作，才可以设置 linger（匹配结束之后保持启用一段时间）
+const LingerActionTypes = ["openOnlyWhenMatched", "custom"]
+
+const reloadScopes = ["activeTab", "matchedTabs", "currentWindow", "none"]
+
+// 检查页面中未保存的输入，需要对页面注入脚本
+const HOST_PERMISSIONS = { origins: ["https://*/*", "http://*/*"] }
+
+const RuleAction = ({ options, config, extensions, pipe }, ref) => {
   useImperativeHandle(ref, () => ({
     // 获取配置
     getActionConfig: () => {
@@ -55,6 +64,17 @@ const RuleAction = ({ options, config, pipe }, ref) => {
       if (refreshAfterDisable) {
         actionConfig.reloadAfterDisable = refreshAfterDisable
       }
+      if (refreshAfterEnable || refreshAfterDisable) {
+        if (reloadScope !== "activeTab") {
+          actionConfig.reloadScope = reloadScope
+        }
+        if (reloadSkipPinned) {
+          actionConfig.reloadSkipPinned = reloadSkipPinned
+        }
+        if (reloadSkipUnsaved) {
+          actionConfig.reloadSkipUnsaved = reloadSkipUnsaved
+        }
+      }
 
       if (actionTypeKey === "custom") {
         actionConfig.custom = customRef.current.getCustomRuleConfig()
@@ -64,11 +84,21 @@ const RuleAction = ({ options, config, pipe }, ref) => {
         actionConfig.showOnTheTop = showOnTheTop
       }
 
+      if (lingerMinutes > 0 && LingerActionTypes.includes(actionTypeKey)) {
+        actionConfig.lingerMinutes = lingerMinutes
+      }
+
+      const extraActions = extraActionsRef.current.getExtraActions()
+      if (extraActions.length > 0) {
+        actionConfig.extraActions = extraActions
+      }
+
       return actionConfig
     }
   }))
 
   const customRef = useRef()
+  const extraActionsRef = useRef()
 
   const [actionTypeKey, setActionTypeKey] = useState("")
   const [actionTipMessage, setActionTipMessage] = useState("")
@@ -80,6 +110,15 @@ const RuleAction = ({ options, config, pipe }, ref) => {
   const [refreshAfterEnable, setRefreshAfterEnable] = useState(false)
   // 禁用之后刷新页面
   const [refreshAfterDisable, setRefreshAfterDisable] = useState(false)
+  // 刷新页面的范围
+  const [reloadScope, setReloadScope] = useState("activeTab")
+  // 刷新时跳过固定的标签页
+  const [reloadSkipPinned, setReloadSkipPinned] = useState(false)
+  // 刷新时跳过有未保存输入的标签页
+  const [reloadSkipUnsaved, setReloadSkipUnsaved] = useState(false)
+
+  // 匹配结束之后，保持启用多长时间再禁用（分钟）
+  const [lingerMinutes, setLingerMinutes] = useState(0)
 
   // 初始化
   useEffect(() => {
@@ -91,6 +130,10 @@ const RuleAction = ({ options, config, pipe }, ref) => {
     setShowOnTheTop(actionConfig.showOnTheTop ?? false)
     setRefreshAfterEnable(actionConfig.reloadAfterEnable ?? false)
     setRefreshAfterDisable(actionConfig.reloadAfterDisable ?? false)
+    setReloadScope(actionConfig.reloadScope ?? "activeTab")
+    setReloadSkipPinned(actionConfig.reloadSkipPinned ?? false)
+    setReloadSkipUnsaved(actionConfig.reloadSkipUnsaved ?? false)
+    setLingerMinutes(actionConfig.lingerMinutes ?? 0)
   }, [config])
 
   useEffect(() => {
@@ -118,6 +161,20 @@ const RuleAction = ({ options, config, pipe }, ref) => {
     }
   }, [actionTypeKey])
 
+  // 检查未保存的输入需要网站权限，用户拒绝授权时不开启
+  const onReloadSkipUnsavedChange = async (checked) => {
+    if (!checked) {
+      setReloadSkipUnsaved(false)
+      return
+    }
+    const granted = await chrome.permissions.request(HOST_PERMISSIONS)
+    if (!granted) {
+      message.warning(getLang("rule_action_reload_skip_unsaved_denied"))
+      return
+    }
+    setReloadSkipUnsaved(true)
+  }
+
   const onClickTopTipBtn = (e) => {
     e.preventDefault()
     chrome.tabs.create({ url: "https://ext.jgrass.cc/docs/advance" })
@@ -184,6 +241,62 @@ const RuleAction = ({ options, config, pipe }, ref) => {
             {getLang("rule_action_auto_reload_when_disable")}
           </Checkbox>
         </div>
+
+        {(refreshAfterEnable || refreshAfterDisable) && (
+          <div className="action-label action-reload-scope-options">
+            <span>{getLang("rule_action_reload_scope")}</span>
+            <Select
+              size="small"
+              className="action-reload-scope"
+              value={reloadScope}
+              onChange={setReloadScope}
+              options={reloadScopes.map((scope) => ({
+                label: getLang(`rule_action_reload_scope_${scope}`),
+                value: scope
+              }))}
+            />
+            <Checkbox
+              checked={reloadSkipPinned}
+              disabled={reloadScope === "none"}
+              onChange={(e) => setReloadSkipPinned(e.target.checked)}>
+              {getLang("rule_action_reload_skip_pinned")}
+            </Checkbox>
+            <Checkbox
+              checked={reloadSkipUnsaved}
+              disabled={reloadScope === "none"}
+              onChange={(e) => onReloadSkipUnsavedChange(e.target.checked)}>
+              {getLang("rule_action_reload_skip_unsaved")}
+            </Checkbox>
+            <Tooltip placement="top" title={getLang("rule_action_reload_skip_unsaved_tip")}>
+              <QuestionCircleOutlined />
+            </Tooltip>
+          </div>
+        )}
+
+        {LingerActionTypes.includes(actionTypeKey) && (
+          <div className="action-label action-linger-options">
+            <span>{getLang("rule_action_linger")}</span>
+            <InputNumber
+              size="small"
+              min={0}
+              step={1}
+              precision={1}
+              value={lingerMinutes}
+              onChange={(value) => setLingerMinutes(value ?? 0)}
+              addonAfter={getLang("rule_action_linger_minutes")}
+            />
+            <Tooltip placement="top" title={getLang("rule_action_linger_tip")}>
+              <QuestionCircleOutlined />
+            </Tooltip>
+          </div>
+        )}
+
+        <ExtraActions
+          options={options}
+          config={config}
+          extensions={extensions}
+          ref={extraActionsRef}
+        />
       </Style>
     </EditorCommonStyle>
   )
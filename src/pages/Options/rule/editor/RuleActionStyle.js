@@ -41,6 +41,24 @@ const Style = styled.div`
     display: flex;
     margin: 5px 0 10px 0;
   }
+
+  .action-reload-scope-options {
+    display: flex;
+    align-items: center;
+    gap: 5px;
+    margin: 0 0 10px 0;
+  }
+
+  .action-reload-scope {
+    width: 220px;
+  }
+
+  .action-linger-options {
+    display: flex;
+    align-items: center;
+    gap: 5px;
+    margin: 5px 0 10px 0;
+  }
 `
 
 export default Style
@@ -0,0 +1,171 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useMemo, useState } from "react"
+
+import { DeleteOutlined, PlusOutlined } from "@ant-design/icons"
+import { AutoComplete, Button, Select, Tag, Tooltip } from "antd"
+import { nanoid } from "nanoid"
+import { styled } from "styled-components"
+
+import { resolveSelector } from ".../pages/Background/rule/handlers/targetHandler"
+import { getLang } from ".../utils/utils"
+
+const SelectorTypes = ["permission", "hostPermission", "installType", "category"]
+
+const InstallTypes = ["development", "normal", "sideload", "admin", "other"]
+
+// AI 知识库中常见的分类
+const Categories = [
+  "developer-tools",
+  "productivity",
+  "writing",
+  "shopping",
+  "social-media",
+  "security-privacy"
+]
+
+/**
+ * 动态目标：按扩展的权限、主机权限、安装方式、AI 分类选择目标扩展，执行规则时解析
+ * 以后安装的扩展，只要满足选择器，也会成为规则的目标
+ */
+const TargetSelectors = ({ config, extensions }, ref) => {
+  useImperativeHandle(ref, () => ({
+    getSelectors: () => {
+      return items
+        .filter((item) => item.value && item.value.trim())
+        .map((item) => ({ type: item.type, value: item.value.trim() }))
+    }
+  }))
+
+  const [items, setItems] = useState([])
+
+  useEffect(() => {
+    const selectors = config.target?.selectors ?? []
+    setItems(selectors.map((s) => ({ ...s, id: nanoid() })))
+  }, [config])
+
+  // 当前安装的扩展中出现过的权限，作为输入提示
+  const valueOptions = useMemo(() => {
+    const unique = (list) => Array.from(new Set(list)).sort()
+    const toOptions = (list) => list.map((value) => ({ value }))
+    return {
+      permission: toOptions(unique(extensions.flatMap((ext) => ext.permissions ?? []))),
+      hostPermission: toOptions(
+        unique(["<all_urls>", ...extensions.flatMap((ext) => ext.hostPermissions ?? [])])
+      ),
+      installType: toOptions(InstallTypes),
+      category: toOptions(Categories)
+    }
+  }, [extensions])
+
+  const updateItem = (item, change) => {
+    setItems(items.map((i) => (i.id === item.id ? { ...i, ...change } : i)))
+  }
+
+  const onAddClick = () => {
+    setItems([...items, { id: nanoid(), type: "permission", value: "" }])
+  }
+
+  const onRemoveClick = (item) => {
+    setItems(items.filter((i) => i.id !== item.id))
+  }
+
+  const renderMatched = (item) => {
+    if (!item.value || !item.value.trim()) {
+      return null
+    }
+    if (item.type === "category") {
+      // 分类来自后台的 AI 知识库，这里无法预览
+      return <Tag>{getLang("rule_target_selector_runtime")}</Tag>
+    }
+
+    const ids = resolveSelector(item, { extensions })
+    const names = extensions
+      .filter((ext) => ids.includes(ext.id))
+      .map((ext) => ext.__attach__?.alias || ext.name)
+    return (
+      <Tooltip title={names.join(", ")}>
+        <Tag color={ids.length > 0 ? "blue" : "default"}>
+          {getLang("rule_target_selector_matched", String(ids.length))}
+        </Tag>
+      </Tooltip>
+    )
+  }
+
+  return (
+    <Style>
+      <h3>
+        {getLang("rule_target_selector_title")}
+        <span className="selector-desc">{getLang("rule_target_selector_desc")}</span>
+      </h3>
+
+      {items.map((item) => (
+        <div key={item.id} className="selector-item">
+          <Select
+            className="selector-type"
+            value={item.type}
+            onChange={(type) => updateItem(item, { type, value: "" })}
+            options={SelectorTypes.map((type) => ({
+              label: getLang(`rule_target_selector_${type}`),
+              value: type
+            }))}
+          />
+          {item.type === "installType" ? (
+            <Select
+              className="selector-value"
+              value={item.value || undefined}
+              onChange={(value) => updateItem(item, { value })}
+              options={valueOptions.installType}
+            />
+          ) : (
+            <AutoComplete
+              className="selector-value"
+              value={item.value}
+              onChange={(value) => updateItem(item, { value })}
+              options={valueOptions[item.type]}
+              filterOption={(input, option) => option.value.includes(input)}
+            />
+          )}
+          {renderMatched(item)}
+          <Button type="text" icon={<DeleteOutlined />} onClick={() => onRemoveClick(item)} />
+        </div>
+      ))}
+
+      <Button size="small" onClick={onAddClick}>
+        {getLang("rule_target_selector_add")}
+        <PlusOutlined />
+      </Button>
+    </Style>
+  )
+}
+
+export default memo(forwardRef(TargetSelectors))
+
+const Style = styled.div`
+  margin: 10px 0 0 0;
+
+  h3 {
+    font-weight: bold;
+    margin: 20px 0 10px 0;
+  }
+
+  .selector-desc {
+    margin-left: 10px;
+    font-size: 12px;
+    font-weight: normal;
+    color: #777;
+  }
+
+  .selector-item {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 6px;
+  }
+
+  .selector-type {
+    width: 160px;
+  }
+
+  .selector-value {
+    width: 280px;
+  }
+`
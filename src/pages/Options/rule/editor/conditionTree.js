@@ -0,0 +1,126 @@
+import { nanoid } from "nanoid"
+
+import {
+  getConditionTriggers,
+  getMatchCondition,
+  isConditionGroup
+} from ".../pages/Background/rule/handlers/conditionHandler"
+import { getLang } from ".../utils/utils"
+
+/*
+编辑器中的条件树节点，每个节点都有一个 key，用于渲染和查找触发条件编辑器
+条件组：{ key, operator, children }
+触发条件：{ key, trigger, config }，config 是编辑器的初始配置，编辑中的配置保存在触发条件编辑器中
+*/
+
+/**
+ * 规则的匹配条件，转换成编辑器中的条件树
+ */
+export function toEditorTree(match) {
+  const condition = getMatchCondition(match) ?? { operator: "and", children: [] }
+  return toEditorNode(condition)
+}
+
+function toEditorNode(node) {
+  if (isConditionGroup(node)) {
+    return {
+      key: nanoid(),
+      operator: node.operator,
+      children: node.children.map((child) => toEditorNode(child))
+    }
+  }
+  return { key: nanoid(), trigger: node.trigger, config: node.config }
+}
+
+export function createGroupNode() {
+  return { key: nanoid(), operator: "and", children: [] }
+}
+
+export function createTriggerNode(trigger) {
+  return { key: nanoid(), trigger: trigger, config: undefined }
+}
+
+export function isGroupNode(node) {
+  return Boolean(node.operator)
+}
+
+/**
+ * 修改指定 key 的条件组，返回新的条件树（只复制修改路径上的节点）
+ */
+export function updateGroup(root, key, update) {
+  if (root.key === key) {
+    return update(root)
+  }
+  if (!isGroupNode(root)) {
+    return root
+  }
+  let changed = false
+  const children = root.children.map((child) => {
+    const next = updateGroup(child, key, update)
+    if (next !== child) {
+      changed = true
+    }
+    return next
+  })
+  return changed ? { ...root, children } : root
+}
+
+/**
+ * 移除指定 key 的节点
+ */
+export function removeNode(root, key) {
+  if (!isGroupNode(root)) {
+    return root
+  }
+  const children = root.children
+    .filter((child) => child.key !== key)
+    .map((child) => removeNode(child, key))
+  return { ...root, children }
+}
+
+/**
+ * 条件树中使用到的触发条件类型
+ */
+export function getTriggerKeys(root) {
+  const keys = new Set()
+  const walk = (node) => {
+    if (isGroupNode(node)) {
+      node.children.forEach(walk)
+    } else {
+      keys.add(node.trigger)
+    }
+  }
+  walk(root)
+  return [...keys]
+}
+
+/**
+ * 从编辑器中读取条件树，生成规则的匹配条件
+ * 只有一层 and / or 的条件树，保存为原来的平铺格式，不保存 condition
+ * @param getTriggerConfig (node) => config，读取触发条件编辑器中的配置，配置不合法时抛出异常
+ */
+export function toMatchConfig(root, getTriggerConfig) {
+  const build = (node) => {
+    if (!isGroupNode(node)) {
+      return { trigger: node.trigger, config: getTriggerConfig(node) }
+    }
+    if (node.children.length === 0) {
+      throw Error(getLang("rule_set_match_group_empty"))
+    }
+    return { operator: node.operator, children: node.children.map(build) }
+  }
+
+  if (root.children.length === 0) {
+    throw Error(getLang("rule_set_match_at_least_one"))
+  }
+
+  const condition = build(root)
+  const triggers = getConditionTriggers(condition)
+  const relationship = root.operator === "or" ? "or" : "and"
+
+  const isFlat = root.operator !== "not" && root.children.every((child) => !isGroupNode(child))
+  if (isFlat) {
+    return { relationship, triggers }
+  }
+  return { relationship, triggers, condition }
+}
@@ -16,7 +16,12 @@ const CustomRuleAction = ({ options, config, pipe }, ref) => {
       if (hasUrlTrigger && timeWhenEnable !== "none" && !urlMatchWhenEnable) {
         throw Error(getLang("rule_tip_no_set_url_method_enable"))
       }
-      if (hasUrlTrigger && timeWhenDisable !== "none" && !urlMatchWhenDisable) {
+      if (
+        hasUrlTrigger &&
+        timeWhenDisable !== "none" &&
+        timeWhenDisable !== "closeWindow" &&
+        !urlMatchWhenDisable
+      ) {
         throw Error(getLang("rule_tip_no_set_url_method_disable"))
       }
       return {
@@ -162,7 +167,7 @@ const CustomRuleAction = ({ options, config, pipe }, ref) => {
             <Radio value="none">{getLang("rule_set_when_disable_none")}</Radio>
             <Radio value="match">{getLang("rule_set_when_match")}</Radio>
             <Radio value="notMatch">{getLang("rule_set_when_not_match")}</Radio>
-            {/* <Radio value="closeWindow">所有浏览器窗口关闭时</Radio> */}
+            <Radio value="closeWindow">{getLang("rule_set_when_close_window")}</Radio>
           </Radio.Group>
         </div>
 
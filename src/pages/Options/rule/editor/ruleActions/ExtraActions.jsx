@@ -0,0 +1,217 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useMemo, useState } from "react"
+
+import { DeleteOutlined, PlusOutlined } from "@ant-design/icons"
+import { Button, Input, Select } from "antd"
+import { nanoid } from "nanoid"
+import { styled } from "styled-components"
+
+import { storage } from ".../storage/sync"
+import { getLang } from ".../utils/utils"
+
+const ExtraActionTypes = ["switchScene", "applyGroup", "notify", "openOptions"]
+
+const ExtraActionTimes = ["match", "notMatch"]
+
+/**
+ * 启用禁用扩展之外的动作：切换情景模式、应用分组、显示通知、打开扩展的设置页面
+ * 只在规则的匹配状态发生变化时执行一次
+ */
+const ExtraActions = ({ options, config, extensions }, ref) => {
+  useImperativeHandle(ref, () => ({
+    getExtraActions: () => {
+      for (const item of items) {
+        if (item.type === "applyGroup" && !item.groupId) {
+          throw Error(getLang("rule_extra_action_no_group"))
+        }
+        if (item.type === "openOptions" && !item.extensionId) {
+          throw Error(getLang("rule_extra_action_no_extension"))
+        }
+      }
+      return items.map(({ id, ...action }) => action)
+    }
+  }))
+
+  const [items, setItems] = useState([])
+
+  useEffect(() => {
+    const actions = config.action?.extraActions ?? []
+    setItems(actions.map((a) => ({ ...a, id: nanoid() })))
+  }, [config])
+
+  const sceneOptions = useMemo(() => {
+    const scenes = (options.scenes ?? []).map((s) => ({ label: s.name, value: s.id }))
+    return [{ label: getLang("rule_extra_action_no_scene"), value: "" }, ...scenes]
+  }, [options])
+
+  const groupOptions = useMemo(() => {
+    return storage.helper
+      .formatGroups(options.groups)
+      .filter((g) => !storage.helper.isSpecialGroup(g))
+      .map((g) => ({ label: g.name, value: g.id }))
+  }, [options])
+
+  // 只有存在设置页面的扩展，才能打开设置页面
+  const extensionOptions = useMemo(() => {
+    return (extensions ?? [])
+      .filter((ext) => ext.optionsUrl)
+      .map((ext) => ({ label: ext.__attach__?.alias || ext.name, value: ext.id }))
+  }, [extensions])
+
+  const updateItem = (item, change) => {
+    setItems(items.map((i) => (i.id === item.id ? { ...i, ...change } : i)))
+  }
+
+  const onAddClick = () => {
+    setItems([...items, { id: nanoid(), type: "notify", when: "match" }])
+  }
+
+  const onRemoveClick = (item) => {
+    setItems(items.filter((i) => i.id !== item.id))
+  }
+
+  const onTypeChange = (item, type) => {
+    const next = { id: item.id, type, when: item.when }
+    if (type === "switchScene") {
+      next.sceneId = ""
+    }
+    setItems(items.map((i) => (i.id === item.id ? next : i)))
+  }
+
+  const renderParams = (item) => {
+    switch (item.type) {
+      case "switchScene":
+        return (
+          <Select
+            className="extra-action-value"
+            value={item.sceneId ?? ""}
+            onChange={(sceneId) => updateItem(item, { sceneId })}
+            options={sceneOptions}
+          />
+        )
+      case "applyGroup":
+        return (
+          <Select
+            className="extra-action-value"
+            value={item.groupId}
+            onChange={(groupId) => updateItem(item, { groupId })}
+            options={groupOptions}
+          />
+        )
+      case "openOptions":
+        return (
+          <Select
+            className="extra-action-value"
+            showSearch
+            optionFilterProp="label"
+            value={item.extensionId}
+            onChange={(extensionId) => updateItem(item, { extensionId })}
+            options={extensionOptions}
+          />
+        )
+      case "notify":
+        return (
+          <>
+            <Input
+              className="extra-action-title"
+              value={item.title}
+              placeholder={getLang("rule_extra_action_notify_title")}
+              onChange={(e) => updateItem(item, { title: e.target.value })}
+            />
+            <Input
+              className="extra-action-message"
+              value={item.message}
+              placeholder={getLang("rule_extra_action_notify_message")}
+              onChange={(e) => updateItem(item, { message: e.target.value })}
+            />
+          </>
+        )
+      default:
+        return null
+    }
+  }
+
+  return (
+    <Style>
+      <h3>
+        {getLang("rule_extra_action_title")}
+        <span className="extra-action-desc">{getLang("rule_extra_action_desc")}</span>
+      </h3>
+
+      {items.map((item) => (
+        <div key={item.id} className="extra-action-item">
+          <Select
+            className="extra-action-when"
+            value={item.when}
+            onChange={(when) => updateItem(item, { when })}
+            options={ExtraActionTimes.map((when) => ({
+              label: getLang(`rule_extra_action_when_${when}`),
+              value: when
+            }))}
+          />
+          <Select
+            className="extra-action-type"
+            value={item.type}
+            onChange={(type) => onTypeChange(item, type)}
+            options={ExtraActionTypes.map((type) => ({
+              label: getLang(`rule_extra_action_${type}`),
+              value: type
+            }))}
+          />
+          {renderParams(item)}
+          <Button type="text" icon={<DeleteOutlined />} onClick={() => onRemoveClick(item)} />
+        </div>
+      ))}
+
+      <Button size="small" onClick={onAddClick}>
+        {getLang("rule_extra_action_add")}
+        <PlusOutlined />
+      </Button>
+    </Style>
+  )
+}
+
+export default memo(forwardRef(ExtraActions))
+
+const Style = styled.div`
+  margin: 10px 0;
+
+  h3 {
+    font-size: 14px;
+    font-weight: bold;
+    margin: 10px 0;
+  }
+
+  .extra-action-desc {
+    margin-left: 10px;
+    font-size: 12px;
+    font-weight: normal;
+    color: #777;
+  }
+
+  .extra-action-item {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 6px;
+  }
+
+  .extra-action-when {
+    width: 180px;
+  }
+
+  .extra-action-type {
+    width: 200px;
+  }
+
+  .extra-action-value {
+    width: 240px;
+  }
+
+  .extra-action-title {
+    width: 180px;
+  }
+
+  .extra-action-message {
+    width: 280px;
+  }
+`
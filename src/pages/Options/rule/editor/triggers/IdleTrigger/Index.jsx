@@ -0,0 +1,106 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
+
+import { Alert, InputNumber, Tag } from "antd"
+import { styled } from "styled-components"
+
+import { getLang } from ".../utils/utils"
+
+const { CheckableTag } = Tag
+
+// https://developer.chrome.com/docs/extensions/reference/api/idle#type-IdleState
+export const IdleStates = [
+  {
+    label: getLang("trigger_idle_state_active"),
+    value: "active"
+  },
+  {
+    label: getLang("trigger_idle_state_idle"),
+    value: "idle"
+  },
+  {
+    label: getLang("trigger_idle_state_locked"),
+    value: "locked"
+  }
+]
+
+// 与 idleMatchHandler 中的默认值、最小值保持一致（秒）
+const DEFAULT_THRESHOLD = 60
+const MIN_THRESHOLD = 15
+
+const IdleTrigger = ({ options, config }, ref) => {
+  useImperativeHandle(ref, () => ({
+    getIdleTriggerConfig: () => {
+      if (selectStates.length === 0) {
+        throw new Error(getLang("trigger_idle_select_one"))
+      }
+
+      return {
+        states: selectStates,
+        threshold: threshold
+      }
+    }
+  }))
+
+  const [selectStates, setSelectStates] = useState([])
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD)
+
+  // 初始化
+  useEffect(() => {
+    const myConfig = config.match?.triggers?.find((t) => t.trigger === "idleTrigger")?.config ?? {}
+    setSelectStates(myConfig.states ?? [])
+    setThreshold(myConfig.threshold ?? DEFAULT_THRESHOLD)
+  }, [config])
+
+  const handleStateSelectChange = (key, checked) => {
+    const nextSelectedStates = checked
+      ? [...selectStates, key]
+      : selectStates.filter((t) => t !== key)
+    setSelectStates(nextSelectedStates)
+  }
+
+  return (
+    <Style>
+      <Alert message={getLang("trigger_idle_select_tip")} type="info" showIcon />
+      <div className="idle-tags">
+        {IdleStates.map((state) => {
+          return (
+            <CheckableTag
+              key={state.value}
+              checked={selectStates.includes(state.value)}
+              onChange={(checked) => handleStateSelectChange(state.value, checked)}>
+              {state.label}
+            </CheckableTag>
+          )
+        })}
+      </div>
+      <div className="idle-threshold">
+        <span>{getLang("trigger_idle_threshold")}</span>
+        <InputNumber
+          min={MIN_THRESHOLD}
+          precision={0}
+          value={threshold}
+          onChange={(value) => setThreshold(value ?? DEFAULT_THRESHOLD)}
+          addonAfter={getLang("trigger_idle_seconds")}
+        />
+      </div>
+    </Style>
+  )
+}
+
+export default memo(forwardRef(IdleTrigger))
+
+const Style = styled.div`
+  .idle-tags {
+    margin: 10px 0;
+  }
+
+  .idle-threshold {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+  }
+
+  .ant-tag-checkable-checked {
+    background-color: #108ee9;
+  }
+`
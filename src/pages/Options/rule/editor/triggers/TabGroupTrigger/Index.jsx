@@ -0,0 +1,128 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
+
+import { Alert, Radio, Select, Tag } from "antd"
+import { styled } from "styled-components"
+
+import { getLang } from ".../utils/utils"
+
+const { CheckableTag } = Tag
+
+// https://developer.chrome.com/docs/extensions/reference/api/tabGroups#type-Color
+export const TabGroupColors = [
+  { value: "grey", color: "#5f6368" },
+  { value: "blue", color: "#1a73e8" },
+  { value: "red", color: "#d93025" },
+  { value: "yellow", color: "#f9ab00" },
+  { value: "green", color: "#188038" },
+  { value: "pink", color: "#d01884" },
+  { value: "purple", color: "#a142f4" },
+  { value: "cyan", color: "#007b83" },
+  { value: "orange", color: "#fa903e" }
+].map((item) => ({ ...item, label: getLang(`trigger_tab_group_color_${item.value}`) }))
+
+const TabGroupTrigger = ({ options, config }, ref) => {
+  useImperativeHandle(ref, () => ({
+    getTabGroupTriggerConfig: () => {
+      const titlePatterns = titles.map((t) => t.trim()).filter((t) => t)
+      if (titlePatterns.length === 0 && colors.length === 0) {
+        throw new Error(getLang("trigger_tab_group_no_any"))
+      }
+
+      return {
+        matchMethod: matchMethod,
+        titles: titlePatterns,
+        colors: colors
+      }
+    }
+  }))
+
+  // 标签组标题的匹配规则
+  const [titles, setTitles] = useState([])
+  // 标题匹配计算方法，regex / wildcard
+  const [matchMethod, setMatchMethod] = useState("wildcard")
+  // 标签组颜色
+  const [colors, setColors] = useState([])
+
+  // 初始化
+  useEffect(() => {
+    const myConfig =
+      config.match?.triggers?.find((t) => t.trigger === "tabGroupTrigger")?.config ?? {}
+    setTitles(myConfig.titles ?? [])
+    setMatchMethod(myConfig.matchMethod === "regex" ? "regex" : "wildcard")
+    setColors(myConfig.colors ?? [])
+  }, [config])
+
+  const handleColorSelectChange = (key, checked) => {
+    const nextColors = checked ? [...colors, key] : colors.filter((c) => c !== key)
+    setColors(nextColors)
+  }
+
+  return (
+    <Style>
+      <Alert message={getLang("trigger_tab_group_desc")} type="info" showIcon />
+
+      <div className="match-method">
+        <span>{getLang("trigger_url_match_method_title")} </span>
+        <Radio.Group onChange={(e) => setMatchMethod(e.target.value)} value={matchMethod}>
+          <Radio value="wildcard">{getLang("trigger_url_wildcard")}</Radio>
+          <Radio value="regex">{getLang("trigger_url_regex")}</Radio>
+        </Radio.Group>
+      </div>
+
+      <Select
+        className="title-patterns"
+        mode="tags"
+        open={false}
+        value={titles}
+        onChange={setTitles}
+        placeholder={getLang("trigger_tab_group_title_placeholder")}
+      />
+
+      <div className="color-tags">
+        <span>{getLang("trigger_tab_group_color")} </span>
+        {TabGroupColors.map((item) => {
+          return (
+            <CheckableTag
+              key={item.value}
+              checked={colors.includes(item.value)}
+              onChange={(checked) => handleColorSelectChange(item.value, checked)}>
+              <span className="color-dot" style={{ background: item.color }} />
+              {item.label}
+            </CheckableTag>
+          )
+        })}
+      </div>
+    </Style>
+  )
+}
+
+export default memo(forwardRef(TabGroupTrigger))
+
+const Style = styled.div`
+  .match-method {
+    margin-top: 5px;
+    font-size: 14px;
+  }
+
+  .title-patterns {
+    width: 100%;
+    margin: 5px 0;
+  }
+
+  .color-tags {
+    margin: 5px 0;
+  }
+
+  .color-dot {
+    display: inline-block;
+    width: 8px;
+    height: 8px;
+    margin-right: 4px;
+
+    border-radius: 50%;
+  }
+
+  .ant-tag-checkable-checked {
+    background-color: #108ee9;
+  }
+`
@@ -1,4 +1,4 @@
-import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useMemo, useState } from "react"
 
 import {
   ClearOutlined,
@@ -10,14 +10,31 @@ import { Alert, Button, Checkbox, Dropdown, Input, Radio, Space, Switch, Tooltip
 import { nanoid } from "nanoid"
 import { styled } from "styled-components"
 
+import { validateUrlPattern } from ".../pages/Background/rule/handlers/match/urlPatternValidator"
 import { SortableList } from ".../pages/Options/components/SortableList"
+import {
+  PatternIssues,
+  UrlPatternSandbox,
+  getIssuesStatus
+} from ".../pages/Options/components/UrlPattern"
 import { getLang } from ".../utils/utils"
 
 /*
 wildcard 通配符
 regex 正则表达式
+matchPattern Chrome 扩展的 match pattern
+urlPattern URLPattern
 */
 
+const MATCH_METHODS = ["wildcard", "regex", "matchPattern", "urlPattern"]
+
+const PLACEHOLDERS = {
+  wildcard: "e.g. *feishu.cn* ; file://*.pdf ;",
+  regex: "e.g. ^https://(www\\.)?feishu\\.cn/.*$",
+  matchPattern: "e.g. *://*.example.com/* ; <all_urls>",
+  urlPattern: "e.g. https://*.example.com/docs/*"
+}
+
 /**
  * @param options 所有用户配置
  * @param config 当前规则的配置
@@ -31,6 +48,13 @@ const TabUrlTrigger = ({ options, config }, ref) => {
         throw Error(getLang("trigger_url_no_any"))
       }
 
+      const invalid = urls.find((url) =>
+        validateUrlPattern(url, matchMethod).some((issue) => issue.level === "error")
+      )
+      if (invalid) {
+        throw Error(getLang("trigger_url_invalid_pattern", invalid))
+      }
+
       return {
         matchMethod: matchMethod,
         matchUrl: urls,
@@ -41,11 +65,18 @@ const TabUrlTrigger = ({ options, config }, ref) => {
 
   // 域名列表
   const [matchHostList, setMatchHostList] = useState([])
-  // 域名匹配计算方法，regex / wildcard
+  // 域名匹配计算方法，wildcard / regex / matchPattern / urlPattern
   const [matchMethod, setMatchMethod] = useState("wildcard")
   // 是否使用完整 URL 进行计算
   const [useFullUrl, setUseFullUrl] = useState(false)
 
+  // 输入时校验每个 pattern
+  const patternIssues = useMemo(() => {
+    return matchHostList.map((host) => validateUrlPattern(host.url, matchMethod))
+  }, [matchHostList, matchMethod])
+
+  const patterns = useMemo(() => matchHostList.map((host) => host.url), [matchHostList])
+
   // 初始化
   useEffect(() => {
     const myConfig = config.match?.triggers?.find((t) => t.trigger === "urlTrigger")?.config ?? {}
@@ -54,8 +85,8 @@ const TabUrlTrigger = ({ options, config }, ref) => {
     setMatchHostList(urlStrList2ObjectArray(myConfig.matchUrl))
 
     // 初始化匹配的计算方式
-    if (myConfig.matchMethod === "regex") {
-      setMatchMethod("regex")
+    if (MATCH_METHODS.includes(myConfig.matchMethod)) {
+      setMatchMethod(myConfig.matchMethod)
     } else {
       setMatchMethod("wildcard")
     }
@@ -113,6 +144,18 @@ const TabUrlTrigger = ({ options, config }, ref) => {
           <Radio.Group onChange={onMatchMethodSwitchChanged} value={matchMethod}>
             <Radio value="wildcard">{getLang("trigger_url_wildcard")}</Radio>
             <Radio value="regex">{getLang("trigger_url_regex")}</Radio>
+            <Radio value="matchPattern">
+              {getLang("trigger_url_match_pattern")}{" "}
+              <Tooltip placement="top" title={getLang("trigger_url_match_pattern_desc")}>
+                <QuestionCircleOutlined />
+              </Tooltip>
+            </Radio>
+            <Radio value="urlPattern">
+              {getLang("trigger_url_url_pattern")}{" "}
+              <Tooltip placement="top" title={getLang("trigger_url_url_pattern_desc")}>
+                <QuestionCircleOutlined />
+              </Tooltip>
+            </Radio>
           </Radio.Group>
         </span>
         <span style={{ marginLeft: 80 }}>
@@ -133,12 +176,16 @@ const TabUrlTrigger = ({ options, config }, ref) => {
           onChange={handleUrlDropEnd}
           renderItem={(item, index) => (
             <SortableList.Item id={item.id}>
-              <Input
-                key={item.id}
-                value={item.url}
-                onChange={(e) => onHostInputChanged(e, item)}
-                placeholder="e.g. *feishu.cn* ; file://*.pdf ;"
-              />
+              <div className="url-pattern-input">
+                <Input
+                  key={item.id}
+                  value={item.url}
+                  status={getIssuesStatus(patternIssues[index])}
+                  onChange={(e) => onHostInputChanged(e, item)}
+                  placeholder={PLACEHOLDERS[matchMethod]}
+                />
+                <PatternIssues issues={patternIssues[index]} />
+              </div>
               <SortableList.DragHandle />
             </SortableList.Item>
           )}></SortableList>
@@ -158,6 +205,8 @@ const TabUrlTrigger = ({ options, config }, ref) => {
           </Space>
         </Button>
       </div>
+
+      <UrlPatternSandbox patterns={patterns} matchMethod={matchMethod} useFullUrl={useFullUrl} />
     </Style>
   )
 }
@@ -185,6 +234,10 @@ const Style = styled.div`
       box-shadow: none;
       padding: 2px 2px 2px 0;
     }
+
+    .url-pattern-input {
+      flex: 1;
+    }
   }
 
   .url-pattern-buttons {
@@ -192,6 +245,10 @@ const Style = styled.div`
       margin-right: 10px;
     }
   }
+
+  .url-pattern-sandbox {
+    margin-top: 10px;
+  }
 `
 
 function urlStrList2ObjectArray(urlList) {
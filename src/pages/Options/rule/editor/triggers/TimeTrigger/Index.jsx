@@ -1,20 +1,52 @@
 import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
 
 import { CloseOutlined } from "@ant-design/icons"
-import { Alert, Button, Tag, TimePicker, message } from "antd"
+import { Alert, Button, DatePicker, Select, Tag, TimePicker, message } from "antd"
+import dayjs from "dayjs"
 import { styled } from "styled-components"
 
 import { getLang } from ".../utils/utils"
 
+const { CheckableTag } = Tag
+const { RangePicker } = DatePicker
+
+const DATE_FORMAT = "YYYY-MM-DD"
+
+// 星期的显示名称，0 表示星期日
+const weekdayNames = [0, 1, 2, 3, 4, 5, 6].map((day) =>
+  new Intl.DateTimeFormat(navigator.language, { weekday: "short", timeZone: "UTC" }).format(
+    new Date(Date.UTC(2023, 0, 1 + day))
+  )
+)
+
+const timeZoneOptions = (Intl.supportedValuesOf?.("timeZone") ?? []).map((zone) => ({
+  label: zone,
+  value: zone
+}))
+
 const TimeTrigger = ({ options, config }, ref) => {
   useImperativeHandle(ref, () => ({
     getPeriodTriggerConfig: () => {
       if (periods.length === 0) {
         throw new Error(getLang("trigger_period_no_any"))
       }
-      return {
+      const periodConfig = {
         periods: periods
       }
+      // 只保存设置过的字段，没有设置时与之前的配置保持一致
+      if (days.length > 0 && days.length < 7) {
+        periodConfig.days = [...days].sort()
+      }
+      if (dateRange?.[0]) {
+        periodConfig.startDate = dateRange[0].format(DATE_FORMAT)
+      }
+      if (dateRange?.[1]) {
+        periodConfig.endDate = dateRange[1].format(DATE_FORMAT)
+      }
+      if (timeZone) {
+        periodConfig.timeZone = timeZone
+      }
+      return periodConfig
     }
   }))
 
@@ -25,14 +57,34 @@ const TimeTrigger = ({ options, config }, ref) => {
   // 当前选择的时间段
   const [startTime, setStartTime] = useState("")
   const [endTime, setEndTime] = useState("")
+  // 生效的星期，为空表示每天
+  const [days, setDays] = useState([])
+  // 生效的日期范围
+  const [dateRange, setDateRange] = useState(null)
+  // 时区，为空表示浏览器本地时区
+  const [timeZone, setTimeZone] = useState(undefined)
 
   // 初始化
   useEffect(() => {
     const myConfig =
       config.match?.triggers?.find((t) => t.trigger === "periodTrigger")?.config ?? {}
     setPeriods(myConfig.periods ?? [])
+    setDays(myConfig.days ?? [])
+    setDateRange(
+      myConfig.startDate || myConfig.endDate
+        ? [
+            myConfig.startDate ? dayjs(myConfig.startDate, DATE_FORMAT) : null,
+            myConfig.endDate ? dayjs(myConfig.endDate, DATE_FORMAT) : null
+          ]
+        : null
+    )
+    setTimeZone(myConfig.timeZone)
   }, [config])
 
+  const onDayChange = (day, checked) => {
+    setDays(checked ? [...days, day] : days.filter((d) => d !== day))
+  }
+
   // 时间选择变更
   const onChange = (time, timeString, point) => {
     if (!timeString || timeString.trim() === "") {
@@ -56,8 +108,9 @@ const TimeTrigger = ({ options, config }, ref) => {
       messageApi.error(getLang("trigger_period_no_complete"))
       return
     }
-    if (startTime >= endTime) {
-      messageApi.error(getLang("trigger_period_cannot_greater"))
+    // 开始时间大于结束时间，表示跨越午夜的区间
+    if (startTime === endTime) {
+      messageApi.error(getLang("trigger_period_cannot_equal"))
       return
     }
 
@@ -119,12 +172,51 @@ const TimeTrigger = ({ options, config }, ref) => {
           return (
             <Tag key={show} color="magenta" style={{ marginTop: 5 }}>
               <span>
-                {show} <CloseOutlined onClick={(e) => onTimeTagClose(period, e)} />
+                {show}
+                {period.start > period.end && ` (${getLang("trigger_period_overnight")})`}{" "}
+                <CloseOutlined onClick={(e) => onTimeTagClose(period, e)} />
               </span>
             </Tag>
           )
         })}
       </div>
+
+      <div className="match-period-setting">
+        <span className="match-period-setting-time-label">{getLang("trigger_period_days")}</span>
+        {weekdayNames.map((name, day) => (
+          <CheckableTag
+            key={day}
+            checked={days.includes(day)}
+            onChange={(checked) => onDayChange(day, checked)}>
+            {name}
+          </CheckableTag>
+        ))}
+      </div>
+
+      <div className="match-period-setting">
+        <span className="match-period-setting-time-label">
+          {getLang("trigger_period_date_range")}
+        </span>
+        <RangePicker
+          className="match-period-setting-time-picker"
+          allowEmpty={[true, true]}
+          value={dateRange}
+          onChange={(range) => setDateRange(range)}
+          format={DATE_FORMAT}
+        />
+        <span className="match-period-setting-time-label">
+          {getLang("trigger_period_time_zone")}
+        </span>
+        <Select
+          className="match-period-setting-time-zone"
+          showSearch
+          allowClear
+          placeholder={getLang("trigger_period_time_zone_local")}
+          value={timeZone}
+          onChange={(zone) => setTimeZone(zone)}
+          options={timeZoneOptions}
+        />
+      </div>
     </Style>
   )
 }
@@ -143,12 +235,26 @@ const Style = styled.div`
   .match-period-setting-time-picker {
     margin-right: 24px;
   }
+
+  .match-period-setting-time-zone {
+    width: 220px;
+  }
 `
 
 /**
  * 检查时间区间是否存在交叉
  */
 function checkPeriodCross(periods) {
+  // 跨越午夜的区间，拆分成两段之后再检查
+  periods = periods.flatMap((p) =>
+    p.start > p.end
+      ? [
+          { start: p.start, end: "24:00" },
+          { start: "00:00", end: p.end }
+        ]
+      : [p]
+  )
+
   // 先排序
   sortPeriods(periods)
 
@@ -0,0 +1,131 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useState } from "react"
+
+import { Alert, Checkbox, Radio, Tag } from "antd"
+import { styled } from "styled-components"
+
+import { getLang } from ".../utils/utils"
+
+const { CheckableTag } = Tag
+
+// https://developer.chrome.com/docs/extensions/reference/api/windows#type-WindowType
+export const WindowTypes = ["normal", "popup", "app", "devtools"].map((value) => ({
+  label: getLang(`trigger_window_type_${value}`),
+  value
+}))
+
+// https://developer.chrome.com/docs/extensions/reference/api/windows#type-WindowState
+export const WindowStates = ["normal", "maximized", "fullscreen", "minimized"].map((value) => ({
+  label: getLang(`trigger_window_state_${value}`),
+  value
+}))
+
+/*
+incognito：any 不限制，incognito 只匹配隐身窗口，normal 只匹配普通窗口
+*/
+
+const WindowTrigger = ({ options, config }, ref) => {
+  useImperativeHandle(ref, () => ({
+    getWindowTriggerConfig: () => {
+      if (
+        incognito === "any" &&
+        windowTypes.length === 0 &&
+        windowStates.length === 0 &&
+        !focusedOnly
+      ) {
+        throw new Error(getLang("trigger_window_no_any"))
+      }
+
+      return {
+        incognito: incognito === "any" ? undefined : incognito === "incognito",
+        windowTypes: windowTypes,
+        windowStates: windowStates,
+        focusedOnly: focusedOnly
+      }
+    }
+  }))
+
+  const [incognito, setIncognito] = useState("any")
+  const [windowTypes, setWindowTypes] = useState([])
+  const [windowStates, setWindowStates] = useState([])
+  const [focusedOnly, setFocusedOnly] = useState(false)
+
+  // 初始化
+  useEffect(() => {
+    const myConfig =
+      config.match?.triggers?.find((t) => t.trigger === "windowTrigger")?.config ?? {}
+    if (myConfig.incognito === undefined) {
+      setIncognito("any")
+    } else {
+      setIncognito(myConfig.incognito ? "incognito" : "normal")
+    }
+    setWindowTypes(myConfig.windowTypes ?? [])
+    setWindowStates(myConfig.windowStates ?? [])
+    setFocusedOnly(myConfig.focusedOnly === true)
+  }, [config])
+
+  const toggle = (list, key, checked) => {
+    return checked ? [...list, key] : list.filter((t) => t !== key)
+  }
+
+  return (
+    <Style>
+      <Alert message={getLang("trigger_window_desc")} type="info" showIcon />
+
+      <div className="window-setting">
+        <span className="window-setting-title">{getLang("trigger_window_incognito")}</span>
+        <Radio.Group value={incognito} onChange={(e) => setIncognito(e.target.value)}>
+          <Radio value="any">{getLang("trigger_window_incognito_any")}</Radio>
+          <Radio value="incognito">{getLang("trigger_window_incognito_only")}</Radio>
+          <Radio value="normal">{getLang("trigger_window_incognito_exclude")}</Radio>
+        </Radio.Group>
+      </div>
+
+      <div className="window-setting">
+        <span className="window-setting-title">{getLang("trigger_window_type")}</span>
+        {WindowTypes.map((item) => (
+          <CheckableTag
+            key={item.value}
+            checked={windowTypes.includes(item.value)}
+            onChange={(checked) => setWindowTypes(toggle(windowTypes, item.value, checked))}>
+            {item.label}
+          </CheckableTag>
+        ))}
+      </div>
+
+      <div className="window-setting">
+        <span className="window-setting-title">{getLang("trigger_window_state")}</span>
+        {WindowStates.map((item) => (
+          <CheckableTag
+            key={item.value}
+            checked={windowStates.includes(item.value)}
+            onChange={(checked) => setWindowStates(toggle(windowStates, item.value, checked))}>
+            {item.label}
+          </CheckableTag>
+        ))}
+      </div>
+
+      <div className="window-setting">
+        <Checkbox checked={focusedOnly} onChange={(e) => setFocusedOnly(e.target.checked)}>
+          {getLang("trigger_window_focused_only")}
+        </Checkbox>
+      </div>
+    </Style>
+  )
+}
+
+export default memo(forwardRef(WindowTrigger))
+
+const Style = styled.div`
+  .window-setting {
+    margin: 8px 0;
+  }
+
+  .window-setting-title {
+    display: inline-block;
+    min-width: 120px;
+  }
+
+  .ant-tag-checkable-checked {
+    background-color: #108ee9;
+  }
+`
@@ -0,0 +1,140 @@
+import React, { memo, useEffect, useState } from "react"
+
+import { Alert, Button, Tag } from "antd"
+import { styled } from "styled-components"
+
+import { DOMAIN_OVERRIDE_PRIORITY, getRulePriority } from ".../pages/Background/rule/rulePriority"
+import { getLang } from ".../utils/utils"
+import { SortableList } from "../../components/SortableList/"
+import ActionView from "../view/ActionView"
+import MatchView from "../view/MatchView"
+
+/**
+ * 拖拽调整规则的顺序，保存时按顺序设置规则的优先级：越靠前，优先级越高
+ * 域名规则的优先级由覆盖模式决定，固定显示在最前（覆盖模式）或者最后（默认模式），不能拖动
+ */
+const RuleOrder = memo(({ options, configs, domainConfigs, onSave, onCancel }) => {
+  const [items, setItems] = useState(configs)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    setItems(configs)
+  }, [configs])
+
+  const overrideRules = (domainConfigs ?? []).filter(
+    (r) => getRulePriority(r) === DOMAIN_OVERRIDE_PRIORITY
+  )
+  const softRules = (domainConfigs ?? []).filter(
+    (r) => getRulePriority(r) !== DOMAIN_OVERRIDE_PRIORITY
+  )
+
+  const onSaveClick = async () => {
+    setSaving(true)
+    try {
+      await onSave(items.map((item) => item.id))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const renderRule = (rule, priority, label) => {
+    return (
+      <div className="rule-order-item">
+        <Tag className="rule-order-priority" color="blue">
+          {priority}
+        </Tag>
+        <span className="rule-order-label">{label}</span>
+        <div className="rule-order-match">
+          <MatchView config={rule.match} options={options} />
+        </div>
+        <div className="rule-order-action">
+          <ActionView config={rule.action} />
+        </div>
+      </div>
+    )
+  }
+
+  const renderDomainRule = (rule) => {
+    return (
+      <li key={rule.id} className="SortableItem rule-order-fixed">
+        {renderRule(rule, getRulePriority(rule), <Tag>{getLang("rule_order_domain")}</Tag>)}
+      </li>
+    )
+  }
+
+  return (
+    <Style>
+      <Alert type="info" showIcon message={getLang("rule_order_desc")} />
+
+      <ul className="rule-order-fixed-list">{overrideRules.map(renderDomainRule)}</ul>
+      <SortableList
+        items={items}
+        onChange={setItems}
+        renderItem={(item) => (
+          <SortableList.Item id={item.id}>
+            {renderRule(item, items.length - items.indexOf(item), `#${configs.indexOf(item) + 1}`)}
+            <SortableList.DragHandle />
+          </SortableList.Item>
+        )}></SortableList>
+      <ul className="rule-order-fixed-list">{softRules.map(renderDomainRule)}</ul>
+
+      <div className="rule-order-buttons">
+        <Button type="primary" loading={saving} onClick={onSaveClick}>
+          {getLang("rule_order_save")}
+        </Button>
+        <Button onClick={onCancel}>{getLang("rule_order_cancel")}</Button>
+      </div>
+    </Style>
+  )
+})
+
+export default RuleOrder
+
+const Style = styled.div`
+  .SortableList,
+  .rule-order-fixed-list {
+    flex-direction: column;
+    gap: 8px;
+    margin: 8px 0;
+    padding: 0;
+  }
+
+  .rule-order-fixed-list {
+    display: flex;
+  }
+
+  .rule-order-fixed {
+    padding: 12px 8px;
+    opacity: 0.7;
+  }
+
+  .rule-order-item {
+    display: flex;
+    flex: 1;
+    align-items: center;
+    gap: 8px;
+  }
+
+  .rule-order-priority {
+    min-width: 48px;
+    text-align: center;
+  }
+
+  .rule-order-label {
+    min-width: 36px;
+  }
+
+  .rule-order-match {
+    flex: 1;
+  }
+
+  .rule-order-action {
+    width: 200px;
+  }
+
+  .rule-order-buttons {
+    display: flex;
+    gap: 10px;
+    margin: 10px 0 20px 0;
+  }
+`
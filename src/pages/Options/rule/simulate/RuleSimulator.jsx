@@ -0,0 +1,262 @@
+import React, { memo, useState } from "react"
+
+import { Alert, Button, DatePicker, Form, Input, Select, Table, Tag, message } from "antd"
+import { styled } from "styled-components"
+import chromeP from "webext-polyfill-kinda"
+
+import { sendMessage } from ".../utils/messageHelper"
+import { getLang } from ".../utils/utils"
+import { IdleStates } from "../editor/triggers/IdleTrigger/Index"
+import { PlatformOs } from "../editor/triggers/OsTrigger/Index"
+import ActionView from "../view/ActionView"
+import MatchView from "../view/MatchView"
+
+const { Column } = Table
+const { TextArea } = Input
+
+/**
+ * 规则模拟执行：指定 URL、打开的标签页、情景模式、操作系统和日期时间，查看规则的匹配结果和最终的执行任务，不会修改扩展状态
+ */
+const RuleSimulator = memo(({ options, extensions }) => {
+  const [messageApi, contextHolder] = message.useMessage()
+  const [form] = Form.useForm()
+
+  const [running, setRunning] = useState(false)
+  const [report, setReport] = useState(null)
+
+  // 使用浏览器当前打开的标签页
+  const onLoadOpenTabs = async () => {
+    const tabs = await chromeP.tabs.query({})
+    const urls = tabs.map((t) => t.url).filter((url) => url && !url.startsWith("chrome-extension"))
+    form.setFieldsValue({ tabUrls: urls.join("\n") })
+  }
+
+  const onSimulate = async () => {
+    const values = form.getFieldsValue()
+    const tabUrls = (values.tabUrls ?? "")
+      .split("\n")
+      .map((u) => u.trim())
+      .filter((u) => u)
+
+    setRunning(true)
+    try {
+      const response = await sendMessage("rule-simulate", {
+        url: values.url?.trim() ?? "",
+        tabUrls,
+        sceneId: values.sceneId ?? "",
+        os: values.os ?? "",
+        time: values.time ? values.time.valueOf() : undefined,
+        idleState: values.idleState ?? ""
+      })
+      if (response?.state !== "success") {
+        throw new Error(response?.error ?? "simulate failed")
+      }
+      setReport(response.report)
+    } catch (error) {
+      messageApi.error(`${getLang("rule_simulate_failed")} ${error.message}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const getExtName = (id) => {
+    const ext = extensions?.find((e) => e.id === id)
+    return ext ? ext.__attach__?.alias || ext.name : id
+  }
+
+  const getRuleIndex = (ruleId) => {
+    const index = report?.rules.findIndex((r) => r.rule.id === ruleId)
+    return index >= 0 ? `#${index + 1}` : ruleId
+  }
+
+  const renderExtTags = (ids) => {
+    return ids.map((id) => <Tag key={id}>{getExtName(id)}</Tag>)
+  }
+
+  const renderMatchResult = (matchResult, record) => {
+    if (record.skipped) {
+      return <Tag>{getLang(`rule_simulate_skipped_${record.skipped}`)}</Tag>
+    }
+    if (!matchResult) {
+      return null
+    }
+    const flags = ["isCurrentMatch", "isAnyMatch", "isCurrentUrlMatch", "isAnyUrlMatch"]
+    return flags.map((flag) => (
+      <Tag key={flag} color={matchResult[flag] ? "green" : "default"}>
+        {flag}
+      </Tag>
+    ))
+  }
+
+  return (
+    <Style>
+      {contextHolder}
+      <Alert type="info" showIcon message={getLang("rule_simulate_desc")} />
+
+      <Form form={form} layout="vertical" className="simulate-form">
+        <Form.Item label={getLang("rule_simulate_url")} name="url">
+          <Input placeholder="https://example.com/path" />
+        </Form.Item>
+        <Form.Item
+          label={getLang("rule_simulate_tab_urls")}
+          name="tabUrls"
+          extra={
+            <Button type="link" size="small" onClick={onLoadOpenTabs}>
+              {getLang("rule_simulate_load_open_tabs")}
+            </Button>
+          }>
+          <TextArea rows={3} />
+        </Form.Item>
+        <div className="simulate-form-row">
+          <Form.Item label={getLang("rule_trigger_scene_name")} name="sceneId">
+            <Select
+              allowClear
+              options={(options.scenes ?? []).map((s) => ({ label: s.name, value: s.id }))}
+            />
+          </Form.Item>
+          <Form.Item label={getLang("rule_trigger_os_name")} name="os">
+            <Select allowClear options={PlatformOs} />
+          </Form.Item>
+          <Form.Item label={getLang("rule_simulate_time")} name="time">
+            <DatePicker showTime={{ format: "HH:mm" }} format="YYYY-MM-DD HH:mm" />
+          </Form.Item>
+          <Form.Item label={getLang("rule_trigger_idle_name")} name="idleState">
+            <Select allowClear options={IdleStates} />
+          </Form.Item>
+        </div>
+        <Button type="primary" loading={running} onClick={onSimulate}>
+          {getLang("rule_simulate_run")}
+        </Button>
+      </Form>
+
+      {report && (
+        <>
+          <h3>{getLang("rule_simulate_rules")}</h3>
+          <Table
+            size="small"
+            dataSource={report.rules}
+            rowKey={(r) => r.rule.id}
+            pagination={false}>
+            <Column
+              title={getLang("column_index")}
+              width={60}
+              align="center"
+              render={(_, record, index) => `#${index + 1}`}
+            />
+            <Column
+              title={getLang("rule_column_match")}
+              dataIndex={["rule", "match"]}
+              render={(match) => <MatchView config={match} options={options} />}
+            />
+            <Column
+              title={getLang("rule_column_action")}
+              dataIndex={["rule", "action"]}
+              width={200}
+              render={(action) => <ActionView config={action} />}
+            />
+            <Column
+              title={getLang("rule_simulate_match_result")}
+              dataIndex="matchResult"
+              render={renderMatchResult}
+            />
+          </Table>
+
+          <h3>{getLang("rule_simulate_tasks")}</h3>
+          <Table
+            size="small"
+            dataSource={report.tasks.map((task, index) => ({
+              ...task,
+              // 自定义动作的规则，在一轮中可能同时产生启用和禁用任务
+              key: `${task.ruleId}-${task.executeType}-${index}`
+            }))}
+            pagination={false}>
+            <Column
+              title={getLang("rule_simulate_rule")}
+              dataIndex="ruleId"
+              width={80}
+              render={getRuleIndex}
+            />
+            <Column
+              title={getLang("rule_simulate_execute_type")}
+              dataIndex="executeType"
+              width={100}
+              render={(type) => (
+                <Tag color={type === "enable" ? "green" : "red"}>
+                  {getLang(`rule_simulate_execute_${type}`)}
+                </Tag>
+              )}
+            />
+            <Column title="" dataIndex="targetExtensions" render={renderExtTags} />
+            <Column
+              title={getLang("rule_simulate_priority")}
+              dataIndex="priority"
+              width={120}
+              render={(priority, t) =>
+                t.notMatch ? `${priority} (${getLang("rule_simulate_not_match")})` : priority
+              }
+            />
+          </Table>
+
+          {report.droppedTasks.length > 0 && (
+            <>
+              <h3>{getLang("rule_simulate_dropped_tasks")}</h3>
+              <Table
+                size="small"
+                dataSource={report.droppedTasks}
+                rowKey={(r) => `${r.ruleId}-${r.extensionId}`}
+                pagination={false}>
+                <Column
+                  title={getLang("rule_simulate_extension")}
+                  dataIndex="extensionId"
+                  render={getExtName}
+                />
+                <Column
+                  title={getLang("rule_simulate_rule")}
+                  dataIndex="ruleId"
+                  width={80}
+                  render={getRuleIndex}
+                />
+                <Column
+                  title={getLang("rule_simulate_execute_type")}
+                  dataIndex="executeType"
+                  width={100}
+                  render={(type) => getLang(`rule_simulate_execute_${type}`)}
+                />
+                <Column
+                  title={getLang("rule_simulate_winner")}
+                  dataIndex="winnerRuleId"
+                  render={(ruleId, record) =>
+                    `${getRuleIndex(ruleId)} ${getLang(
+                      `rule_simulate_execute_${record.winnerExecuteType}`
+                    )}`
+                  }
+                />
+              </Table>
+            </>
+          )}
+        </>
+      )}
+    </Style>
+  )
+})
+
+export default RuleSimulator
+
+const Style = styled.div`
+  .simulate-form {
+    margin: 16px 0;
+  }
+
+  .simulate-form-row {
+    display: flex;
+    gap: 16px;
+
+    .ant-form-item {
+      min-width: 180px;
+    }
+  }
+
+  h3 {
+    margin: 20px 0 8px 0;
+  }
+`
@@ -0,0 +1,257 @@
+import React, { memo, useCallback, useEffect, useMemo, useState } from "react"
+
+import { Alert, Button, Checkbox, Popconfirm, Space, Table, Tag, Tooltip, message } from "antd"
+import { styled } from "styled-components"
+import chromeP from "webext-polyfill-kinda"
+
+import {
+  RULE_IDLE_DAYS,
+  findRuleIssues,
+  removeMissingReferences
+} from ".../pages/Background/rule/ruleStats"
+import { sendMessage } from ".../utils/messageHelper"
+import { getLang } from ".../utils/utils"
+import { formatTimeAbsolute, formatTimeRelative } from "../../history/formatter"
+import MatchView from "../view/MatchView"
+
+const { Column } = Table
+
+const IssueColors = {
+  idle: "orange",
+  missingScene: "red",
+  missingGroup: "red",
+  missingExtension: "red"
+}
+
+/**
+ * 规则统计：每条规则的匹配次数、启用禁用扩展的次数、最近一次生效的时间；
+ * 标记长时间没有生效、引用了已删除的情景模式或分组、目标扩展已卸载的规则，并提供清理操作
+ */
+const RuleStats = memo(({ options, configs, operation }) => {
+  const [messageApi, contextHolder] = message.useMessage()
+
+  const [stats, setStats] = useState({})
+  const [installedIds, setInstalledIds] = useState()
+  const [onlyIssues, setOnlyIssues] = useState(false)
+
+  const load = useCallback(async () => {
+    const response = await sendMessage("rule-stats")
+    if (response?.state === "success") {
+      setStats(response.stats)
+    } else {
+      messageApi.error(response?.error ?? "load rule stats failed")
+    }
+  }, [messageApi])
+
+  // 规则变化之后，重新读取统计
+  useEffect(() => {
+    load()
+    // 检查目标扩展是否已经卸载，需要全部类型的扩展（包括应用和主题）
+    chromeP.management.getAll().then((list) => setInstalledIds(list.map((e) => e.id)))
+  }, [configs, load])
+
+  const records = useMemo(() => {
+    const refs = {
+      sceneIds: (options.scenes ?? []).map((s) => s.id),
+      groupIds: (options.groups ?? []).map((g) => g.id),
+      extensionIds: installedIds ?? []
+    }
+    return (configs ?? [])
+      .map((rule, index) => {
+        const stat = stats[rule.id]
+        let issues = findRuleIssues(rule, stat, refs)
+        if (!installedIds) {
+          // 扩展列表还没有加载完成时，不判断扩展是否已卸载
+          issues = issues.filter((i) => i.type !== "missingExtension")
+        }
+        return { rule, index, stat, issues }
+      })
+      .filter((r) => !onlyIssues || r.issues.length > 0)
+  }, [configs, stats, options, installedIds, onlyIssues])
+
+  const issueCount = records.filter((r) => r.issues.length > 0).length
+
+  const onChanged = async (action) => {
+    try {
+      await action()
+      sendMessage("rule-config-changed")
+    } catch (error) {
+      console.error("清理规则", error)
+      messageApi.error(error.message)
+    }
+  }
+
+  const onDisable = (rule) => {
+    onChanged(() => operation.update({ ...rule, enable: false }))
+  }
+
+  const onDelete = (rule) => {
+    onChanged(() => operation.delete(rule.id))
+  }
+
+  const onRemoveReferences = (rule, issue) => {
+    onChanged(() => operation.update(removeMissingReferences(rule, issue)))
+  }
+
+  const onReset = async () => {
+    const response = await sendMessage("rule-stats-reset")
+    if (response?.state === "success") {
+      messageApi.success(getLang("rule_stats_reset_done"))
+      load()
+    } else {
+      messageApi.error(response?.error ?? "reset rule stats failed")
+    }
+  }
+
+  const renderTime = (time) => {
+    if (!time) {
+      return <span className="stats-never">{getLang("rule_stats_never")}</span>
+    }
+    return (
+      <Tooltip title={formatTimeAbsolute(time)}>
+        <span>{formatTimeRelative(time)}</span>
+      </Tooltip>
+    )
+  }
+
+  const renderIssues = (issues) => {
+    if (issues.length === 0) {
+      return <Tag color="green">{getLang("rule_stats_healthy")}</Tag>
+    }
+    return issues.map((issue) => (
+      <Tooltip key={issue.type} title={issue.ids.join(", ")}>
+        <Tag color={IssueColors[issue.type]}>
+          {getLang(`rule_stats_issue_${issue.type}`, String(RULE_IDLE_DAYS))}
+        </Tag>
+      </Tooltip>
+    ))
+  }
+
+  const renderOperation = (_, { rule, issues }) => {
+    return (
+      <Space wrap size={4}>
+        {issues
+          .filter((issue) => issue.type !== "idle")
+          .map((issue) => (
+            <Button key={issue.type} size="small" onClick={() => onRemoveReferences(rule, issue)}>
+              {getLang(`rule_stats_cleanup_${issue.type}`)}
+            </Button>
+          ))}
+        {issues.length > 0 && rule.enable && (
+          <Button size="small" onClick={() => onDisable(rule)}>
+            {getLang("rule_stats_disable")}
+          </Button>
+        )}
+        {issues.length > 0 && (
+          <Popconfirm
+            title={getLang("rule_stats_delete_confirm")}
+            onConfirm={() => onDelete(rule)}
+            okText="Yes"
+            cancelText="Cancel">
+            <Button size="small" danger>
+              {getLang("rule_stats_delete")}
+            </Button>
+          </Popconfirm>
+        )}
+      </Space>
+    )
+  }
+
+  return (
+    <Style>
+      {contextHolder}
+      <Alert type="info" showIcon message={getLang("rule_stats_desc", String(RULE_IDLE_DAYS))} />
+
+      <div className="stats-tools">
+        <Checkbox checked={onlyIssues} onChange={(e) => setOnlyIssues(e.target.checked)}>
+          {getLang("rule_stats_only_issues")}
+        </Checkbox>
+        {!onlyIssues && issueCount > 0 && (
+          <span className="stats-issue-count">
+            {getLang("rule_stats_issue_count", String(issueCount))}
+          </span>
+        )}
+        <Popconfirm
+          title={getLang("rule_stats_reset_confirm")}
+          onConfirm={onReset}
+          okText="Yes"
+          cancelText="Cancel">
+          <Button size="small">{getLang("rule_stats_reset")}</Button>
+        </Popconfirm>
+      </div>
+
+      <Table
+        size="small"
+        dataSource={records}
+        rowKey={(r) => r.rule.id}
+        pagination={{ position: ["bottomCenter"], hideOnSinglePage: true }}>
+        <Column
+          title={getLang("column_index")}
+          dataIndex="index"
+          width={60}
+          align="center"
+          render={(index) => index + 1}
+        />
+        <Column
+          title={getLang("rule_column_match")}
+          dataIndex="rule"
+          render={(rule) => (
+            <div className={rule.enable ? "" : "stats-rule-disabled"}>
+              <MatchView config={rule.match} options={options} />
+            </div>
+          )}
+        />
+        <Column
+          title={getLang("rule_stats_match_count")}
+          dataIndex="stat"
+          width={90}
+          align="center"
+          render={(stat) => stat?.matchCount ?? 0}
+        />
+        <Column
+          title={getLang("rule_stats_toggle_count")}
+          dataIndex="stat"
+          width={90}
+          align="center"
+          render={(stat) => stat?.toggleCount ?? 0}
+        />
+        <Column
+          title={getLang("rule_stats_last_fired")}
+          dataIndex="stat"
+          width={120}
+          render={(stat) => renderTime(stat?.lastFiredAt)}
+        />
+        <Column
+          title={getLang("rule_stats_issues")}
+          dataIndex="issues"
+          width={200}
+          render={renderIssues}
+        />
+        <Column title={getLang("rule_column_operation")} width={220} render={renderOperation} />
+      </Table>
+    </Style>
+  )
+})
+
+export default RuleStats
+
+const Style = styled.div`
+  .stats-tools {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    margin: 16px 0;
+  }
+
+  .stats-issue-count {
+    color: #d46b08;
+  }
+
+  .stats-never {
+    color: #999;
+  }
+
+  .stats-rule-disabled {
+    opacity: 0.5;
+  }
+`
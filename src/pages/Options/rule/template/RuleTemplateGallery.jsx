@@ -0,0 +1,168 @@
+import React, { memo, useEffect, useState } from "react"
+
+import { DeleteOutlined } from "@ant-design/icons"
+import { Button, Empty, Form, List, Modal, Popconfirm, Select, message } from "antd"
+import classNames from "classnames"
+import { styled } from "styled-components"
+
+import storage from ".../storage/sync"
+import { getLang } from ".../utils/utils"
+import {
+  BuiltInTemplates,
+  deleteUserTemplate,
+  getTemplateParams,
+  getUserTemplates,
+  instantiateTemplate
+} from "./ruleTemplates"
+
+const getTemplateName = (template) => {
+  return template.builtIn ? getLang(`rule_template_${template.id}`) : template.name
+}
+
+const getTemplateDesc = (template) => {
+  return template.builtIn ? getLang(`rule_template_${template.id}_desc`) : template.description
+}
+
+/**
+ * 规则模板库：选择内置模板或者用户保存的模板，填写目标分组和网站之后，打开编辑器
+ */
+const RuleTemplateGallery = memo(({ open, options, onUse, onCancel }) => {
+  const [messageApi, contextHolder] = message.useMessage()
+  const [form] = Form.useForm()
+
+  const [userTemplates, setUserTemplates] = useState([])
+  const [selected, setSelected] = useState(null)
+
+  const groupList = storage.helper.formatGroups(options.groups ?? [])
+  const params = selected ? getTemplateParams(selected) : {}
+
+  useEffect(() => {
+    if (!open) {
+      return
+    }
+    getUserTemplates().then(setUserTemplates)
+    setSelected(null)
+  }, [open])
+
+  const onDelete = async (template) => {
+    await deleteUserTemplate(template.id)
+    setUserTemplates(userTemplates.filter((t) => t.id !== template.id))
+    if (selected?.id === template.id) {
+      setSelected(null)
+    }
+  }
+
+  const onOk = async () => {
+    if (!selected) {
+      messageApi.warning(getLang("rule_template_select_tip"))
+      return
+    }
+    // 没有占位符的模板不显示参数表单
+    const values = params.group || params.domains ? await form.validateFields() : {}
+    onUse(instantiateTemplate(selected, values))
+  }
+
+  const renderItem = (template) => (
+    <List.Item
+      className={classNames("template-item", { "template-item-selected": selected === template })}
+      onClick={() => setSelected(template)}
+      actions={
+        template.builtIn
+          ? []
+          : [
+              <Popconfirm
+                key="delete"
+                title={getLang("rule_template_delete_confirm")}
+                onConfirm={() => onDelete(template)}
+                okText="Yes"
+                cancelText="Cancel">
+                <Button
+                  type="text"
+                  size="small"
+                  icon={<DeleteOutlined />}
+                  onClick={(e) => e.stopPropagation()}
+                />
+              </Popconfirm>
+            ]
+      }>
+      <List.Item.Meta title={getTemplateName(template)} description={getTemplateDesc(template)} />
+    </List.Item>
+  )
+
+  return (
+    <Modal
+      title={getLang("rule_template_title")}
+      open={open}
+      width={640}
+      okText={getLang("rule_template_use")}
+      onOk={onOk}
+      onCancel={onCancel}
+      destroyOnClose>
+      {contextHolder}
+      <Style>
+        <h4>{getLang("rule_template_builtin")}</h4>
+        <List size="small" bordered dataSource={BuiltInTemplates} renderItem={renderItem} />
+
+        <h4>{getLang("rule_template_mine")}</h4>
+        {userTemplates.length === 0 ? (
+          <Empty
+            image={Empty.PRESENTED_IMAGE_SIMPLE}
+            description={getLang("rule_template_mine_empty")}
+          />
+        ) : (
+          <List size="small" bordered dataSource={userTemplates} renderItem={renderItem} />
+        )}
+
+        {selected && (params.group || params.domains) && (
+          <Form
+            key={selected.id}
+            form={form}
+            layout="vertical"
+            className="template-params"
+            initialValues={{ domains: selected.defaultDomains ?? [] }}>
+            {params.group && (
+              <Form.Item
+                name="groupId"
+                label={getLang("rule_template_group")}
+                rules={[{ required: true, message: getLang("rule_template_group_required") }]}>
+                <Select
+                  options={groupList.map((g) => ({ label: g.name, value: g.id }))}
+                  placeholder={getLang("rule_template_group")}
+                />
+              </Form.Item>
+            )}
+            {params.domains && (
+              <Form.Item
+                name="domains"
+                label={getLang("rule_template_domains")}
+                extra={getLang("rule_template_domains_tip")}
+                rules={[{ required: true, message: getLang("rule_template_domains_required") }]}>
+                <Select mode="tags" open={false} tokenSeparators={[",", " "]} />
+              </Form.Item>
+            )}
+          </Form>
+        )}
+      </Style>
+    </Modal>
+  )
+})
+
+export default RuleTemplateGallery
+
+const Style = styled.div`
+  h4 {
+    margin: 12px 0 8px 0;
+  }
+
+  .template-item {
+    cursor: pointer;
+  }
+
+  .template-item-selected {
+    background-color: #e6f4ff;
+  }
+
+  .template-params {
+    margin-top: 16px;
+  }
+`
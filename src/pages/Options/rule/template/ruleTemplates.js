@@ -0,0 +1,168 @@
+import { nanoid } from "nanoid"
+
+import { getConditionTriggers } from ".../pages/Background/rule/handlers/conditionHandler"
+import { LocalOptions } from ".../storage/local"
+
+/**
+ * 占位符：URL 触发条件中的网站
+ */
+export const DOMAINS_PLACEHOLDER = "{{domains}}"
+
+/**
+ * 占位符：目标分组
+ */
+export const GROUP_PLACEHOLDER = "{{group}}"
+
+/**
+ * 用户保存的模板，保存在 LocalOptions 中的 key
+ */
+const USER_TEMPLATES_STORAGE_KEY = "ruleTemplates"
+
+const buildUrlTrigger = () => ({
+  trigger: "urlTrigger",
+  config: { matchMethod: "wildcard", matchUrl: [DOMAINS_PLACEHOLDER], useFullUrl: false }
+})
+
+const buildTarget = () => ({ groups: [GROUP_PLACEHOLDER], extensions: [] })
+
+/**
+ * 内置模板，名称和描述来自多语言文本 rule_template_{id} 与 rule_template_{id}_desc
+ */
+export const BuiltInTemplates = [
+  {
+    id: "devOnLocal",
+    builtIn: true,
+    defaultDomains: ["localhost", "127.0.0.1", "*.test"],
+    rule: {
+      version: 2,
+      enable: true,
+      match: { relationship: "and", triggers: [buildUrlTrigger()] },
+      target: buildTarget(),
+      action: { actionType: "openOnlyWhenMatched" }
+    }
+  },
+  {
+    id: "shoppingOnStores",
+    builtIn: true,
+    defaultDomains: ["amazon.", "ebay.com", "aliexpress.com", "taobao.com", "jd.com"],
+    rule: {
+      version: 2,
+      enable: true,
+      match: { relationship: "and", triggers: [buildUrlTrigger()] },
+      target: buildTarget(),
+      action: { actionType: "openOnlyWhenMatched" }
+    }
+  },
+  {
+    id: "heavyOffInCall",
+    builtIn: true,
+    defaultDomains: ["meet.google.com", "zoom.us", "teams.microsoft.com", "whereby.com"],
+    rule: {
+      version: 2,
+      enable: true,
+      match: { relationship: "and", triggers: [buildUrlTrigger()] },
+      target: buildTarget(),
+      action: { actionType: "closeOnlyWhenMatched" }
+    }
+  },
+  {
+    id: "workHours",
+    builtIn: true,
+    rule: {
+      version: 2,
+      enable: true,
+      match: {
+        relationship: "and",
+        triggers: [
+          {
+            trigger: "periodTrigger",
+            config: { periods: [{ start: "09:00", end: "18:00" }], days: [1, 2, 3, 4, 5] }
+          }
+        ]
+      },
+      target: buildTarget(),
+      action: { actionType: "openOnlyWhenMatched" }
+    }
+  }
+]
+
+/**
+ * 模板中使用了哪些占位符
+ */
+export function getTemplateParams(template) {
+  const text = JSON.stringify(template.rule)
+  return {
+    domains: text.includes(DOMAINS_PLACEHOLDER),
+    group: text.includes(GROUP_PLACEHOLDER)
+  }
+}
+
+/**
+ * 网站转换为通配符：已经是通配符或者完整 URL 时保持不变，否则匹配包含此网站的 URL
+ */
+export function toDomainPattern(domain) {
+  const text = domain.trim()
+  if (text.includes("*") || text.includes("://")) {
+    return text
+  }
+  return `*${text}*`
+}
+
+/**
+ * 使用模板创建新的规则（没有 id），替换其中的占位符
+ */
+export function instantiateTemplate(template, { domains, groupId } = {}) {
+  const rule = JSON.parse(JSON.stringify(template.rule))
+  delete rule.id
+  delete rule.priority
+
+  const patterns = (domains ?? []).filter((d) => d.trim()).map(toDomainPattern)
+  const triggers = [...(rule.match?.triggers ?? []), ...getConditionTriggers(rule.match?.condition)]
+  for (const trigger of triggers) {
+    if (trigger.trigger === "urlTrigger" && trigger.config?.matchUrl) {
+      trigger.config.matchUrl = trigger.config.matchUrl.flatMap((url) =>
+        url === DOMAINS_PLACEHOLDER ? patterns : [url]
+      )
+    }
+  }
+
+  if (rule.target?.groups) {
+    rule.target.groups = rule.target.groups.flatMap((id) =>
+      id === GROUP_PLACEHOLDER ? (groupId ? [groupId] : []) : [id]
+    )
+  }
+
+  return rule
+}
+
+/**
+ * 用户保存的模板，最新的在最前
+ */
+export async function getUserTemplates() {
+  const local = new LocalOptions()
+  return (await local.getValue(USER_TEMPLATES_STORAGE_KEY)) ?? []
+}
+
+/**
+ * 把规则保存为模板
+ */
+export async function addUserTemplate(name, rule) {
+  const copy = JSON.parse(JSON.stringify(rule))
+  delete copy.id
+  delete copy.priority
+
+  const template = { id: nanoid(), name, rule: copy, createdAt: Date.now() }
+  const local = new LocalOptions()
+  const templates = await getUserTemplates()
+  await local.setValue(USER_TEMPLATES_STORAGE_KEY, [template, ...templates])
+  return template
+}
+
+export async function deleteUserTemplate(id) {
+  const local = new LocalOptions()
+  const templates = await getUserTemplates()
+  await local.setValue(
+    USER_TEMPLATES_STORAGE_KEY,
+    templates.filter((t) => t.id !== id)
+  )
+}
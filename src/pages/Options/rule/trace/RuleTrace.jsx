@@ -0,0 +1,382 @@
+import React, { memo, useEffect, useMemo, useState } from "react"
+
+import { Alert, Button, Checkbox, Input, Popconfirm, Select, Table, Tag, message } from "antd"
+import { styled } from "styled-components"
+
+import { TraceRepo } from ".../pages/Background/rule/trace/TraceRepo"
+import { downloadFile, formatDate, getLang } from ".../utils/utils"
+import { formatTimeAbsolute } from "../../history/formatter"
+import { triggerModes } from "../editor/ConditionGroup"
+
+const { Column } = Table
+const { Search } = Input
+
+const TraceEvents = [
+  "init",
+  "rulesChanged",
+  "sceneChanged",
+  "tabUpdated",
+  "tabClosed",
+  "windowClosed",
+  "periodBoundary",
+  "idleChanged",
+  "tabGroupChanged",
+  "windowChanged",
+  "extensionInstalled",
+  "sceneAutoCheck",
+  "sceneAutoSwitched",
+  "automationResumed",
+  "manualOverrideReleased"
+]
+
+const ExecutionResultColors = {
+  done: "green",
+  pending: "blue",
+  cancelled: "default",
+  lingering: "orange",
+  skipped: "default",
+  overridden: "purple",
+  failed: "red"
+}
+
+/**
+ * 规则执行记录：每一次规则执行的触发事件、当前 URL、每条规则的匹配结果、执行任务和最终对扩展的操作
+ */
+const RuleTrace = memo(({ configs, extensions }) => {
+  const [messageApi, contextHolder] = message.useMessage()
+
+  const [records, setRecords] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  // 筛选条件
+  const [events, setEvents] = useState([])
+  const [extensionId, setExtensionId] = useState()
+  const [ruleId, setRuleId] = useState()
+  const [searchWord, setSearchWord] = useState("")
+  const [onlyExecuted, setOnlyExecuted] = useState(false)
+
+  const load = async () => {
+    setLoading(true)
+    try {
+      setRecords(await new TraceRepo().getAll())
+    } catch (error) {
+      console.error("读取规则执行记录", error)
+      messageApi.error(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    load()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  const shownRecords = useMemo(() => {
+    const word = searchWord.trim().toLowerCase()
+    return records.filter((record) => {
+      if (events.length > 0 && !record.events.some((e) => events.includes(e))) {
+        return false
+      }
+      if (onlyExecuted && record.executions.length === 0) {
+        return false
+      }
+      if (word && !record.url?.toLowerCase().includes(word)) {
+        return false
+      }
+      if (ruleId && !record.rules.some((r) => r.ruleId === ruleId && !r.skipped)) {
+        return false
+      }
+      if (extensionId) {
+        const related = [
+          ...record.tasks.flatMap((t) => t.targetExtensions),
+          ...record.droppedTasks.map((t) => t.extensionId),
+          ...record.executions.map((e) => e.extensionId)
+        ]
+        if (!related.includes(extensionId)) {
+          return false
+        }
+      }
+      return true
+    })
+  }, [records, events, extensionId, ruleId, searchWord, onlyExecuted])
+
+  const onExport = () => {
+    const content = JSON.stringify(shownRecords, null, 2)
+    downloadFile(
+      new Blob([content], { type: "application/json" }),
+      `rule_trace_${formatDate(new Date())}.json`
+    )
+  }
+
+  const onClear = async () => {
+    await new TraceRepo().clearAll()
+    setRecords([])
+  }
+
+  const getExtName = (id) => {
+    const ext = extensions?.find((e) => e.id === id)
+    return ext ? ext.__attach__?.alias || ext.name : id
+  }
+
+  const getRuleLabel = (id) => {
+    const index = configs?.findIndex((c) => c.id === id) ?? -1
+    return index >= 0 ? `#${index + 1}` : id
+  }
+
+  const getTriggerLabel = (trigger) => {
+    return triggerModes.find((m) => m.key === trigger)?.label ?? trigger
+  }
+
+  const renderExecuteType = (type) => {
+    return (
+      <Tag color={type === "enable" ? "green" : "red"}>
+        {getLang(`rule_simulate_execute_${type}`)}
+      </Tag>
+    )
+  }
+
+  const renderExecutions = (executions) => {
+    return executions.map((e, index) => (
+      <Tag key={index} color={ExecutionResultColors[e.result]} title={e.error}>
+        {`${getLang(`rule_simulate_execute_${e.executeType}`)} ${getExtName(e.extensionId)}`}
+        <span className="trace-result">{getLang(`rule_trace_result_${e.result}`)}</span>
+      </Tag>
+    ))
+  }
+
+  const renderDetail = (record) => {
+    const rules = record.rules.filter((r) => !r.skipped)
+    return (
+      <div className="trace-detail">
+        <h4>{getLang("rule_simulate_rules")}</h4>
+        <Table size="small" dataSource={rules} rowKey="ruleId" pagination={false}>
+          <Column
+            title={getLang("rule_simulate_rule")}
+            dataIndex="ruleId"
+            width={80}
+            render={getRuleLabel}
+          />
+          <Column
+            title={getLang("rule_simulate_match_result")}
+            width={220}
+            render={(_, r) =>
+              ["isCurrentMatch", "isAnyMatch", "isClosedMatch"]
+                .filter((flag) => r[flag] !== undefined)
+                .map((flag) => (
+                  <Tag key={flag} color={r[flag] ? "green" : "default"}>
+                    {flag}
+                  </Tag>
+                ))
+            }
+          />
+          <Column
+            title={getLang("rule_trace_triggers")}
+            dataIndex="triggers"
+            render={(triggers) =>
+              triggers.map((t, index) => (
+                <Tag key={index} color={t.match ? "green" : "default"}>
+                  {getTriggerLabel(t.trigger)}
+                </Tag>
+              ))
+            }
+          />
+        </Table>
+
+        <h4>{getLang("rule_simulate_tasks")}</h4>
+        <Table
+          size="small"
+          dataSource={record.tasks}
+          rowKey={(t) => `${t.ruleId}-${t.executeType}`}
+          pagination={false}>
+          <Column
+            title={getLang("rule_simulate_rule")}
+            dataIndex="ruleId"
+            width={80}
+            render={getRuleLabel}
+          />
+          <Column
+            title={getLang("rule_simulate_execute_type")}
+            dataIndex="executeType"
+            width={100}
+            render={renderExecuteType}
+          />
+          <Column
+            title=""
+            dataIndex="targetExtensions"
+            render={(ids) => ids.map((id) => <Tag key={id}>{getExtName(id)}</Tag>)}
+          />
+          <Column
+            title={getLang("rule_simulate_priority")}
+            dataIndex="priority"
+            width={120}
+            render={(priority, t) =>
+              t.notMatch ? `${priority} (${getLang("rule_simulate_not_match")})` : priority
+            }
+          />
+        </Table>
+
+        {record.droppedTasks.length > 0 && (
+          <>
+            <h4>{getLang("rule_simulate_dropped_tasks")}</h4>
+            <Table
+              size="small"
+              dataSource={record.droppedTasks}
+              rowKey={(t) => `${t.ruleId}-${t.extensionId}`}
+              pagination={false}>
+              <Column
+                title={getLang("rule_simulate_extension")}
+                dataIndex="extensionId"
+                render={getExtName}
+              />
+              <Column
+                title={getLang("rule_simulate_rule")}
+                dataIndex="ruleId"
+                width={80}
+                render={getRuleLabel}
+              />
+              <Column
+                title={getLang("rule_simulate_execute_type")}
+                dataIndex="executeType"
+                width={100}
+                render={renderExecuteType}
+              />
+              <Column
+                title={getLang("rule_simulate_winner")}
+                dataIndex="winnerRuleId"
+                render={(id, t) =>
+                  `${getRuleLabel(id)} ${getLang(`rule_simulate_execute_${t.winnerExecuteType}`)}`
+                }
+              />
+            </Table>
+          </>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <Style>
+      {contextHolder}
+      <Alert type="info" showIcon message={getLang("rule_trace_desc")} />
+
+      <div className="trace-tools">
+        <Search
+          className="trace-search"
+          placeholder="URL"
+          allowClear
+          onSearch={setSearchWord}
+          onChange={(e) => setSearchWord(e.target.value)}
+        />
+        <Select
+          className="trace-filter"
+          mode="multiple"
+          allowClear
+          placeholder={getLang("rule_trace_event")}
+          value={events}
+          onChange={setEvents}
+          options={TraceEvents.map((e) => ({ label: getLang(`rule_trace_event_${e}`), value: e }))}
+        />
+        <Select
+          className="trace-filter"
+          allowClear
+          showSearch
+          optionFilterProp="label"
+          placeholder={getLang("rule_simulate_rule")}
+          value={ruleId}
+          onChange={setRuleId}
+          options={(configs ?? []).map((c, index) => ({ label: `#${index + 1}`, value: c.id }))}
+        />
+        <Select
+          className="trace-filter"
+          allowClear
+          showSearch
+          optionFilterProp="label"
+          placeholder={getLang("rule_simulate_extension")}
+          value={extensionId}
+          onChange={setExtensionId}
+          options={(extensions ?? []).map((e) => ({ label: getExtName(e.id), value: e.id }))}
+        />
+        <Checkbox checked={onlyExecuted} onChange={(e) => setOnlyExecuted(e.target.checked)}>
+          {getLang("rule_trace_only_executed")}
+        </Checkbox>
+        <div className="trace-tools-right">
+          <Button onClick={load}>{getLang("rule_trace_refresh")}</Button>
+          <Button onClick={onExport} disabled={shownRecords.length === 0}>
+            {getLang("rule_trace_export")}
+          </Button>
+          <Popconfirm
+            title={getLang("rule_trace_clear")}
+            description={getLang("rule_trace_clear_confirm")}
+            onConfirm={onClear}
+            okText="Yes"
+            cancelText="No">
+            <Button>{getLang("rule_trace_clear")}</Button>
+          </Popconfirm>
+        </div>
+      </div>
+
+      <Table
+        size="small"
+        rowKey="id"
+        loading={loading}
+        dataSource={shownRecords}
+        pagination={{ pageSize: 50, showSizeChanger: false }}
+        expandable={{ expandedRowRender: renderDetail, expandRowByClick: true }}>
+        <Column
+          title={getLang("column_time")}
+          dataIndex="timestamp"
+          width={150}
+          render={formatTimeAbsolute}
+        />
+        <Column
+          title={getLang("rule_trace_event")}
+          dataIndex="events"
+          width={160}
+          render={(list) => list.map((e) => <Tag key={e}>{getLang(`rule_trace_event_${e}`)}</Tag>)}
+        />
+        <Column title="URL" dataIndex="url" ellipsis />
+        <Column
+          title={getLang("rule_trace_executions")}
+          dataIndex="executions"
+          render={renderExecutions}
+        />
+      </Table>
+    </Style>
+  )
+})
+
+export default RuleTrace
+
+const Style = styled.div`
+  .trace-tools {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 8px;
+    margin: 16px 0;
+  }
+
+  .trace-search {
+    width: 220px;
+  }
+
+  .trace-filter {
+    min-width: 160px;
+  }
+
+  .trace-tools-right {
+    display: flex;
+    gap: 8px;
+    margin-left: auto;
+  }
+
+  .trace-result {
+    margin-left: 4px;
+    opacity: 0.7;
+  }
+
+  .trace-detail h4 {
+    margin: 12px 0 6px 0;
+  }
+`
@@ -29,6 +29,11 @@ const ActionView = memo(({ config }) => {
   if (config.showOnTheTop) {
   }
 
+  const extraCount = config.extraActions?.length ?? 0
+  if (label && extraCount > 0) {
+    label = `${label} & ${getLang("rule_extra_action_count", String(extraCount))}`
+  }
+
   if (label) {
     return <span>{label}</span>
   } else {
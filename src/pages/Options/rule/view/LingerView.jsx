@@ -0,0 +1,52 @@
+import React, { memo, useEffect, useState } from "react"
+
+import { Tag } from "antd"
+
+import { getLang } from ".../utils/utils"
+
+/**
+ * 规则中等待延迟禁用（linger）的扩展，显示剩余时间，例如 "disabling in 7:32"
+ * @param items 当前规则等待中的延迟禁用 { extId, closeAt }
+ * @param extensions 全部扩展
+ */
+const LingerView = memo(({ items, extensions }) => {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (!items || items.length === 0) {
+      return
+    }
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [items])
+
+  if (!items || items.length === 0) {
+    return null
+  }
+
+  return (
+    <div>
+      {items.map((item) => {
+        const ext = extensions?.find((e) => e.id === item.extId)
+        const name = ext ? ext.__attach__?.alias || ext.name : item.extId
+        return (
+          <Tag key={item.extId} color="orange">
+            {getLang("rule_view_lingering", name, formatRemaining(item.closeAt - now))}
+          </Tag>
+        )
+      })}
+    </div>
+  )
+})
+
+export default LingerView
+
+/**
+ * 剩余时间，m:ss
+ */
+function formatRemaining(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000))
+  const minute = Math.floor(seconds / 60)
+  const second = seconds % 60
+  return `${minute}:${String(second).padStart(2, "0")}`
+}
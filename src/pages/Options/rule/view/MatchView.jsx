@@ -2,7 +2,17 @@ import React, { memo } from "react"
 
 import { styled } from "styled-components"
 
+import {
+  getMatchCondition,
+  isConditionGroup
+} from ".../pages/Background/rule/handlers/conditionHandler"
+import { IdleStates } from ".../pages/Options/rule/editor/triggers/IdleTrigger/Index"
 import { PlatformOs } from ".../pages/Options/rule/editor/triggers/OsTrigger/Index"
+import { TabGroupColors } from ".../pages/Options/rule/editor/triggers/TabGroupTrigger/Index"
+import {
+  WindowStates,
+  WindowTypes
+} from ".../pages/Options/rule/editor/triggers/WindowTrigger/Index"
 import { getLang } from ".../utils/utils"
 
 /**
@@ -15,26 +25,69 @@ const MatchView = memo(({ config, options }) => {
     return <span className="error-text">ERROR</span>
   }
 
-  const tips = []
-
-  const urlTrigger = config.triggers.find((t) => t.trigger === "urlTrigger")
-  if (urlTrigger) {
-    if (urlTrigger.config.matchUrl.length === 1) {
-      tips.push(urlTrigger.config.matchUrl[0])
-    } else {
-      const msg = getLang(
-        "rule_view_match_url_tip",
-        urlTrigger.config.matchUrl[0],
-        urlTrigger.config.matchUrl.length
-      )
-      tips.push(msg)
+  const condition = getMatchCondition(config)
+  if (!condition.operator) {
+    return <span className="error-text">ERROR</span>
+  }
+  const message = getConditionTip(condition, options, true)
+  if (!message) {
+    return <span className="error-text">ERROR</span>
+  }
+
+  return (
+    <Style>
+      <span>{message}</span>
+    </Style>
+  )
+})
+
+/**
+ * 条件树的显示，例如 (A | B) & C & NOT(D)
+ * @param isRoot 顶层的条件组不需要括号
+ */
+function getConditionTip(node, options, isRoot = false) {
+  if (!isConditionGroup(node)) {
+    return getTriggerTip(node, options)
+  }
+
+  const tips = node.children.map((child) => getConditionTip(child, options)).filter(Boolean)
+  if (tips.length === 0) {
+    return ""
+  }
+
+  if (node.operator === "not") {
+    return `NOT(${tips.join(" & ")})`
+  }
+  const message = tips.join(node.operator === "or" ? " | " : " & ")
+  if (isRoot || tips.length === 1) {
+    return message
+  }
+  return `(${message})`
+}
+
+/**
+ * 单个触发条件的显示
+ */
+function getTriggerTip(trigger, options) {
+  const triggerConfig = trigger.config
+  if (!triggerConfig) {
+    return ""
+  }
+
+  if (trigger.trigger === "urlTrigger") {
+    if (triggerConfig.matchUrl.length === 1) {
+      return triggerConfig.matchUrl[0]
     }
+    return getLang(
+      "rule_view_match_url_tip",
+      triggerConfig.matchUrl[0],
+      triggerConfig.matchUrl.length
+    )
   }
 
-  const sceneTrigger = config.triggers.find((t) => t.trigger === "sceneTrigger")
-  if (sceneTrigger) {
-    const sceneId = sceneTrigger.config.sceneId
-    const sceneIds = sceneTrigger.config.sceneIds
+  if (trigger.trigger === "sceneTrigger") {
+    const sceneId = triggerConfig.sceneId
+    const sceneIds = triggerConfig.sceneIds
 
     if (sceneIds && sceneIds.length > 0) {
       let names = options.scenes?.filter((s) => sceneIds.includes(s.id)).map((s) => s.name) ?? []
@@ -42,48 +95,78 @@ const MatchView = memo(({ config, options }) => {
         names = names.slice(0, 5)
         names.push("...")
       }
-      tips.push(names.join(", "))
-    } else {
-      const scene = options.scenes?.find((s) => s.id === sceneId)
-      if (scene) {
-        tips.push(scene.name)
-      }
+      return names.join(", ")
     }
+    return options.scenes?.find((s) => s.id === sceneId)?.name ?? ""
   }
 
-  const osTrigger = config.triggers.find((t) => t.trigger === "osTrigger")
-  if (osTrigger) {
-    const list = osTrigger.config.os.map(
+  if (trigger.trigger === "osTrigger") {
+    const list = triggerConfig.os.map(
       (osKey) => PlatformOs.find((p) => p.value === osKey)?.label ?? osKey
     )
-    tips.push(list.join(", "))
+    return list.join(", ")
   }
 
-  const periodTrigger = config.triggers.find((t) => t.trigger === "periodTrigger")
-  if (periodTrigger) {
-    const list = periodTrigger.config.periods
-    tips.push(list.map((period) => period.start + "-" + period.end).join(", "))
+  if (trigger.trigger === "periodTrigger") {
+    const { periods, days, startDate, endDate, timeZone } = triggerConfig
+    let tip = periods.map((period) => period.start + "-" + period.end).join(", ")
+    if (days && days.length > 0) {
+      const format = new Intl.DateTimeFormat(navigator.language, {
+        weekday: "short",
+        timeZone: "UTC"
+      })
+      tip += ` (${days
+        .map((day) => format.format(new Date(Date.UTC(2023, 0, 1 + day))))
+        .join(" ")})`
+    }
+    if (startDate || endDate) {
+      tip += ` [${startDate ?? ""}~${endDate ?? ""}]`
+    }
+    if (timeZone) {
+      tip += ` ${timeZone}`
+    }
+    return tip
   }
 
-  if (tips.length === 0) {
-    return <span className="error-text">ERROR</span>
+  if (trigger.trigger === "idleTrigger") {
+    const list = triggerConfig.states.map(
+      (state) => IdleStates.find((s) => s.value === state)?.label ?? state
+    )
+    return getLang("rule_view_match_idle_tip", list.join(" / "), triggerConfig.threshold ?? 60)
   }
 
-  let message = ""
-  if (config.relationship === "and") {
-    message = tips.join(" & ")
-  } else if (config.relationship === "or") {
-    message = tips.join(" | ")
-  } else {
-    return <span className="error-text">ERROR</span>
+  if (trigger.trigger === "tabGroupTrigger") {
+    const colors = (triggerConfig.colors ?? []).map(
+      (color) => TabGroupColors.find((c) => c.value === color)?.label ?? color
+    )
+    return getLang(
+      "rule_view_match_tab_group_tip",
+      [...(triggerConfig.titles ?? []), ...colors].join(", ")
+    )
   }
 
-  return (
-    <Style>
-      <span>{message}</span>
-    </Style>
-  )
-})
+  if (trigger.trigger === "windowTrigger") {
+    const { incognito, windowTypes, windowStates, focusedOnly } = triggerConfig
+    const list = []
+    if (incognito !== undefined) {
+      list.push(
+        getLang(incognito ? "trigger_window_incognito_only" : "trigger_window_incognito_exclude")
+      )
+    }
+    for (const type of windowTypes ?? []) {
+      list.push(WindowTypes.find((t) => t.value === type)?.label ?? type)
+    }
+    for (const state of windowStates ?? []) {
+      list.push(WindowStates.find((s) => s.value === state)?.label ?? state)
+    }
+    if (focusedOnly) {
+      list.push(getLang("trigger_window_focused"))
+    }
+    return getLang("rule_view_match_window_tip", list.join(", "))
+  }
+
+  return ""
+}
 
 export default MatchView
 
@@ -1,8 +1,10 @@
 import React, { memo } from "react"
 
+import { Tag } from "antd"
 import { styled } from "styled-components"
 
 import { getIcon } from ".../utils/extensionHelper"
+import { getLang } from ".../utils/utils"
 
 /**
  * 规则目标的显示
@@ -10,10 +12,38 @@ import { getIcon } from ".../utils/extensionHelper"
  * @param options 完整的配置
  */
 const TargetView = memo(({ config, options, extensions }) => {
-  if (!config || (!config.extensions && !config.groups)) {
+  if (!config || (!config.extensions && !config.groups && !config.selectors)) {
     return <span className="error-text">ERROR</span>
   }
 
+  // 动态目标的选择器
+  const selectors = config.selectors?.length > 0 && (
+    <span className="selectors">
+      {config.selectors.map((s, index) => (
+        <Tag key={index}>
+          {getLang(`rule_target_selector_${s.type}`)}: {s.value}
+        </Tag>
+      ))}
+    </span>
+  )
+
+  // 排除的分组和扩展
+  const excludeNames = [
+    ...(options.groups ?? [])
+      .filter((g) => config.excludeGroups?.includes(g.id))
+      .map((g) => g.name),
+    ...extensions
+      .filter((ext) => config.excludeExtensions?.includes(ext.id))
+      .map((ext) => ext.__attach__?.alias || ext.name)
+  ]
+  const excludes = excludeNames.length > 0 && (
+    <span className="excludes" title={excludeNames.join(", ")}>
+      <Tag color="red">
+        {getLang("rule_set_target_exclude")}: {excludeNames.join(", ")}
+      </Tag>
+    </span>
+  )
+
   let groupNames = ""
   if (config.groups && config.groups.length > 0) {
     groupNames = options.groups
@@ -35,6 +65,7 @@ const TargetView = memo(({ config, options, extensions }) => {
     return (
       <Style>
         {groupNames && <span className="group-names">{groupNames}</span>}
+        {selectors}
         <ListStyle>
           {list.map((ext) => {
             return (
@@ -45,11 +76,18 @@ const TargetView = memo(({ config, options, extensions }) => {
           })}
           {tooMany && <span className="too-many">...</span>}
         </ListStyle>
+        {excludes}
+      </Style>
+    )
+  } else if (groupNames || selectors) {
+    // 仅有 groups 或者选择器
+    return (
+      <Style>
+        {groupNames && <span className="group-names">{groupNames}</span>}
+        {selectors}
+        {excludes}
       </Style>
     )
-  } else if (groupNames) {
-    // 仅有 groups
-    return <span>{groupNames}</span>
   }
 
   return <span className="error-text">ERROR</span>
@@ -63,6 +101,16 @@ const Style = styled.div`
   .group-names {
     margin-right: 5px;
   }
+
+  .selectors {
+    margin-right: 5px;
+  }
+
+  .excludes .ant-tag {
+    max-width: 240px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
 `
 
 const ListStyle = styled.ul`
@@ -93,6 +93,7 @@ function Scene() {
         await fetchScene()
       }
       setItemEditType("")
+      notifySceneConfigChanged()
     } catch (error) {
       messageApi.open({
         type: "error",
@@ -106,6 +107,8 @@ function Scene() {
 
     // 保存新的排序
     await storage.scene.orderScenes(updatedList)
+    // 自动激活按情景模式的顺序选择候选
+    notifySceneConfigChanged()
   }
 
   return (
@@ -196,6 +199,7 @@ function Scene() {
     const onDeleteClick = async (e, i) => {
       await storage.scene.deleteOne(i.id)
       await fetchScene()
+      notifySceneConfigChanged()
     }
 
     const onSceneItemClick = () => {
@@ -235,4 +239,11 @@ function Scene() {
   }
 }
 
+/**
+ * 通知 background 情景模式的配置（自动激活条件）发生变化
+ */
+function notifySceneConfigChanged() {
+  sendMessage("rule-scene-config-changed")
+}
+
 export default memo(Scene)
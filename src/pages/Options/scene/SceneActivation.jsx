@@ -0,0 +1,148 @@
+import React, { forwardRef, memo, useEffect, useImperativeHandle, useRef, useState } from "react"
+
+import { PlusCircleOutlined } from "@ant-design/icons"
+import { Button, Dropdown, Radio, Space, Switch, message } from "antd"
+import { styled } from "styled-components"
+
+import storage from ".../storage/sync"
+import { getLang } from ".../utils/utils"
+import { triggerModes } from "../rule/editor/ConditionGroup"
+import TriggerWrapper from "../rule/editor/triggers/TriggerWrapper/Index"
+
+// 情景模式本身不能作为自动激活的条件，避免情景模式之间互相触发
+const activationModes = triggerModes.filter((m) => m.key !== "sceneTrigger")
+
+/**
+ * 情景模式的自动激活条件，使用与规则相同的触发条件
+ */
+const SceneActivation = ({ activation }, ref) => {
+  useImperativeHandle(ref, () => ({
+    // 获取配置，触发条件不完整时抛出异常
+    getActivation: () => {
+      const configs = triggers.map((trigger) => {
+        const mode = activationModes.find((m) => m.key === trigger)
+        return { trigger, config: triggerRefs.current.get(trigger)[mode.getter]() }
+      })
+      if (configs.length === 0) {
+        if (enable) {
+          throw Error(getLang("scene_activation_no_trigger"))
+        }
+        return undefined
+      }
+      return { enable, match: { relationship, triggers: configs } }
+    }
+  }))
+
+  const [messageApi, contextHolder] = message.useMessage()
+
+  // 触发条件编辑器，key 是触发条件的类型
+  const triggerRefs = useRef(new Map())
+
+  const [options, setOptions] = useState({})
+  const [enable, setEnable] = useState(false)
+  const [relationship, setRelationship] = useState("and")
+  const [triggers, setTriggers] = useState([])
+
+  // 触发条件编辑器从规则配置中读取初始值
+  const [config, setConfig] = useState({ match: { triggers: [] } })
+
+  useEffect(() => {
+    storage.options.getAll().then(setOptions)
+  }, [])
+
+  useEffect(() => {
+    const match = activation?.match
+    setEnable(activation?.enable ?? false)
+    setRelationship(match?.relationship ?? "and")
+    setTriggers((match?.triggers ?? []).map((t) => t.trigger))
+    setConfig({ match: { triggers: match?.triggers ?? [] } })
+  }, [activation])
+
+  const addMenuProps = {
+    items: activationModes.map(({ label, key, icon }) => ({ label, key, icon })),
+    onClick: (e) => {
+      if (triggers.includes(e.key)) {
+        const mode = activationModes.find((m) => m.key === e.key)
+        messageApi.warning(getLang("rule_set_match_cannot_duplicate", mode?.label))
+        return
+      }
+      setTriggers([...triggers, e.key])
+    }
+  }
+
+  const onRemove = (key) => {
+    setTriggers(triggers.filter((t) => t !== key))
+  }
+
+  const registerTrigger = (key, instance) => {
+    if (instance) {
+      triggerRefs.current.set(key, instance)
+    } else {
+      triggerRefs.current.delete(key)
+    }
+  }
+
+  return (
+    <Style>
+      {contextHolder}
+      <div className="scene-activation-header">
+        <Switch size="small" checked={enable} onChange={setEnable} />
+        <span className="scene-activation-desc">{getLang("scene_activation_desc")}</span>
+      </div>
+
+      <div className="scene-activation-header">
+        <Dropdown menu={addMenuProps}>
+          <Button size="small">
+            <Space>
+              {getLang("rule_set_match_add")}
+              <PlusCircleOutlined />
+            </Space>
+          </Button>
+        </Dropdown>
+        <Radio.Group value={relationship} onChange={(e) => setRelationship(e.target.value)}>
+          <Radio value="and">{getLang("rule_set_match_all")}</Radio>
+          <Radio value="or">{getLang("rule_set_match_any")}</Radio>
+        </Radio.Group>
+      </div>
+
+      {triggers.map((key) => {
+        const mode = activationModes.find((m) => m.key === key)
+        if (!mode) {
+          return null
+        }
+        const Editor = mode.component
+        return (
+          <div key={key} className="scene-activation-trigger">
+            <TriggerWrapper title={mode.label} onClose={() => onRemove(key)}>
+              <Editor
+                options={options}
+                config={config}
+                ref={(instance) => registerTrigger(key, instance)}
+              />
+            </TriggerWrapper>
+          </div>
+        )
+      })}
+    </Style>
+  )
+}
+
+export default memo(forwardRef(SceneActivation))
+
+const Style = styled.div`
+  .scene-activation-header {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    margin-bottom: 8px;
+  }
+
+  .scene-activation-desc {
+    font-size: 12px;
+    color: #777;
+  }
+
+  .scene-activation-trigger > div {
+    margin-right: 0;
+  }
+`
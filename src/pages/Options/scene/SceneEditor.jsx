@@ -1,15 +1,19 @@
-import React, { useEffect, useState } from "react"
+import React, { useEffect, useRef, useState } from "react"
 
-import { Button, Form, Input } from "antd"
+import { Button, Form, Input, message } from "antd"
 
 import { getLang, isStringEmpty } from ".../utils/utils"
 import ModalEditorWrapper from "../utils/ModalEditorWrapper"
+import SceneActivation from "./SceneActivation"
 
 const { TextArea } = Input
 
 function SceneEditor({ editType, sceneInfo, editCallback }) {
   const [name, setName] = useState()
   const [desc, setDesc] = useState()
+  const activationRef = useRef()
+
+  const [messageApi, contextHolder] = message.useMessage()
 
   useEffect(() => {
     setName(sceneInfo?.name)
@@ -26,9 +30,16 @@ function SceneEditor({ editType, sceneInfo, editCallback }) {
 
   const onSummitClick = (e) => {
     if (editCallback) {
+      let activation
+      try {
+        activation = activationRef.current?.getActivation()
+      } catch (error) {
+        messageApi.error(error.message)
+        return
+      }
       let info = sceneInfo ?? {}
       info = { ...info }
-      editCallback(editType, Object.assign(info, { name, desc }))
+      editCallback(editType, Object.assign(info, { name, desc, activation }))
     }
   }
 
@@ -42,6 +53,7 @@ function SceneEditor({ editType, sceneInfo, editCallback }) {
 
   return (
     <ModalEditorWrapper title={getLang("scene_edit_title")}>
+      {contextHolder}
       <Form labelCol={{ span: 4 }}>
         <Form.Item label={getLang("scene_edit_name")}>
           <Input maxLength={50} value={name} onChange={(e) => onNameChanged(e)} />
@@ -55,6 +67,9 @@ function SceneEditor({ editType, sceneInfo, editCallback }) {
             onChange={(e) => onDescChanged(e)}
           />
         </Form.Item>
+        <Form.Item label={getLang("scene_edit_activation")}>
+          <SceneActivation ref={activationRef} activation={sceneInfo?.activation} />
+        </Form.Item>
         <Form.Item wrapperCol={{ offset: 4, span: 4 }}>
           <div style={{ display: "flex" }}>
             <Button type="primary" onClick={(e) => onSummitClick(e)}>
@@ -1,7 +1,7 @@
 import React, { memo, useEffect, useState } from "react"
 
 import { InfoCircleOutlined, QuestionCircleOutlined } from "@ant-design/icons"
-import { Button, Popconfirm, Radio, Slider, Switch, Tooltip, message } from "antd"
+import { Button, InputNumber, Popconfirm, Radio, Slider, Switch, Tooltip, message } from "antd"
 
 import { getLang } from ".../utils/utils"
 
@@ -12,6 +12,11 @@ const FunctionSetting = memo(({ setting, onSettingChange }) => {
   const [isSupportMultiSelectGroup, setIsSupportMultiSelectGroup] = useState(false)
   // Home 按钮的链接
   const [isHomeLinkToStore, setIsHomeLinkToStore] = useState(false)
+  // 手动切换情景模式之后，暂停自动切换的时间（分钟）
+  const [sceneAutoManualHoldMinutes, setSceneAutoManualHoldMinutes] = useState(30)
+  // 手动启用或禁用扩展之后，规则不再修改该扩展的时长
+  const [manualOverrideMode, setManualOverrideMode] = useState("site")
+  const [manualOverrideMinutes, setManualOverrideMinutes] = useState(30)
 
   useEffect(() => {
     // 功能偏好
@@ -21,6 +26,9 @@ const FunctionSetting = memo(({ setting, onSettingChange }) => {
     setIsSupportMultiSelectGroup(supportMultiSelectGroup)
     const homeLinkToStore = setting.isHomeLinkToStore ?? false
     setIsHomeLinkToStore(homeLinkToStore)
+    setSceneAutoManualHoldMinutes(setting.sceneAutoManualHoldMinutes ?? 30)
+    setManualOverrideMode(setting.manualOverrideMode ?? "site")
+    setManualOverrideMinutes(setting.manualOverrideMinutes ?? 30)
   }, [setting])
 
   const onHomeLinkHelpClick = () => {
@@ -69,6 +77,58 @@ const FunctionSetting = memo(({ setting, onSettingChange }) => {
             onSettingChange(value, setIsHomeLinkToStore, "isHomeLinkToStore")
           }></Switch>
       </div>
+      {/* 手动切换情景模式之后，暂停自动切换的时间 */}
+      <div className="setting-item">
+        <span>
+          {getLang("setting_func_scene_auto_hold")}
+          <Tooltip placement="top" title={getLang("setting_func_scene_auto_hold_tip")}>
+            <QuestionCircleOutlined />
+          </Tooltip>{" "}
+        </span>
+        <InputNumber
+          size="small"
+          min={0}
+          max={1440}
+          precision={0}
+          value={sceneAutoManualHoldMinutes}
+          onChange={(value) =>
+            onSettingChange(value ?? 0, setSceneAutoManualHoldMinutes, "sceneAutoManualHoldMinutes")
+          }></InputNumber>
+      </div>
+      {/* 手动启用或禁用扩展之后，规则不再修改该扩展的时长 */}
+      <div className="setting-item">
+        <span>
+          {getLang("setting_func_manual_override")}
+          <Tooltip placement="top" title={getLang("setting_func_manual_override_tip")}>
+            <QuestionCircleOutlined />
+          </Tooltip>{" "}
+        </span>
+        <Radio.Group
+          size="small"
+          value={manualOverrideMode}
+          onChange={(e) =>
+            onSettingChange(e.target.value, setManualOverrideMode, "manualOverrideMode")
+          }>
+          <Radio value="site">{getLang("setting_func_manual_override_site")}</Radio>
+          <Radio value="minutes">{getLang("setting_func_manual_override_minutes")}</Radio>
+          <Radio value="session">{getLang("setting_func_manual_override_session")}</Radio>
+          <Radio value="off">{getLang("setting_func_manual_override_off")}</Radio>
+        </Radio.Group>
+      </div>
+      {manualOverrideMode === "minutes" && (
+        <div className="setting-item">
+          <span>{getLang("setting_func_manual_override_minutes_value")}</span>
+          <InputNumber
+            size="small"
+            min={1}
+            max={1440}
+            precision={0}
+            value={manualOverrideMinutes}
+            onChange={(value) =>
+              onSettingChange(value ?? 30, setManualOverrideMinutes, "manualOverrideMinutes")
+            }></InputNumber>
+        </div>
+      )}
     </div>
   )
 })
@@ -13,6 +13,7 @@ import storage from ".../storage/sync"
 import { isEdgePackage } from ".../utils/channelHelper"
 import Style, { SearchStyle } from "./HeaderStyle"
 import GroupDropdown from "./header/GroupDropdown"
+import PauseDropdown from "./header/PauseDropdown"
 import SceneDropdown from "./header/SceneDropdown"
 
 // import MoreOperationDropdown from "./header/MoreOperationDropdown"
@@ -218,6 +219,8 @@ const Header = memo((props) => {
               <SettingOutlined />
             </Space>
 
+            <PauseDropdown className="pause setting-icon" messageApi={messageApi} />
+
             <Suspense>
               <LazyMoreOperationDropdown
                 fallback={
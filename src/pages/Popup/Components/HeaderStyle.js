@@ -52,6 +52,14 @@ const Style = styled.div`
     margin: -2px 4px 0 4px;
   }
 
+  .right .pause {
+    margin: -2px 4px 0 4px;
+  }
+
+  .right .automation-paused {
+    color: #faad14;
+  }
+
   .right .more-operation {
     margin: -2px 4px 0 4px;
   }
@@ -0,0 +1,110 @@
+import React, { memo, useEffect, useState } from "react"
+
+import { CloseOutlined, LockOutlined } from "@ant-design/icons"
+import { Tag, Tooltip } from "antd"
+import { styled } from "styled-components"
+
+import { sendMessage } from ".../utils/messageHelper"
+import { getLang } from ".../utils/utils"
+import {
+  MANUAL_OVERRIDE_STORAGE_KEY,
+  getManualOverrides
+} from "../../Background/rule/manualOverride"
+
+/**
+ * 当前有效的手动覆盖（覆盖期间规则不修改这些扩展），点击解除覆盖
+ */
+const ManualOverrideList = memo(({ extensions }) => {
+  const [overrides, setOverrides] = useState([])
+
+  useEffect(() => {
+    const load = () => getManualOverrides().then(setOverrides)
+    load()
+
+    const onChanged = (changes) => {
+      if (changes[MANUAL_OVERRIDE_STORAGE_KEY]) {
+        load()
+      }
+    }
+    chrome.storage.session.onChanged.addListener(onChanged)
+    return () => {
+      chrome.storage.session.onChanged.removeListener(onChanged)
+    }
+  }, [])
+
+  const onRelease = (override) => {
+    setOverrides(overrides.filter((o) => o.extId !== override.extId))
+    sendMessage("rule-override-release", { extId: override.extId })
+  }
+
+  if (overrides.length === 0) {
+    return null
+  }
+
+  const getName = (extId) => {
+    const ext = extensions.find((e) => e.id === extId)
+    return ext?.__attach__?.alias || ext?.name || extId
+  }
+
+  const getTip = (override) => {
+    if (override.mode === "site") {
+      return getLang("manual_override_until_site", override.host || "-")
+    }
+    if (override.mode === "minutes") {
+      return getLang("manual_override_until_time", new Date(override.until).toLocaleTimeString())
+    }
+    return getLang("manual_override_until_restart")
+  }
+
+  return (
+    <Style>
+      <span className="manual-override-title">
+        <LockOutlined />
+        {getLang("manual_override_title")}
+      </span>
+      {overrides.map((override) => (
+        <Tooltip key={override.extId} title={getTip(override)}>
+          <Tag
+            className="manual-override-item"
+            color={override.enabled ? "green" : "default"}
+            onClick={() => onRelease(override)}>
+            {getName(override.extId)}
+            <CloseOutlined className="manual-override-release" />
+          </Tag>
+        </Tooltip>
+      ))}
+    </Style>
+  )
+})
+
+export default ManualOverrideList
+
+const Style = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 4px;
+
+  padding: 4px 8px;
+  font-size: 12px;
+
+  .manual-override-title {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-right: 4px;
+  }
+
+  .manual-override-item {
+    cursor: pointer;
+    max-width: 160px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .manual-override-release {
+    margin-left: 4px;
+    font-size: 10px;
+  }
+`
@@ -10,6 +10,7 @@ import { useSearchController } from "../hooks/useSearchController"
 import { useShowAppController } from "../hooks/useShowAppController"
 import AppList from "./AppList"
 import Header from "./Header"
+import ManualOverrideList from "./ManualOverrideList"
 import ExtensionGrid from "./grid-view/ExtensionGridView.jsx"
 import ExtensionGridViewByGroup from "./grid-view/ExtensionGridViewByGroup.jsx"
 import ExtensionList from "./list-view/ExtensionListView"
@@ -167,6 +168,7 @@ function IndexPopup({ originExtensions, options, params }) {
           "extension-container",
           { "extension-container-grid": layout === "grid" }
         ])}>
+        <ManualOverrideList extensions={extensions}></ManualOverrideList>
         {getExtensionDisplay()}
         {isShowAppExtension && <AppList items={appExtensions}></AppList>}
       </div>
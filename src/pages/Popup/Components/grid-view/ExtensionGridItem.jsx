@@ -2,21 +2,24 @@ import React, { memo, useEffect, useRef, useState } from "react"
 
 import {
   DeleteOutlined,
+  FieldTimeOutlined,
   HomeOutlined,
   LockOutlined,
   SettingOutlined,
   ToolOutlined,
   UnlockOutlined
 } from "@ant-design/icons"
-import { Popconfirm, Space, message } from "antd"
+import { Dropdown, Popconfirm, Space, Tooltip, message } from "antd"
 import classNames from "classnames"
 
 import { ManualEnableCounter } from ".../storage/local/ManualEnableCounter"
 import { isDevRuntime } from ".../utils/channelHelper"
 import { getHomepageUrl, getIcon, getOriginSettingUrl } from ".../utils/extensionHelper.js"
+import { sendMessage } from ".../utils/messageHelper"
 import { getLang } from ".../utils/utils"
 import { isStringEmpty } from ".../utils/utils.js"
 import { useExtensionItemPin } from "../../hooks/useExtensionItemPin"
+import { TimedEnableMinutes, formatRemaining, useTimedEnable } from "../../hooks/useTimedEnable"
 import { ExtensionGridItemStyle } from "./ExtensionGridItemStyle"
 
 const manualEnableCounter = new ManualEnableCounter()
@@ -33,6 +36,8 @@ const ExtensionGridItem = memo(({ item, options, enabled, onItemMove }) => {
   const [itemEnable, setItemEnable] = useState(enabled ?? item.enabled)
   // 扩展是否在固定分组中
   const [itemPined, setItemPined] = useExtensionItemPin(item, options)
+  // 限时启用的倒计时
+  const timedEnable = useTimedEnable(item)
 
   // 是否启用了切换分组时，执行启用/禁用扩展的操作。如果没有打开这个功能，则没必要显示锁的标记
   const canLock = options.setting.isRaiseEnableWhenSwitchGroup ?? false
@@ -167,15 +172,58 @@ const ExtensionGridItem = memo(({ item, options, enabled, onItemMove }) => {
     setItemPined(!itemPined)
   }
 
+  /**
+   * 限时启用扩展，到期之后自动禁用
+   */
+  const handleTimedEnableClick = async (minutes) => {
+    try {
+      await timedEnable.enableFor(minutes)
+    } catch (error) {
+      messageApi.error(error.message)
+      return
+    }
+    if (!itemEnable) {
+      setItemEnable(true)
+      item.enabled = true
+      onItemMove?.(item)
+      manualEnableCounter.count(item.id)
+    }
+    messageApi.info(getLang("timed_enable_started", item.name, String(minutes)))
+  }
+
+  /**
+   * 取消限时启用，扩展保持启用
+   */
+  const handleTimedEnableCancel = (e) => {
+    e.stopPropagation()
+    timedEnable.cancel()
+    messageApi.info(getLang("timed_enable_cancelled", item.name))
+  }
+
+  const timedEnableMenu = {
+    items: TimedEnableMinutes.map((minutes) => ({
+      label: getLang("timed_enable_for_minutes", String(minutes)),
+      key: String(minutes)
+    })),
+    onClick: (e) => handleTimedEnableClick(Number(e.key))
+  }
+
   const onItemClick = () => {
+    // 手动切换之后，不再按计时禁用
+    if (timedEnable.remaining !== undefined) {
+      timedEnable.cancel()
+    }
     if (itemEnable) {
       chrome.management.setEnabled(item.id, false)
+      // 手动禁用之后，规则在一段时间内不再修改该扩展
+      sendMessage("rule-manual-override", { extId: item.id, enabled: false })
       setItemEnable(false)
       item.enabled = false
       onItemMove?.(item)
       messageApi.info(`${getLang("disable_extension")} ${item.name}`)
     } else {
       chrome.management.setEnabled(item.id, true)
+      sendMessage("rule-manual-override", { extId: item.id, enabled: true })
       setItemEnable(true)
       item.enabled = true
       onItemMove?.(item)
@@ -218,6 +266,13 @@ const ExtensionGridItem = memo(({ item, options, enabled, onItemMove }) => {
           )}
         </div>
         {itemPined && isShowDotOfFixedExtension && <i className="item-pined-dot"></i>}
+        {timedEnable.remaining !== undefined && (
+          <Tooltip title={getLang("timed_enable_click_cancel")}>
+            <span className="item-timer-badge" onClick={handleTimedEnableCancel}>
+              {formatRemaining(timedEnable.remaining)}
+            </span>
+          </Tooltip>
+        )}
       </div>
 
       {/* hover 菜单 */}
@@ -249,6 +304,11 @@ const ExtensionGridItem = memo(({ item, options, enabled, onItemMove }) => {
             onClick={(e) => handleSettingButtonClick(e, item)}>
             <SettingOutlined />
           </Space>
+          <Dropdown menu={timedEnableMenu} trigger={["click"]} placement="bottom">
+            <Space className="operation-menu-item">
+              <FieldTimeOutlined />
+            </Space>
+          </Dropdown>
           {/* <Popconfirm
             title={getLang("remove_extension")}
             description={getLang("remove_extension_confirm", item.shortName)}
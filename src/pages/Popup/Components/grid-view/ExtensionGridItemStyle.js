@@ -57,10 +57,27 @@ export const ExtensionGridItemStyle = styled.div`
     background-color: #3ffa7b;
   }
 
+  /* 限时启用的倒计时 */
+  .item-timer-badge {
+    position: absolute;
+    bottom: 14px;
+    left: -4px;
+
+    padding: 0 3px;
+
+    font-size: 10px;
+    line-height: 14px;
+    color: #fff;
+
+    border-radius: 7px;
+    background-color: #fa8c16;
+    cursor: pointer;
+  }
+
   .operation-menu {
     display: none;
     position: absolute;
-    width: 160px;
+    width: 180px;
     height: 70px;
 
     z-index: 1000;
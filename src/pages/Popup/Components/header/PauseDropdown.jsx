@@ -0,0 +1,75 @@
+import React, { memo, useEffect, useState } from "react"
+
+import { PauseCircleOutlined, PlayCircleOutlined } from "@ant-design/icons"
+import { Dropdown, Space, Tooltip } from "antd"
+import dayjs from "dayjs"
+
+import { sendMessage } from ".../utils/messageHelper"
+import { getLang } from ".../utils/utils"
+
+const PauseDurations = ["15m", "1h", "tomorrow", "indefinite"]
+
+/**
+ * 暂停自动化（规则、常开分组、互斥分组），暂停中时点击恢复
+ */
+const PauseDropdown = memo(({ className, messageApi }) => {
+  const [pauseState, setPauseState] = useState({ paused: false })
+
+  useEffect(() => {
+    sendMessage("rule-pause-state").then((response) => {
+      if (response?.state === "success") {
+        setPauseState(response.pause)
+      }
+    })
+  }, [])
+
+  const onPause = async (duration) => {
+    const response = await sendMessage("rule-pause", { duration })
+    if (response?.state === "success") {
+      setPauseState(response.pause)
+    } else {
+      messageApi?.error(response?.error ?? "pause automation failed")
+    }
+  }
+
+  const onResume = async () => {
+    const response = await sendMessage("rule-resume")
+    if (response?.state === "success") {
+      setPauseState(response.pause)
+    } else {
+      messageApi?.error(response?.error ?? "resume automation failed")
+    }
+  }
+
+  if (pauseState.paused) {
+    const tip = pauseState.until
+      ? getLang("automation_paused_until", dayjs(pauseState.until).format("MM-DD HH:mm"))
+      : getLang("automation_paused")
+
+    return (
+      <Tooltip placement="bottom" title={`${tip}, ${getLang("automation_click_resume")}`}>
+        <Space className={`${className} automation-paused`} onClick={onResume}>
+          <PlayCircleOutlined />
+        </Space>
+      </Tooltip>
+    )
+  }
+
+  const menu = {
+    items: PauseDurations.map((duration) => ({
+      label: getLang(`automation_pause_${duration}`),
+      key: duration
+    })),
+    onClick: (e) => onPause(e.key)
+  }
+
+  return (
+    <Dropdown menu={menu} trigger={["hover"]} placement="bottomRight">
+      <Space className={className}>
+        <PauseCircleOutlined />
+      </Space>
+    </Dropdown>
+  )
+})
+
+export default PauseDropdown
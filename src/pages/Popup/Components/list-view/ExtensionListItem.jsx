@@ -2,22 +2,25 @@ import React, { memo, useEffect, useState } from "react"
 
 import {
   DeleteOutlined,
+  FieldTimeOutlined,
   HomeOutlined,
   LockOutlined,
   SettingOutlined,
   ToolOutlined,
   UnlockOutlined
 } from "@ant-design/icons"
-import { Button, Popconfirm, Switch, message } from "antd"
+import { Button, Dropdown, Popconfirm, Switch, Tag, Tooltip, message } from "antd"
 import classNames from "classnames"
 
 import "./ExtensionListItem.css"
 
 import { ManualEnableCounter } from ".../storage/local/ManualEnableCounter"
 import { getHomepageUrl, getIcon, getOriginSettingUrl } from ".../utils/extensionHelper.js"
+import { sendMessage } from ".../utils/messageHelper"
 import { getLang } from ".../utils/utils"
 import { isStringEmpty } from ".../utils/utils.js"
 import { useExtensionItemPin } from "../../hooks/useExtensionItemPin"
+import { TimedEnableMinutes, formatRemaining, useTimedEnable } from "../../hooks/useTimedEnable"
 
 const manualEnableCounter = new ManualEnableCounter()
 
@@ -39,6 +42,8 @@ const ExtensionListItem = memo(({ item, enabled, options, onItemEnableChanged })
   const [itemPined, setItemPined] = useExtensionItemPin(item, options)
   // 固定分组的小圆点
   const isShowDotOfFixedExtension = options.setting.isShowDotOfFixedExtension ?? true
+  // 限时启用的倒计时
+  const timedEnable = useTimedEnable(item)
 
   // 是否启用了切换分组时，执行启用/禁用扩展的操作。如果没有打开这个功能，则没必要显示锁的标记
   const canLock = options.setting.isRaiseEnableWhenSwitchGroup ?? false
@@ -54,7 +59,13 @@ const ExtensionListItem = memo(({ item, enabled, options, onItemEnableChanged })
   }, [options])
 
   const onSwitchChange = async (checked, item) => {
+    // 手动切换之后，不再按计时禁用
+    if (timedEnable.remaining !== undefined) {
+      timedEnable.cancel()
+    }
     await chrome.management.setEnabled(item.id, checked)
+    // 手动启用或禁用之后，规则在一段时间内不再修改该扩展
+    sendMessage("rule-manual-override", { extId: item.id, enabled: checked })
     setItemEnable(checked)
     item.enabled = checked
     if (checked) {
@@ -63,6 +74,42 @@ const ExtensionListItem = memo(({ item, enabled, options, onItemEnableChanged })
     onItemEnableChanged?.(item)
   }
 
+  /**
+   * 限时启用扩展，到期之后自动禁用
+   */
+  const onTimedEnableClick = async (minutes) => {
+    setIsInteractive(false)
+    try {
+      await timedEnable.enableFor(minutes)
+    } catch (error) {
+      messageApi.error(error.message)
+      return
+    }
+    if (!itemEnable) {
+      setItemEnable(true)
+      item.enabled = true
+      manualEnableCounter.count(item.id)
+      onItemEnableChanged?.(item)
+    }
+    messageApi.info(getLang("timed_enable_started", item.name, String(minutes)))
+  }
+
+  /**
+   * 取消限时启用，扩展保持启用
+   */
+  const onTimedEnableCancel = () => {
+    timedEnable.cancel()
+    messageApi.info(getLang("timed_enable_cancelled", item.name))
+  }
+
+  const timedEnableMenu = {
+    items: TimedEnableMinutes.map((minutes) => ({
+      label: getLang("timed_enable_for_minutes", String(minutes)),
+      key: String(minutes)
+    })),
+    onClick: (e) => onTimedEnableClick(Number(e.key))
+  }
+
   // 扩展名称被点击，则执行扩展启用与禁用
   const onItemNameClick = () => {
     onSwitchChange(!item.enabled, item)
@@ -139,6 +186,13 @@ const ExtensionListItem = memo(({ item, enabled, options, onItemEnableChanged })
       <span className="ext-name" onClick={(e) => onItemNameClick(e, item)}>
         {showName}
       </span>
+      {timedEnable.remaining !== undefined && (
+        <Tooltip title={getLang("timed_enable_click_cancel")}>
+          <Tag className="list-item-timer" color="orange" onClick={onTimedEnableCancel}>
+            {formatRemaining(timedEnable.remaining)}
+          </Tag>
+        </Tooltip>
+      )}
       {buildOperationButton(isHover || isShowOperationButton)}
     </div>
   )
@@ -170,6 +224,14 @@ const ExtensionListItem = memo(({ item, enabled, options, onItemEnableChanged })
             onClick={(e) => handleSettingButtonClick(e, item)}
           />
 
+          <Dropdown
+            menu={timedEnableMenu}
+            trigger={["click"]}
+            placement="bottomRight"
+            onOpenChange={(open) => setIsInteractive(open)}>
+            <Button type="text" icon={<FieldTimeOutlined />} />
+          </Dropdown>
+
           {/* <Popconfirm
             title={getLang("remove_extension")}
             description={getLang("remove_extension_confirm", item.shortName)}
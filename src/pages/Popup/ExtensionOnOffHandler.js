@@ -1,7 +1,7 @@
 import chromeP from "webext-polyfill-kinda"
 
 import { sendMessage } from ".../utils/messageHelper"
-import { isAppExtension, isExtExtension } from "../../utils/extensionHelper"
+import { getGroupSwitchTargets, isAppExtension } from "../../utils/extensionHelper"
 
 /**
  * 执行扩展的启用与禁用
@@ -19,19 +19,13 @@ export async function handleExtensionOnOff(extensions, options, selectGroups, cu
 
   const self = await chromeP.management.getSelf()
 
-  const fixedExtensionIds = options.groups.find((g) => g.id === "fixed")?.extensions ?? []
-
-  const currentExtensionIds = selectGroups.map((g) => g.extensions).flat()
-
-  // 被启用的扩展：固定分组和当前分组中的扩展
-  const enabledExtensionIds = Array.from(new Set([...fixedExtensionIds, ...currentExtensionIds]))
-
-  // 被禁用的扩展：除此之外的扩展（不包括 APP 类型的扩展，不包括自身）
-  const disabledExtensionIds = extensions
-    .filter((ext) => isExtExtension(ext))
-    .map((ext) => ext.id)
-    .filter((id) => id !== self.id)
-    .filter((id) => !enabledExtensionIds.includes(id))
+  // 被启用的扩展：固定分组和当前分组中的扩展；被禁用的扩展：除此之外的扩展（不包括 APP 类型的扩展，不包括自身）
+  const { fixedExtensionIds, enabledExtensionIds, disabledExtensionIds } = getGroupSwitchTargets(
+    extensions,
+    options.groups,
+    selectGroups,
+    self.id
+  )
 
   // const disabledExtensions = extensions.filter((ext) => disabledExtensionIds.includes(ext.id))
   // const enabledExtensions = extensions.filter((ext) => enabledExtensionIds.includes(ext.id))
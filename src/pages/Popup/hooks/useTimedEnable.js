@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react"
+
+import { sendMessage } from ".../utils/messageHelper"
+
+/**
+ * 限时启用的时长（分钟）
+ */
+export const TimedEnableMinutes = [5, 15, 60]
+
+/**
+ * Popup 中所有扩展共用的限时启用列表，只在打开 Popup 时加载一次
+ */
+let timedEnables = null
+let loading = null
+const listeners = new Set()
+
+const loadTimedEnables = () => {
+  if (!loading) {
+    loading = sendMessage("extension-timed-enable-list").then((response) => {
+      timedEnables = response?.state === "success" ? response.items : []
+      return timedEnables
+    })
+  }
+  return loading
+}
+
+const updateTimedEnables = (change) => {
+  timedEnables = change(timedEnables ?? [])
+  listeners.forEach((listener) => listener(timedEnables))
+}
+
+/**
+ * 剩余时间的显示，不足 1 分钟时显示秒数
+ */
+export const formatRemaining = (ms) => {
+  if (ms >= 60 * 1000) {
+    return `${Math.ceil(ms / 60 / 1000)}m`
+  }
+  return `${Math.max(Math.ceil(ms / 1000), 0)}s`
+}
+
+/**
+ * 单个扩展的限时启用：剩余时间（倒计时），启用指定分钟，取消计时
+ */
+export function useTimedEnable(item) {
+  const [disableAt, setDisableAt] = useState(undefined)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const onChanged = (list) => {
+      setDisableAt(list.find((i) => i.extId === item.id)?.disableAt)
+    }
+    listeners.add(onChanged)
+    loadTimedEnables().then(onChanged)
+    return () => {
+      listeners.delete(onChanged)
+    }
+  }, [item])
+
+  // 计时中，每秒刷新一次倒计时
+  useEffect(() => {
+    if (!disableAt) {
+      return
+    }
+    setNow(Date.now())
+    const timer = setInterval(() => {
+      const current = Date.now()
+      setNow(current)
+      if (current >= disableAt) {
+        // 到期之后 background 会禁用扩展
+        updateTimedEnables((list) => list.filter((i) => i.extId !== item.id))
+      }
+    }, 1000)
+    return () => {
+      clearInterval(timer)
+    }
+  }, [disableAt, item])
+
+  const enableFor = async (minutes) => {
+    const response = await sendMessage("extension-timed-enable", { extId: item.id, minutes })
+    if (response?.state !== "success") {
+      throw new Error(response?.error ?? "timed enable failed")
+    }
+    updateTimedEnables((list) => [...list.filter((i) => i.extId !== item.id), response.item])
+    return response.item
+  }
+
+  const cancel = async () => {
+    updateTimedEnables((list) => list.filter((i) => i.extId !== item.id))
+    await sendMessage("extension-timed-enable-cancel", { extId: item.id })
+  }
+
+  const remaining = disableAt ? Math.max(disableAt - now, 0) : undefined
+  return { remaining, enableFor, cancel }
+}
@@ -1,5 +1,6 @@
 import { nanoid } from "nanoid"
 
+import { getRulePriority } from ".../pages/Background/rule/rulePriority"
 import { SyncOptionsStorage } from "./options-storage"
 import { RuleConfigOptions } from "./RuleConfigOptions"
 
@@ -27,11 +28,7 @@ export const DomainRuleOptions = {
     rule.source = "domainAuto"
     rule.version = 2
     // Set priority based on overrideMode
-    if (rule.overrideMode === "override") {
-      rule.priority = 10
-    } else {
-      rule.priority = 0
-    }
+    rule.priority = getRulePriority(rule)
     await RuleConfigOptions.addOne(rule)
   },
 
@@ -42,11 +39,7 @@ export const DomainRuleOptions = {
   async update(rule) {
     rule.source = "domainAuto"
     // Update priority based on overrideMode
-    if (rule.overrideMode === "override") {
-      rule.priority = 10
-    } else {
-      rule.priority = 0
-    }
+    rule.priority = getRulePriority(rule)
     await RuleConfigOptions.update(rule)
   },
 
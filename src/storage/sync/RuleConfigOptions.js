@@ -1,8 +1,17 @@
 import { nanoid } from "nanoid"
 
 import ConvertRuleToV2 from ".../pages/Background/rule/RuleConverter"
+import { assignOrderPriorities } from ".../pages/Background/rule/rulePriority"
 import { SyncOptionsStorage } from "./options-storage"
 
+/**
+ * 保存规则列表，并按列表顺序重新设置规则的优先级（域名规则除外），使执行顺序与列表顺序一致
+ */
+async function saveInOrder(configs) {
+  assignOrderPriorities(configs.filter((item) => item.source !== "domainAuto"))
+  await SyncOptionsStorage.set({ ruleConfig: configs })
+}
+
 export const RuleConfigOptions = {
   async get() {
     const all = await SyncOptionsStorage.getAll()
@@ -19,7 +28,7 @@ export const RuleConfigOptions = {
 
     configs.push(config)
 
-    await SyncOptionsStorage.set({ ruleConfig: configs })
+    await saveInOrder(configs)
   },
 
   async update(config) {
@@ -45,7 +54,39 @@ export const RuleConfigOptions = {
     const newConfig = { ...exist, id: nanoid() }
     configs.splice(configs.indexOf(exist), 0, newConfig)
 
-    await SyncOptionsStorage.set({ ruleConfig: configs })
+    await saveInOrder(configs)
+  },
+
+  /**
+   * 按指定的顺序排列规则（域名规则除外），并按顺序设置规则的优先级：越靠前，优先级越高
+   * @param ids 排序之后的规则 ID
+   */
+  async reorder(ids) {
+    const configs = await this.get()
+    const domainConfigs = configs.filter((item) => item.source === "domainAuto")
+    const ruleConfigs = configs.filter((item) => item.source !== "domainAuto")
+
+    if (ids.length !== ruleConfigs.length || ruleConfigs.some((item) => !ids.includes(item.id))) {
+      throw Error("rule list has changed, please refresh and try again")
+    }
+
+    const ordered = ids.map((id) => ruleConfigs.find((item) => item.id === id))
+    await saveInOrder([...ordered, ...domainConfigs])
+  },
+
+  /**
+   * 把规则移动到另一条规则的前面（优先级高于另一条规则）
+   */
+  async moveBefore(id, beforeId) {
+    const configs = await this.get()
+    const ids = configs.filter((item) => item.source !== "domainAuto").map((item) => item.id)
+    if (!ids.includes(id) || !ids.includes(beforeId)) {
+      throw Error(`cannot find config id is ${ids.includes(id) ? beforeId : id})`)
+    }
+
+    ids.splice(ids.indexOf(id), 1)
+    ids.splice(ids.indexOf(beforeId), 0, id)
+    await this.reorder(ids)
   },
 
   async deleteOne(id) {
@@ -55,7 +96,7 @@ export const RuleConfigOptions = {
     }
 
     const leftConfigs = all.ruleConfig.filter((item) => item.id !== id)
-    await SyncOptionsStorage.set({ ruleConfig: leftConfigs })
+    await saveInOrder(leftConfigs)
   }
 }
 
@@ -6,14 +6,41 @@ declare namespace config {
     isRaiseEnableWhenSwitchGroup: boolean
     isShowFixedExtension: boolean
     isShowHiddenExtension: boolean
+    /**
+     * 手动切换情景模式之后，暂停自动切换的时间（分钟）；为空时使用 30 分钟，0 表示不暂停
+     */
+    sceneAutoManualHoldMinutes?: number
+    /**
+     * 在 Popup 中手动启用或禁用扩展之后，规则不再修改该扩展的时长
+     * site：直到离开当前网站；minutes：manualOverrideMinutes 分钟；session：直到浏览器重启；off：不保留。为空时使用 site
+     */
+    manualOverrideMode?: ManualOverrideMode
+    /**
+     * manualOverrideMode 为 minutes 时的时长（分钟）；为空时使用 30 分钟
+     */
+    manualOverrideMinutes?: number
   }
 
+  export type ManualOverrideMode = "site" | "minutes" | "session" | "off"
+
   export interface IScene {
     /**
      * 场景ID
      */
     id: string
     name: string
+    /**
+     * 自动激活的条件，满足时自动切换到此情景模式
+     */
+    activation?: ISceneActivation
+  }
+
+  /**
+   * 情景模式自动激活的条件，使用与规则相同的触发条件（当前标签页 URL、时间区间、操作系统、空闲状态）
+   */
+  export interface ISceneActivation {
+    enable: boolean
+    match: ruleV2.IMatch
   }
 
   export interface IGroup {
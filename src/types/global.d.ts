@@ -1,8 +1,12 @@
 import { History } from ".../pages/Background/history/History"
 import { RuleHandler } from ".../pages/Background/rule/RuleHandler"
+import { AutomationPause } from ".../pages/Background/rule/automationPause"
+import { RuleStats } from ".../pages/Background/rule/ruleStats"
 import { EventCache } from "../pages/Background/event/EventCache"
+import { AlwaysOnGroupHandler } from "../pages/Background/extension/AlwaysOnGroupHandler"
 import { ExtensionService } from "../pages/Background/extension/ExtensionService"
 import { ExtensionRepo } from "../pages/Background/extension/ExtensionRepo"
+import { TimedEnableHandler } from "../pages/Background/extension/TimedEnableHandler"
 import { LocalOptions } from "../storage/local"
 import { ExtensionKnowledgeBase } from "../pages/Background/ai/ExtensionKnowledgeBase"
 import { AIAssistantService } from "../pages/Background/ai/AIAssistantService"
@@ -11,12 +15,16 @@ declare interface IExtensionManager {
   LocalOptions: LocalOptions
   Rule: {
     handler: RuleHandler & { indexer?: any }
+    pause?: AutomationPause
+    stats?: RuleStats
   }
   Extension: {
     items: chrome.management.ExtensionInfo[]
     service: ExtensionService
     repo?: ExtensionRepo
     getAllExtensions?: () => Promise<chrome.management.ExtensionInfo[]>
+    alwaysOnHandler?: AlwaysOnGroupHandler
+    timedEnableHandler?: TimedEnableHandler
   }
   History: History
   EventCache: EventCache
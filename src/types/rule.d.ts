@@ -56,17 +56,35 @@ declare namespace rule {
 
 declare namespace ruleV2 {
   export type MatchMethod = "wildcard" | "regex"
+  /**
+   * URL 的匹配方式，除了通配符和正则，还支持 Chrome match pattern 和 URLPattern
+   */
+  export type UrlMatchMethod = MatchMethod | "matchPattern" | "urlPattern"
   export type Relationship = "and" | "or"
-  export type TriggerType = "urlTrigger" | "sceneTrigger" | "osTrigger" | "periodTrigger"
+  export type TriggerType =
+    | "urlTrigger"
+    | "sceneTrigger"
+    | "osTrigger"
+    | "periodTrigger"
+    | "idleTrigger"
+    | "tabGroupTrigger"
+    | "windowTrigger"
   export type OsType = "mac" | "win" | "android" | "cros" | "linux" | "openbsd" | "fuchsia"
 
   export interface ITrigger {
     trigger: TriggerType
-    config: IUrlTriggerConfig | ISceneTriggerConfig | IOsTriggerConfig | IPeriodTriggerConfig
+    config:
+      | IUrlTriggerConfig
+      | ISceneTriggerConfig
+      | IOsTriggerConfig
+      | IPeriodTriggerConfig
+      | IIdleTriggerConfig
+      | ITabGroupTriggerConfig
+      | IWindowTriggerConfig
   }
 
   export interface IUrlTriggerConfig {
-    matchMethod: MatchMethod
+    matchMethod: UrlMatchMethod
     matchUrl: string[]
     useFullUrl?: boolean
   }
@@ -81,17 +99,138 @@ declare namespace ruleV2 {
   }
 
   export interface IPeriodTriggerConfig {
+    /**
+     * 时间区间，HH:mm；start 大于 end 时表示跨越午夜的区间（例如 22:00-02:00）
+     */
     periods: { start: string; end: string }[]
+    /**
+     * 生效的星期，0 表示星期日；为空时每天生效。跨越午夜的区间，以区间开始的那一天为准
+     */
+    days?: number[]
+    /**
+     * 生效的起始日期（包含），YYYY-MM-DD
+     */
+    startDate?: string
+    /**
+     * 生效的结束日期（包含），YYYY-MM-DD
+     */
+    endDate?: string
+    /**
+     * IANA 时区，例如 Asia/Shanghai；为空时使用浏览器本地时区
+     */
+    timeZone?: string
+  }
+
+  export type IdleState = "active" | "idle" | "locked"
+
+  export interface IIdleTriggerConfig {
+    /**
+     * 满足条件的空闲状态（chrome.idle），任一状态满足即可
+     */
+    states: IdleState[]
+    /**
+     * 判断为空闲状态的时间（秒），最小 15 秒；为空时使用 60 秒
+     */
+    threshold?: number
+  }
+
+  export interface ITabGroupTriggerConfig {
+    /**
+     * 标签组标题的匹配方式
+     */
+    matchMethod: MatchMethod
+    /**
+     * 标签组标题的匹配规则，满足任一即可
+     */
+    titles?: string[]
+    /**
+     * 标签组的颜色，是其中之一即可
+     */
+    colors?: chrome.tabGroups.ColorEnum[]
+  }
+
+  export type WindowType = "normal" | "popup" | "app" | "devtools"
+  export type WindowState = "normal" | "minimized" | "maximized" | "fullscreen"
+
+  /**
+   * 标签页所在窗口的条件，设置了的各项需要同时满足
+   */
+  export interface IWindowTriggerConfig {
+    /**
+     * true 只匹配隐身窗口，false 只匹配普通窗口；为空时不限制
+     */
+    incognito?: boolean
+    /**
+     * 窗口类型，是其中之一即可；为空时不限制
+     */
+    windowTypes?: WindowType[]
+    /**
+     * 窗口状态，是其中之一即可；为空时不限制
+     */
+    windowStates?: WindowState[]
+    /**
+     * 只匹配当前获得焦点的窗口
+     */
+    focusedOnly?: boolean
+  }
+
+  export type ConditionOperator = "and" | "or" | "not"
+
+  /**
+   * 条件组，children 可以是触发条件，也可以是嵌套的条件组
+   * not 表示 children 全部满足时为不匹配（即 NOT (A AND B)）
+   */
+  export interface IConditionGroup {
+    operator: ConditionOperator
+    children: ICondition[]
   }
 
+  export type ICondition = IConditionGroup | ITrigger
+
   export interface IMatch {
+    /**
+     * 顶层触发条件之间的关系；存在 condition 时，以 condition 为准
+     */
     relationship: Relationship
+    /**
+     * 全部触发条件的平铺列表；存在 condition 时，是 condition 中全部触发条件的集合
+     */
     triggers: ITrigger[]
+    /**
+     * 嵌套的条件树，为空时由 relationship 和 triggers 组成一层条件组
+     */
+    condition?: IConditionGroup
   }
 
   export interface ITarget {
     groups: string[]
     extensions: string[]
+    /**
+     * 按扩展属性动态选择的目标，执行规则时解析；满足任一选择器的扩展都是目标
+     */
+    selectors?: ITargetSelector[]
+    /**
+     * 排除的扩展，在展开分组、解析选择器之后移除
+     */
+    excludeExtensions?: string[]
+    /**
+     * 排除的分组，分组中的全部扩展都会被移除
+     */
+    excludeGroups?: string[]
+  }
+
+  /**
+   * 选择器类型
+   * permission：拥有指定的 API 权限，例如 webRequest
+   * hostPermission：拥有指定的主机权限，<all_urls> 同时匹配其它表示全部网站的写法
+   * installType：安装方式，例如 development（开发者模式加载）
+   * category：AI 知识库中的分类，例如 shopping
+   */
+  export type TargetSelectorType = "permission" | "hostPermission" | "installType" | "category"
+
+  export interface ITargetSelector {
+    type: TargetSelectorType
+    value: string
   }
 
   export type ActionType =
@@ -114,12 +253,74 @@ declare namespace ruleV2 {
     urlMatchWhenDisable?: UrlMatchType
   }
 
+  /**
+   * 启用或禁用扩展之后，重新加载哪些标签页
+   * activeTab：当前标签页；matchedTabs：匹配规则 URL 触发条件的全部标签页；
+   * currentWindow：当前窗口的全部标签页；none：不重新加载
+   */
+  export type ReloadScope = "activeTab" | "matchedTabs" | "currentWindow" | "none"
+
+  /**
+   * 启用禁用扩展之外的动作
+   * switchScene：切换情景模式；applyGroup：像在 Popup 中切换分组一样，只启用固定分组和指定分组中的扩展；
+   * notify：显示桌面通知；openOptions：打开指定扩展的设置页面
+   */
+  export type ExtraActionType = "switchScene" | "applyGroup" | "notify" | "openOptions"
+
+  export interface IExtraAction {
+    type: ExtraActionType
+    /**
+     * 执行的时机：规则从不匹配变为匹配时（match），或者从匹配变为不匹配时（notMatch），只执行一次
+     */
+    when: "match" | "notMatch"
+    /**
+     * switchScene：目标情景模式，为空时取消情景模式
+     */
+    sceneId?: string
+    /**
+     * applyGroup：目标分组
+     */
+    groupId?: string
+    /**
+     * notify：通知的标题，为空时使用默认标题
+     */
+    title?: string
+    /**
+     * notify：通知的内容
+     */
+    message?: string
+    /**
+     * openOptions：打开设置页面的扩展
+     */
+    extensionId?: string
+  }
+
   export interface IAction {
     actionType: ActionType
     reloadAfterEnable?: boolean
     reloadAfterDisable?: boolean
+    /**
+     * 重新加载的范围，为空时只重新加载当前标签页
+     */
+    reloadScope?: ReloadScope
+    /**
+     * 重新加载时跳过固定的标签页
+     */
+    reloadSkipPinned?: boolean
+    /**
+     * 重新加载时跳过有未保存输入的标签页（页面设置了 beforeunload，或者表单内容被修改过）
+     */
+    reloadSkipUnsaved?: boolean
     showOnTheTop?: boolean
     custom?: ICustomAction
+    /**
+     * 匹配结束之后，保持启用多长时间再禁用扩展（分钟）；为空或者 0 时立即禁用
+     */
+    lingerMinutes?: number
+    /**
+     * 启用禁用扩展之外的动作
+     */
+    extraActions?: IExtraAction[]
   }
 
   export interface IRuleConfig {
@@ -133,7 +334,27 @@ declare namespace ruleV2 {
     source?: "domainAuto" | "ruleEditor"
     /** Override mode for domain rules: soft (default priority) or override (higher priority) */
     overrideMode?: "soft" | "override"
-    /** Internal priority for rule execution (higher = executed later, wins conflicts) */
+    /** Priority for rule execution, saved from the rule list order (higher = executed later, wins conflicts). Domain rules derive it from overrideMode */
     priority?: number
   }
+
+  /**
+   * 规则模板，使用模板时替换 rule 中的占位符：
+   * URL 触发条件 matchUrl 中的 "{{domains}}" 替换为输入的网站，target.groups 中的 "{{group}}" 替换为选择的分组
+   */
+  export interface IRuleTemplate {
+    id: string
+    /**
+     * 内置模板的名称和描述来自多语言文本，这里为空
+     */
+    name?: string
+    description?: string
+    builtIn?: boolean
+    /**
+     * 替换 "{{domains}}" 的默认网站
+     */
+    defaultDomains?: string[]
+    rule: IRuleConfig
+    createdAt?: number
+  }
 }
@@ -83,6 +83,30 @@ export const isExtExtension = function (ext) {
   return extTypes.includes(ext.type)
 }
 
+/**
+ * 切换到指定分组时，需要启用和禁用的扩展
+ * 启用固定分组和选中分组中的扩展，禁用除此之外的扩展（不包括 APP 类型的扩展，不包括自身）
+ * @param {*} extensions 所有扩展
+ * @param {*} groups 全部分组
+ * @param {*} selectGroups 选中的分组集合
+ * @param {*} selfId 自身的扩展 ID
+ */
+export const getGroupSwitchTargets = (extensions, groups, selectGroups, selfId) => {
+  const fixedExtensionIds = groups.find((g) => g.id === "fixed")?.extensions ?? []
+
+  const currentExtensionIds = selectGroups.map((g) => g.extensions).flat()
+
+  const enabledExtensionIds = Array.from(new Set([...fixedExtensionIds, ...currentExtensionIds]))
+
+  const disabledExtensionIds = extensions
+    .filter((ext) => isExtExtension(ext))
+    .map((ext) => ext.id)
+    .filter((id) => id !== selfId)
+    .filter((id) => !enabledExtensionIds.includes(id))
+
+  return { fixedExtensionIds, enabledExtensionIds, disabledExtensionIds }
+}
+
 export const filterExtensions = (extensions, filter) => {
   if (!extensions) {
     return []
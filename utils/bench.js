@@ -0,0 +1,42 @@
+// 运行 utils/bench 下的性能测试：node utils/bench.js urlMatcher
+// 使用 esbuild 打包测试入口（支持 TypeScript 和 .../ 路径别名），然后在 node 中执行
+var path = require("path")
+var os = require("os")
+var esbuild = require("esbuild")
+var { execFileSync } = require("child_process")
+
+const name = process.argv[2] || "urlMatcher"
+const entry = path.join(__dirname, "bench", `${name}.bench.ts`)
+const outfile = path.join(os.tmpdir(), `extension-manager-${name}.bench.js`)
+const srcDir = path.join(__dirname, "..", "src")
+
+const aliasPlugin = {
+  name: "alias",
+  setup(build) {
+    build.onResolve({ filter: /^\.\.\.\// }, (args) => {
+      return build.resolve(path.join(srcDir, args.path.substring(4)), {
+        kind: args.kind,
+        resolveDir: srcDir
+      })
+    })
+  }
+}
+
+esbuild
+  .build({
+    entryPoints: [entry],
+    outfile,
+    bundle: true,
+    platform: "node",
+    format: "cjs",
+    logLevel: "error",
+    define: { RUNTIME_ENV: '"production"' },
+    plugins: [aliasPlugin]
+  })
+  .then(() => {
+    execFileSync("node", [outfile], { stdio: "inherit" })
+  })
+  .catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
@@ -0,0 +1,160 @@
+/**
+ * URL 匹配的性能测试：150 个标签页，60 条规则
+ * 对比旧的实现（每次匹配都分配动态规划表、重新编译正则）与编译缓存 + 单轮结果缓存的实现
+ *
+ * 运行：npm run bench:url-matcher
+ */
+import { isUrlTriggerMatch } from ".../pages/Background/rule/handlers/match/urlMatchHandler"
+import {
+  UrlMatchMemo,
+  resetTextMatcherCache
+} from ".../pages/Background/rule/handlers/match/urlMatcherCache"
+
+const TAB_COUNT = 150
+const RULE_COUNT = 60
+const ROUNDS = 20
+
+const hosts = [
+  "github.com",
+  "docs.google.com",
+  "mail.example.com",
+  "news.ycombinator.com",
+  "feishu.cn"
+]
+
+const tabs = Array.from({ length: TAB_COUNT }, (_, i) => {
+  const host = i % 3 === 0 ? `www.rule${i % RULE_COUNT}.com` : hosts[i % hosts.length]
+  const path = i % 3 === 1 ? `project-${i % RULE_COUNT}1/x/pull` : `project-${i}/issues`
+  return { id: i, url: `https://${host}/${path}/${i * 7}?tab=overview&page=${i}#top` }
+}) as chrome.tabs.Tab[]
+
+const configs: ruleV2.IUrlTriggerConfig[] = Array.from({ length: RULE_COUNT }, (_, i) => {
+  if (i % 3 === 0) {
+    return {
+      matchMethod: "regex",
+      matchUrl: [`^https://[^/]*rule${i}\\.com/.*$`, `project-${i}\\d*/pull/`],
+      useFullUrl: true
+    }
+  }
+  return {
+    matchMethod: "wildcard",
+    matchUrl: [`*rule${i}.com*`, `*project-${i}?/*/pull/*`, `*://*.example.org/${i}/*`],
+    useFullUrl: i % 2 === 0
+  }
+})
+
+const rules = configs.map(
+  (config, i) =>
+    ({
+      id: `rule-${i}`,
+      version: 2,
+      enable: true,
+      match: { triggers: [{ trigger: "urlTrigger", config }] }
+    } as ruleV2.IRuleConfig)
+)
+
+/**
+ * 一轮规则执行：每条规则先计算当前标签页与任一标签页的 URL 匹配，再按标签页计算条件树
+ */
+function runRound(isMatch: (tab: chrome.tabs.Tab, config: ruleV2.IUrlTriggerConfig) => boolean) {
+  let count = 0
+  for (const config of configs) {
+    for (let pass = 0; pass < 2; pass++) {
+      for (const tab of tabs) {
+        if (isMatch(tab, config)) {
+          count++
+        }
+      }
+    }
+  }
+  return count
+}
+
+function bench(title: string, round: () => number) {
+  // 预热
+  const expected = round()
+
+  const start = process.hrtime.bigint()
+  for (let i = 0; i < ROUNDS; i++) {
+    if (round() !== expected) {
+      throw Error(`${title}: result changed between rounds`)
+    }
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6 / ROUNDS
+  console.log(`${title.padEnd(28)} ${ms.toFixed(2).padStart(8)} ms/round  (matches: ${expected})`)
+  return { ms, expected }
+}
+
+const legacy = bench("legacy (dp + new RegExp)", () =>
+  runRound((tab, config) => legacyIsUrlTriggerMatch(tab, config))
+)
+
+resetTextMatcherCache(rules)
+const compiled = bench("compiled", () => runRound((tab, config) => isUrlTriggerMatch(tab, config)))
+const memoized = bench("compiled + per-run memo", () => {
+  const memo = new UrlMatchMemo()
+  return runRound((tab, config) => isUrlTriggerMatch(tab, config, memo))
+})
+
+if (legacy.expected !== compiled.expected || legacy.expected !== memoized.expected) {
+  throw Error("compiled matcher result differs from legacy implementation")
+}
+
+console.log(
+  `\n${TAB_COUNT} tabs x ${RULE_COUNT} rules: ` +
+    `compiled ${(legacy.ms / compiled.ms).toFixed(1)}x, ` +
+    `compiled + memo ${(legacy.ms / memoized.ms).toFixed(1)}x faster than legacy`
+)
+
+// 旧的实现，作为对比的基准
+
+function legacyIsUrlTriggerMatch(tab: chrome.tabs.Tab, config: ruleV2.IUrlTriggerConfig) {
+  let url = tab.url!
+  if (!config.useFullUrl) {
+    const index1 = url.indexOf("?")
+    if (index1 > 0) {
+      url = url.substring(0, index1)
+    }
+    const index2 = url.indexOf("#")
+    if (index2 > 0) {
+      url = url.substring(0, index2)
+    }
+  }
+
+  if (config.matchMethod === "regex") {
+    return config.matchUrl.some((pattern) => new RegExp(pattern, "i").test(url))
+  }
+  return config.matchUrl.some((pattern) => legacyIsMatchByWildcard(url, pattern))
+}
+
+function legacyIsMatchByWildcard(text: string, pattern: string) {
+  if (!pattern.startsWith("*")) {
+    pattern = `*${pattern}`
+  }
+  if (!pattern.endsWith("*")) {
+    pattern = `${pattern}*`
+  }
+
+  const dp: boolean[][] = []
+  for (let i = 0; i <= text.length; i++) {
+    dp.push(new Array(pattern.length + 1).fill(false))
+  }
+  dp[text.length][pattern.length] = true
+  for (let i = pattern.length - 1; i >= 0; i--) {
+    if (pattern[i] !== "*") break
+    else dp[text.length][i] = true
+  }
+
+  for (let i = text.length - 1; i >= 0; i--) {
+    for (let j = pattern.length - 1; j >= 0; j--) {
+      if (text[i] === pattern[j] || pattern[j] === "?") {
+        dp[i][j] = dp[i + 1][j + 1]
+      } else if (pattern[j] === "*") {
+        dp[i][j] = dp[i + 1][j] || dp[i][j + 1]
+      } else {
+        dp[i][j] = false
+      }
+    }
+  }
+  return dp[0][0]
+}